@@ -2,9 +2,27 @@
  * Digital Garden Blog - Basic Authentication Server
  * 
  * A lightweight Node.js HTTP server that provides:
- * - User authentication endpoint
- * - Blog posts API endpoint
- * - CORS support for frontend integration
+ * - JWT authentication with hashed user accounts
+ * - Blog posts CRUD API with persistent storage
+ * - Managed categories and tags (renames and merges update posts)
+ * - Image and file uploads (media library)
+ * - Comments with replies and a moderation queue
+ * - Admin dashboard API (site stats, bulk post actions)
+ * - RSS, Atom and JSON feeds
+ * - Markdown import and export of posts (also markdown-posts.js)
+ * - Server-rendered post pages with SEO metadata, sitemap.xml and robots.txt
+ * - CORS for the frontend's origins (CORS_ORIGINS)
+ * - Errors as { success: false, error: { code, message, details } } with
+ *   the matching status (404 unknown path, 405 wrong method...)
+ * - JSON access log lines with secrets redacted (see server/logger.js)
+ * - The frontend itself (public/), including /posts/:slug pages
+ * 
+ * Settings come from environment variables or a .env file (see
+ * server/config.js and .env.example); with NODE_ENV=production the server
+ * refuses to start with the default JWT_SECRET or admin password.
+ * Posts are stored in a JSON file (data/db.json) by default. Set
+ * STORAGE_BACKEND=mongodb and MONGODB_URI to use MongoDB instead.
+ * Uploaded files go to data/uploads (or UPLOAD_DIR).
  * 
  * This server is designed for local development and testing.
  * For production, consider using a proper framework like Express.js
@@ -15,140 +33,245 @@
  */
 
 const http = require('http');
+const cors = require('cors');
+const { getConfig, checkSecrets, DEFAULT_ADMIN_PASSWORD } = require('./server/config');
+const { createStore } = require('./server/storage');
+const { HttpError, sendJson, sendError, parseQuery } = require('./server/http');
+const { Router } = require('./server/router');
+const { logRequest } = require('./server/logger');
+const auth = require('./server/auth');
+const posts = require('./server/posts');
+const postFiles = require('./server/post-files');
+const users = require('./server/users');
+const media = require('./server/media');
+const comments = require('./server/comments');
+const taxonomies = require('./server/taxonomies');
+const admin = require('./server/admin');
+const feeds = require('./server/feeds');
+const render = require('./server/render');
+const { serveStatic } = require('./server/static');
+
+// Settings from the environment and .env (see server/config.js)
+let config;
+try {
+    config = getConfig();
+    checkSecrets(config);
+} catch (error) {
+    console.error(`💥 ${error.message}`);
+    process.exit(1);
+}
 
-// Server configuration
-const PORT = 9090;
-const HOST = '127.0.0.1';
+const store = createStore({
+    backend: config.storageBackend,
+    dataFile: config.dataFile,
+    mongoUri: config.mongoUri
+});
 
-console.log('🧪 Creating basic HTTP server...');
+// CORS headers for pages on the allowed origins (same-origin requests don't need any)
+const applyCors = cors({
+    origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization']
+});
 
 /**
- * Main server request handler
- * Handles all incoming HTTP requests and routes them appropriately
+ * Routes (see server/router.js for the path syntax)
  */
-const server = http.createServer((req, res) => {
-    console.log(`📡 Request received: ${req.method} ${req.url}`);
-    
-    // Set CORS headers to allow frontend communication
-    // In production, replace '*' with your specific domain
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+const router = new Router()
+    .get('/api', apiIndex)
+    .post('/api/auth/login', auth.login)
+    .post('/api/auth/register', auth.register)
+    .get('/api/auth/verify', auth.verify)
+    .post('/api/auth/change-password', auth.changePassword)
+    .get('/api/users/me', users.getProfile)
+    .put('/api/users/me', users.updateProfile)
+    .get('/api/users', users.listUsers)
+    .put('/api/users/:id/role', users.updateUserRole)
+    .delete('/api/users/:id', users.deleteUser)
+    .get('/api/posts', posts.listPosts)
+    .post('/api/posts', posts.createPost)
+    .get('/api/posts/export', postFiles.exportPosts)
+    .post('/api/posts/import', postFiles.importPosts)
+    .get('/api/posts/by-slug/:slug', posts.getPostBySlug)
+    .get('/api/posts/:id', posts.getPost)
+    .put('/api/posts/:id', posts.updatePost)
+    .delete('/api/posts/:id', posts.deletePost)
+    .get('/api/posts/:id/revisions', posts.listPostRevisions)
+    .post('/api/posts/:id/revisions/:revisionId/restore', posts.restorePostRevision)
+    .get('/api/posts/:id/comments', comments.listPostComments)
+    .post('/api/posts/:id/comments', comments.createComment)
+    .get('/api/comments', comments.listComments)
+    .post('/api/comments/:id/approve', comments.approveComment)
+    .post('/api/comments/:id/reject', comments.rejectComment)
+    .delete('/api/comments/:id', comments.deleteComment)
+    .get('/api/:scope(categories|tags)', taxonomies.listTerms)
+    .post('/api/:scope(categories|tags)', taxonomies.createTerm)
+    .get('/api/:scope(categories|tags)/:slug', taxonomies.getTerm)
+    .put('/api/:scope(categories|tags)/:slug', taxonomies.updateTerm)
+    .delete('/api/:scope(categories|tags)/:slug', taxonomies.deleteTerm)
+    .post('/api/:scope(categories|tags)/:slug/merge', taxonomies.mergeTerms)
+    .get('/api/admin/stats', admin.getStats)
+    .get('/api/admin/posts', admin.listAllPosts)
+    .post('/api/admin/posts/bulk', admin.bulkUpdatePosts)
+    .get('/api/media', media.listMedia)
+    .post('/api/media', media.uploadMedia)
+    .delete('/api/media/:id', media.deleteMedia)
+    .get('/uploads/:filename', media.serveUpload)
+    .get('/:file(feed.xml|atom.xml|feed.json)', feeds.serveFeed)
+    .get('/:scope(tags|categories)/:slug/:file(feed.xml|atom.xml|feed.json)', feeds.serveFeed)
+    .get('/blog.html', render.renderHome)
+    .get('/posts', render.renderPostsList)
+    .get('/posts/:slug', render.renderPost)
+    .get('/:scope(tags|categories)/:slug', render.renderPostsList)
+    .get('/sitemap.xml', render.sitemap)
+    .get('/robots.txt', render.robots);
+
+/**
+ * GET /api - What the server is and which endpoints it has
+ */
+async function apiIndex(req, res) {
+    sendJson(res, 200, {
+        message: 'Digital Garden Blog API Server',
+        version: '1.0.0',
+        endpoints: {
+            'GET /api': 'This list of endpoints',
+            'POST /api/auth/login': 'User authentication',
+            'POST /api/auth/register': 'Create an account',
+            'GET /api/auth/verify': 'Verify a token',
+            'POST /api/auth/change-password': 'Change your password',
+            'GET /api/users/me': 'Fetch your profile',
+            'PUT /api/users/me': 'Update your profile',
+            'GET /api/users': 'List users (admin)',
+            'PUT /api/users/:id/role': 'Change a user\'s role (admin)',
+            'DELETE /api/users/:id': 'Delete a user (admin)',
+            'GET /api/posts': 'Fetch a page of posts (?limit=&cursor=&sort=&category=&tag=&author=&q=)',
+            'GET /api/posts/:id': 'Fetch a single post by id or slug',
+            'GET /api/posts/by-slug/:slug': 'Fetch a post by slug (earlier slugs answer 301 to the current one)',
+            'POST /api/posts': 'Create a post',
+            'GET /api/posts/export': 'Download posts as a zip of Markdown files (admin)',
+            'POST /api/posts/import': 'Import Markdown files or a zip (admin; dryRun, onConflict)',
+            'PUT /api/posts/:id': 'Update a post',
+            'DELETE /api/posts/:id': 'Delete a post',
+            'GET /api/posts/:id/revisions': 'List a post\'s revisions',
+            'POST /api/posts/:id/revisions/:revisionId/restore': 'Restore a revision',
+            'GET /api/posts/:id/comments': 'Fetch a post\'s comments and replies',
+            'POST /api/posts/:id/comments': 'Comment on a post (guests are moderated)',
+            'GET /api/comments': 'Moderation queue (?status=pending|approved|rejected|all, admin)',
+            'POST /api/comments/:id/approve': 'Approve a comment (admin)',
+            'POST /api/comments/:id/reject': 'Reject a comment (admin)',
+            'DELETE /api/comments/:id': 'Delete a comment (admin)',
+            'GET /api/categories': 'List categories with post counts (also /api/tags)',
+            'GET /api/categories/:slug': 'Fetch one category (also /api/tags/:slug)',
+            'POST /api/categories': 'Create a category (editor/admin; also /api/tags)',
+            'PUT /api/categories/:slug': 'Rename a category or change its description, updating its posts (editor/admin; also /api/tags/:slug)',
+            'DELETE /api/categories/:slug': 'Delete a category, moving its posts to general (editor/admin; /api/tags/:slug removes the tag from posts)',
+            'POST /api/categories/:slug/merge': 'Merge into another category ({ into }, editor/admin; also /api/tags/:slug/merge)',
+            'GET /api/admin/stats': 'Site statistics for the dashboard (admin)',
+            'GET /api/admin/posts': 'All posts with status filters (admin)',
+            'POST /api/admin/posts/bulk': 'Publish, unpublish, delete or re-categorize posts (admin)',
+            'GET /api/media': 'List uploaded files (?type=image)',
+            'POST /api/media': 'Upload a file (multipart/form-data: file, alt)',
+            'DELETE /api/media/:id': 'Delete an uploaded file',
+            'GET /feed.xml': 'RSS feed of published posts (also /atom.xml and /feed.json)',
+            'GET /tags/:tag/feed.xml': 'Feed of one tag (also atom.xml and feed.json)',
+            'GET /categories/:category/feed.xml': 'Feed of one category (also atom.xml and feed.json)',
+            'GET /posts/:slug': 'Server-rendered post page (also /posts and /blog.html)',
+            'GET /tags/:tag': 'Server-rendered posts list of one tag (also /categories/:category)',
+            'GET /sitemap.xml': 'Sitemap of published posts',
+            'GET /robots.txt': 'Crawler rules'
+        },
+        status: 'running'
+    });
+}
+
+/**
+ * Route a request to its handler
+ * @throws {HttpError} 404 for unknown paths, 405 for known paths with
+ *   another method (with an Allow header)
+ */
+async function handleRequest(req, res, pathname, query) {
+    const route = router.match(req.method, pathname);
     
-    // Handle preflight OPTIONS requests
-    if (req.method === 'OPTIONS') {
-        res.writeHead(200);
-        res.end();
+    if (route && route.handler) {
+        await route.handler(req, res, {
+            store,
+            params: route.params,
+            query,
+            uploadDir: config.uploadDir,
+            // Public address for absolute links (defaults to the host each request was sent to)
+            siteUrl: config.siteUrl
+        });
         return;
     }
     
-    if (req.method === 'POST' && req.url === '/api/auth/login') {
-        console.log('🔐 Login endpoint hit!');
-        
-        let body = '';
-        req.on('data', chunk => {
-            body += chunk.toString();
-        });
-        
-        req.on('end', () => {
-            console.log('📦 Request body:', body);
-            
-            try {
-                const data = JSON.parse(body);
-                console.log('👤 Login attempt:', data.username);
-                
-                if (data.username === 'admin' && data.password === 'admin123') {
-                    console.log('✅ LOGIN SUCCESS!');
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({
-                        success: true,
-                        message: 'Login successful!',
-                        token: 'fake-jwt-token-12345',
-                        user: {
-                            id: '1',
-                            username: 'admin',
-                            email: 'admin@blog.com',
-                            role: 'admin'
-                        }
-                    }));
-                } else {
-                    console.log('❌ Invalid credentials');
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({
-                        success: false,
-                        message: 'Invalid credentials'
-                    }));
-                }
-            } catch (error) {
-                console.log('💥 JSON parse error:', error.message);
-                res.writeHead(400, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    success: false,
-                    message: 'Invalid JSON'
-                }));
-            }
-        });
-    } else if (req.method === 'GET' && req.url === '/api/posts') {
-        console.log('📰 Posts endpoint hit!');
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-            success: true,
-            posts: [
-                {
-                    id: 1,
-                    title: "Welcome to Digital Garden",
-                    content: "This is your first post! Start writing amazing content.",
-                    excerpt: "Welcome to your new digital garden where ideas bloom.",
-                    author: "Admin",
-                    date: new Date().toISOString(),
-                    tags: ["welcome", "first-post"],
-                    published: true
-                },
-                {
-                    id: 2,
-                    title: "Getting Started with Blogging",
-                    content: "Here are some tips to get started with your blog...",
-                    excerpt: "Essential tips for new bloggers to create engaging content.",
-                    author: "Admin", 
-                    date: new Date(Date.now() - 86400000).toISOString(),
-                    tags: ["blogging", "tips"],
-                    published: true
-                }
-            ]
-        }));
-    } else {
-        // Default response for undefined endpoints
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-            message: 'Digital Garden Blog API Server',
-            version: '1.0.0',
-            endpoints: {
-                'POST /api/auth/login': 'User authentication',
-                'GET /api/posts': 'Fetch blog posts'
-            },
-            status: 'running'
-        }));
+    // Anything outside /api is the frontend (public/)
+    if (!pathname.startsWith('/api') && await serveStatic(req, res, pathname)) return;
+    
+    if (route) {
+        res.setHeader('Allow', [...route.allowed, 'OPTIONS'].join(', '));
+        throw new HttpError(405, `${req.method} is not allowed on ${pathname}`, { details: { allowed: route.allowed } });
     }
-});
+    throw new HttpError(404, `No route for ${req.method} ${pathname}`, { details: { index: '/api' } });
+}
 
 /**
- * Start the server and listen for incoming connections
+ * Main server request handler
+ * Handles all incoming HTTP requests and routes them appropriately
  */
-server.listen(PORT, HOST, () => {
-    console.log(`\n🚀 DIGITAL GARDEN BLOG SERVER RUNNING!`);
-    console.log(`📍 URL: http://${HOST}:${PORT}`);
-    console.log(`🔐 Auth Endpoint: POST http://${HOST}:${PORT}/api/auth/login`);
-    console.log(`📰 Posts Endpoint: GET http://${HOST}:${PORT}/api/posts`);
-    console.log(`\n👤 Test credentials: admin / admin123`);
-    console.log(`\n🌍 Frontend: Open public/index.html with Live Server`);
+const server = http.createServer((req, res) => {
+    const startedAt = process.hrtime.bigint();
+    const pathname = req.url.split('?')[0];
+    const query = parseQuery(req.url);
+    let failure = null;
+    res.on('finish', () => logRequest(req, res, { startedAt, query, error: failure }));
+    
+    // Answers preflight OPTIONS requests itself, everything else continues
+    applyCors(req, res, async () => {
+        try {
+            await handleRequest(req, res, pathname, query);
+        } catch (error) {
+            failure = error;
+            sendError(res, error);
+        }
+    });
 });
 
+/**
+ * Connect to storage, then start the server and listen for incoming connections
+ */
+async function start() {
+    console.log('🧪 Creating basic HTTP server...');
+    
+    await store.init();
+    await auth.seedAdmin(store);
+    await posts.seedPosts(store);
+    await posts.migratePosts(store);
+    await taxonomies.seedTaxonomies(store);
+    
+    const { host, port } = config;
+    server.listen(port, host, () => {
+        console.log(`\n🚀 DIGITAL GARDEN BLOG SERVER RUNNING!`);
+        console.log(`📍 URL: http://${host}:${port} (${config.nodeEnv})`);
+        console.log(`💾 Storage: ${config.storageBackend}`);
+        console.log(`🌐 CORS origins: ${config.corsOrigins.join(', ') || 'same origin only'}`);
+        console.log(`🔐 Auth Endpoint: POST http://${host}:${port}/api/auth/login`);
+        console.log(`📰 Posts Endpoint: GET http://${host}:${port}/api/posts`);
+        if (config.adminPassword === DEFAULT_ADMIN_PASSWORD) console.log(`\n👤 Test credentials: admin / ${DEFAULT_ADMIN_PASSWORD}`);
+        console.log(`\n🌍 Frontend: http://${host}:${port}/blog.html`);
+    });
+}
+
 /**
  * Handle server errors gracefully
  */
 server.on('error', (error) => {
     console.error('❌ Server error:', error);
     if (error.code === 'EADDRINUSE') {
-        console.error(`💥 Port ${PORT} is already in use. Please stop other servers or change the port.`);
+        console.error(`💥 Port ${config.port} is already in use. Please stop other servers or set PORT to another one.`);
     }
-});
\ No newline at end of file
+});
+
+start().catch(error => {
+    console.error('💥 Failed to start server:', error);
+    process.exit(1);
+});
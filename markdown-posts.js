@@ -0,0 +1,156 @@
+/**
+ * Digital Garden Blog - Markdown Import/Export Tool
+ *
+ * Command line counterpart of GET /api/posts/export and
+ * POST /api/posts/import (see server/post-files.js), working directly on
+ * the server's storage (STORAGE_BACKEND, DATA_FILE, MONGODB_URI, from the
+ * environment or .env).
+ *
+ * Usage:
+ *   node markdown-posts.js export <directory|file.zip> [--status=all]
+ *   node markdown-posts.js import <file.md|directory|file.zip>... [--dry-run]
+ *        [--on-conflict=skip|overwrite|rename] [--as=<username>]
+ *
+ * Exports write one <slug>.md file per post. Imports read .md files,
+ * directories of them (recursively) and zips, print what happens to each
+ * file and save nothing with --dry-run. Imported posts whose front matter
+ * names no known author belong to --as (the first admin by default).
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./server/config');
+const { createStore } = require('./server/storage');
+const auth = require('./server/auth');
+const posts = require('./server/posts');
+const taxonomies = require('./server/taxonomies');
+const postFiles = require('./server/post-files');
+const zip = require('./server/zip');
+
+const USAGE = `Usage:
+  node markdown-posts.js export <directory|file.zip> [--status=all]
+  node markdown-posts.js import <file.md|directory|file.zip>... [--dry-run] [--on-conflict=skip|overwrite|rename] [--as=<username>]`;
+
+const ACTION_ICONS = { create: '🆕', update: '✏️', skip: '⏭️', error: '❌' };
+
+// Opened in main() once the configuration has been read
+let store;
+
+/**
+ * Split command line arguments into positional values and --options
+ * @param {Array<string>} args - process.argv without node and the script
+ * @returns {{positional: Array<string>, options: Object}} Parsed arguments
+ */
+function parseArgs(args) {
+    const positional = [];
+    const options = {};
+    args.forEach(arg => {
+        const option = /^--([\w-]+)(?:=(.*))?$/.exec(arg);
+        if (option) options[option[1]] = option[2] === undefined ? true : option[2];
+        else positional.push(arg);
+    });
+    return { positional, options };
+}
+
+// Files to import under a path: a file as is, a directory's .md files recursively
+async function readUploads(target) {
+    const stat = await fs.promises.stat(target);
+    if (!stat.isDirectory()) {
+        return [{ name: path.basename(target), content: await fs.promises.readFile(target) }];
+    }
+
+    const uploads = [];
+    for (const entry of await fs.promises.readdir(target, { withFileTypes: true })) {
+        const child = path.join(target, entry.name);
+        if (entry.isDirectory()) uploads.push(...await readUploads(child));
+        else if (/\.(md|markdown)$/i.test(entry.name)) uploads.push({ name: path.relative(target, child), content: await fs.promises.readFile(child) });
+    }
+    return uploads;
+}
+
+async function exportCommand([target], options) {
+    if (!target) throw new Error(USAGE);
+
+    const selected = await postFiles.selectPosts(store, options.status);
+    const files = postFiles.exportFiles(selected);
+
+    if (target.endsWith('.zip')) {
+        await fs.promises.mkdir(path.dirname(path.resolve(target)), { recursive: true });
+        await fs.promises.writeFile(target, zip.createZip(files));
+    } else {
+        await fs.promises.mkdir(target, { recursive: true });
+        for (const file of files) {
+            await fs.promises.writeFile(path.join(target, file.name), file.content);
+        }
+    }
+
+    console.log(`📤 Exported ${files.length} posts to ${target}`);
+}
+
+async function importCommand(targets, options) {
+    if (!targets.length) throw new Error(USAGE);
+
+    const onConflict = options['on-conflict'] || 'skip';
+    if (!postFiles.CONFLICT_POLICIES.includes(onConflict)) {
+        throw new Error(`--on-conflict must be one of: ${postFiles.CONFLICT_POLICIES.join(', ')}`);
+    }
+
+    const user = options.as
+        ? await store.findOne('users', { username: String(options.as) })
+        : await store.findOne('users', { role: 'admin' });
+    if (!user) throw new Error(`Unknown user: ${options.as}`);
+
+    const uploads = [];
+    for (const target of targets) uploads.push(...await readUploads(target));
+
+    const { files, errors } = postFiles.collectMarkdownFiles(uploads);
+    const plan = [
+        ...errors.map(error => ({ ...error, action: 'error' })),
+        ...await postFiles.planImport(store, files, { onConflict })
+    ];
+    const dryRun = Boolean(options['dry-run']);
+    if (!dryRun) await postFiles.applyImport(store, plan, user);
+
+    const { counts, files: report } = postFiles.importReport(plan);
+    report.forEach(entry => {
+        const detail = [entry.slug, entry.message].filter(Boolean).join(' - ');
+        console.log(`${ACTION_ICONS[entry.action]} ${entry.action.padEnd(6)} ${entry.file}${detail ? ` (${detail})` : ''}`);
+    });
+    console.log(`\n📥 ${dryRun ? 'Dry run - nothing saved. ' : ''}${counts.create} new, ${counts.update} updated, ${counts.skip} skipped, ${counts.error} with errors`);
+
+    if (counts.error) process.exitCode = 1;
+}
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const { positional, options } = parseArgs(rest);
+    const commands = { export: exportCommand, import: importCommand };
+    if (!commands[command]) throw new Error(USAGE);
+
+    const config = getConfig();
+    store = createStore({
+        backend: config.storageBackend,
+        dataFile: config.dataFile,
+        mongoUri: config.mongoUri
+    });
+    await store.init();
+    try {
+        // Same starting state as a server start
+        await auth.seedAdmin(store);
+        await posts.seedPosts(store);
+        await posts.migratePosts(store);
+        await taxonomies.seedTaxonomies(store);
+
+        await commands[command](positional, options);
+    } finally {
+        await store.close();
+    }
+}
+
+main().catch(error => {
+    console.error(error.message === USAGE ? USAGE : `💥 ${error.message}`);
+    process.exit(1);
+});
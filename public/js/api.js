@@ -1,35 +1,85 @@
 /**
  * Digital Garden Blog - API Client
- * 
- * Simple API client for communicating with the backend server.
- * Handles authentication token management and API requests.
- * 
+ *
+ * Single gateway between the frontend and its data. Every call from main.js
+ * goes through here, whichever backend is active:
+ * - The real API server at APP_CONFIG.API_BASE_URL
+ * - DemoAPI (demo-mode.js) when APP_CONFIG.DEMO_MODE is on
+ * - StaticSiteAPI (static-site.js) once the server turns out to be
+ *   unreachable, when APP_CONFIG.STATIC_INDEX names an exported posts.json
+ *
  * Features:
  * - Token-based authentication
  * - localStorage persistence
- * - Simple HTTP request wrapper
- * 
+ * - Request timeouts (APP_CONFIG.API_TIMEOUT)
+ * - Normalized errors: every failure rejects with an APIError
+ *
  * @author CyberOps
  * @version 1.0.0
  */
 
-// ===== SIMPLE API CLIENT FOR BASIC AUTH =====
+// Default request timeout when config.js doesn't set one
+const DEFAULT_API_TIMEOUT = 10000;
+
+// Failures meaning there is no backend to talk to (rather than a refused request)
+const OFFLINE_ERRORS = ['NETWORK_ERROR', 'TIMEOUT', 'INVALID_RESPONSE'];
+
+/**
+ * Error raised for any failed API call (HTTP error, timeout, network
+ * failure or an unsuccessful demo response)
+ */
+class APIError extends Error {
+    /**
+     * @param {string} message - Message safe to show to the user
+     * @param {Object} [details] - Extra information
+     * @param {number} [details.status] - HTTP status (0 when no response)
+     * @param {string} [details.code] - Machine readable error code
+     * @param {*} [details.details] - The server's error details (e.g. every
+     *   validation error)
+     */
+    constructor(message, { status = 0, code = 'API_ERROR', details = null } = {}) {
+        super(message);
+        this.name = 'APIError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
 
 /**
  * APIClient class for handling all backend communication
- * Manages authentication tokens and provides simple request methods
+ * Manages authentication tokens and exposes one method per API operation
  */
 class APIClient {
     /**
-     * Initialize the API client with base URL and token management
+     * Initialize the API client from APP_CONFIG
+     * @param {Object} config - Environment configuration (config.js)
      */
-    constructor() {
-        // Point to our basic working server on port 9090
-        // For production, change this to your deployed backend URL
-        this.baseURL = 'http://127.0.0.1:9090/api';
+    constructor(config = {}) {
+        this.baseURL = (config.API_BASE_URL || '/api').replace(/\/+$/, '');
+        this.timeout = config.API_TIMEOUT || DEFAULT_API_TIMEOUT;
+        this.demo = config.DEMO_MODE ? window.demoAPI || null : null;
+        this.staticSite = config.STATIC_INDEX && window.StaticSiteAPI ? new window.StaticSiteAPI(config.STATIC_INDEX) : null;
+        this.offline = false;
         this.token = localStorage.getItem('authToken');
     }
 
+    /**
+     * Whether calls are answered by DemoAPI instead of a server
+     * @returns {boolean} True in demo mode
+     */
+    get isDemo() {
+        return Boolean(this.demo);
+    }
+
+    /**
+     * Whether calls are answered from the exported posts.json
+     * @returns {boolean} True once the server was found unreachable
+     */
+    get isReadOnly() {
+        return this.offline;
+    }
+
     /**
      * Set authentication token and persist to localStorage
      * @param {string} token - JWT or session token
@@ -58,7 +108,352 @@ class APIClient {
         this.token = null;
         localStorage.removeItem('authToken');
     }
+
+    // ===== TRANSPORT =====
+
+    /**
+     * Send a request to the API server
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below API_BASE_URL, e.g. '/posts'
+     * @param {Object} [options] - Request options
+     * @param {Object|FormData} [options.body] - JSON body, or FormData for uploads
+     * @param {Object} [options.query] - Query string parameters (empty values are skipped)
+     * @returns {Promise<Object>} Parsed response body
+     */
+    async request(method, path, { body, query } = {}) {
+        const params = new URLSearchParams();
+        Object.entries(query || {}).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') params.append(key, value);
+        });
+        const queryString = params.toString();
+        const url = `${this.baseURL}${path}${queryString ? `?${queryString}` : ''}`;
+
+        // The browser sets the multipart Content-Type (with its boundary) for FormData
+        const isForm = typeof FormData !== 'undefined' && body instanceof FormData;
+        const headers = {};
+        if (body !== undefined && !isForm) headers['Content-Type'] = 'application/json';
+        if (this.token) headers['Authorization'] = `Bearer ${this.token}`;
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers,
+                body: body !== undefined && !isForm ? JSON.stringify(body) : body,
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new APIError('The server took too long to respond', { code: 'TIMEOUT' });
+            }
+            throw new APIError('Cannot reach the server', { code: 'NETWORK_ERROR' });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new APIError(`Unexpected response from the server (HTTP ${response.status})`, {
+                status: response.status,
+                code: 'INVALID_RESPONSE'
+            });
+        }
+
+        // Failed requests answer { success: false, error: { code, message, details } }
+        if (!response.ok || data.success === false) {
+            const error = data.error || {};
+            throw new APIError(error.message || `Request failed (HTTP ${response.status})`, {
+                status: response.status,
+                code: error.code || 'API_ERROR',
+                details: error.details
+            });
+        }
+
+        return data;
+    }
+
+    /**
+     * Run an operation on the active backend
+     * @param {string} demoMethod - DemoAPI (and StaticSiteAPI) method name
+     * @param {Array} demoArgs - Arguments for the DemoAPI method
+     * @param {Function} serverCall - Performs the real API request
+     * @returns {Promise<Object>} Successful response data
+     */
+    async dispatch(demoMethod, demoArgs, serverCall) {
+        if (this.demo) return this.callLocal(this.demo, demoMethod, demoArgs, 'demo mode');
+        if (this.offline) return this.callLocal(this.staticSite, demoMethod, demoArgs, 'read-only copy');
+
+        try {
+            return await serverCall();
+        } catch (error) {
+            if (!this.staticSite || !OFFLINE_ERRORS.includes(error.code)) throw error;
+
+            // No backend behind this deployment: keep to the exported posts from now on
+            this.offline = true;
+            console.log('📦 Backend not reachable - showing the exported posts (read-only)');
+            return this.callLocal(this.staticSite, demoMethod, demoArgs, 'read-only copy');
+        }
+    }
+
+    /**
+     * Answer an operation in the browser (DemoAPI or StaticSiteAPI)
+     * @param {Object} backend - Object with one method per operation
+     * @param {string} method - Method name
+     * @param {Array} args - Method arguments
+     * @param {string} label - Backend name for the "not available" message
+     * @returns {Promise<Object>} Successful result
+     */
+    async callLocal(backend, method, args, label) {
+        if (typeof backend[method] !== 'function') {
+            throw new APIError(`This feature needs the backend server (not available in ${label})`, {
+                code: 'NOT_AVAILABLE'
+            });
+        }
+
+        let result;
+        try {
+            result = await backend[method](...args);
+        } catch (error) {
+            throw new APIError(error.message || 'Request failed', { code: 'DEMO_ERROR' });
+        }
+        if (!result || !result.success) {
+            throw new APIError((result && result.message) || 'Request failed', { code: 'DEMO_ERROR' });
+        }
+        return result;
+    }
+
+    // ===== AUTH =====
+
+    async login(username, password) {
+        const data = await this.dispatch('login', [username, password],
+            () => this.request('POST', '/auth/login', { body: { username, password } }));
+        this.setToken(data.token);
+        return data;
+    }
+
+    async register(details) {
+        const data = await this.dispatch('register', [details],
+            () => this.request('POST', '/auth/register', { body: details }));
+        this.setToken(data.token);
+        return data;
+    }
+
+    verify() {
+        return this.dispatch('verify', [], () => this.request('GET', '/auth/verify'));
+    }
+
+    async logout() {
+        if (this.demo) await this.demo.logout();
+        this.clearToken();
+    }
+
+    changePassword(currentPassword, newPassword) {
+        return this.dispatch('changePassword', [currentPassword, newPassword],
+            () => this.request('POST', '/auth/change-password', { body: { currentPassword, newPassword } }));
+    }
+
+    // ===== USERS =====
+
+    getProfile() {
+        return this.dispatch('getProfile', [], () => this.request('GET', '/users/me'));
+    }
+
+    updateProfile(changes) {
+        return this.dispatch('updateProfile', [changes], () => this.request('PUT', '/users/me', { body: changes }));
+    }
+
+    listUsers() {
+        return this.dispatch('listUsers', [], () => this.request('GET', '/users'));
+    }
+
+    updateUserRole(userId, role) {
+        return this.dispatch('updateUserRole', [userId, role],
+            () => this.request('PUT', `/users/${encodeURIComponent(userId)}/role`, { body: { role } }));
+    }
+
+    deleteUser(userId) {
+        return this.dispatch('deleteUser', [userId],
+            () => this.request('DELETE', `/users/${encodeURIComponent(userId)}`));
+    }
+
+    // ===== POSTS =====
+
+    getPosts(params = {}) {
+        return this.dispatch('getPosts', [params], () => this.request('GET', '/posts', { query: params }));
+    }
+
+    getPost(idOrSlug) {
+        return this.dispatch('getPost', [idOrSlug],
+            () => this.request('GET', `/posts/${encodeURIComponent(idOrSlug)}`));
+    }
+
+    // Follows the redirect of a slug the post has since moved away from
+    getPostBySlug(slug) {
+        return this.dispatch('getPostBySlug', [slug],
+            () => this.request('GET', `/posts/by-slug/${encodeURIComponent(slug)}`));
+    }
+
+    createPost(post) {
+        return this.dispatch('createPost', [post], () => this.request('POST', '/posts', { body: post }));
+    }
+
+    updatePost(postId, changes) {
+        return this.dispatch('updatePost', [postId, changes],
+            () => this.request('PUT', `/posts/${encodeURIComponent(postId)}`, { body: changes }));
+    }
+
+    deletePost(postId) {
+        return this.dispatch('deletePost', [postId],
+            () => this.request('DELETE', `/posts/${encodeURIComponent(postId)}`));
+    }
+
+    getRevisions(postId) {
+        return this.dispatch('getRevisions', [postId],
+            () => this.request('GET', `/posts/${encodeURIComponent(postId)}/revisions`));
+    }
+
+    restoreRevision(postId, revisionId) {
+        return this.dispatch('restoreRevision', [postId, revisionId],
+            () => this.request('POST', `/posts/${encodeURIComponent(postId)}/revisions/${encodeURIComponent(revisionId)}/restore`));
+    }
+
+    // ===== CATEGORIES & TAGS =====
+
+    getCategories() {
+        return this.dispatch('getCategories', [], () => this.request('GET', '/categories'));
+    }
+
+    createCategory(category) {
+        return this.dispatch('createCategory', [category], () => this.request('POST', '/categories', { body: category }));
+    }
+
+    updateCategory(slug, changes) {
+        return this.dispatch('updateCategory', [slug, changes],
+            () => this.request('PUT', `/categories/${encodeURIComponent(slug)}`, { body: changes }));
+    }
+
+    deleteCategory(slug) {
+        return this.dispatch('deleteCategory', [slug],
+            () => this.request('DELETE', `/categories/${encodeURIComponent(slug)}`));
+    }
+
+    mergeCategories(slug, into) {
+        return this.dispatch('mergeCategories', [slug, into],
+            () => this.request('POST', `/categories/${encodeURIComponent(slug)}/merge`, { body: { into } }));
+    }
+
+    getTags() {
+        return this.dispatch('getTags', [], () => this.request('GET', '/tags'));
+    }
+
+    createTag(tag) {
+        return this.dispatch('createTag', [tag], () => this.request('POST', '/tags', { body: tag }));
+    }
+
+    updateTag(slug, changes) {
+        return this.dispatch('updateTag', [slug, changes],
+            () => this.request('PUT', `/tags/${encodeURIComponent(slug)}`, { body: changes }));
+    }
+
+    deleteTag(slug) {
+        return this.dispatch('deleteTag', [slug],
+            () => this.request('DELETE', `/tags/${encodeURIComponent(slug)}`));
+    }
+
+    mergeTags(slug, into) {
+        return this.dispatch('mergeTags', [slug, into],
+            () => this.request('POST', `/tags/${encodeURIComponent(slug)}/merge`, { body: { into } }));
+    }
+
+    // ===== ADMIN =====
+
+    getAdminStats() {
+        return this.dispatch('getAdminStats', [], () => this.request('GET', '/admin/stats'));
+    }
+
+    getAdminPosts(params = {}) {
+        return this.dispatch('getAdminPosts', [params], () => this.request('GET', '/admin/posts', { query: params }));
+    }
+
+    /**
+     * Apply one action to several posts
+     * @param {Array<string>} ids - Post ids
+     * @param {string} action - 'publish', 'unpublish', 'delete' or 'categorize'
+     * @param {Object} [options] - { category } for 'categorize'
+     * @returns {Promise<Object>} { message, results }
+     */
+    bulkUpdatePosts(ids, action, options = {}) {
+        return this.dispatch('bulkUpdatePosts', [ids, action, options],
+            () => this.request('POST', '/admin/posts/bulk', { body: { ids, action, ...options } }));
+    }
+
+    // ===== MEDIA =====
+
+    listMedia(params = {}) {
+        return this.dispatch('listMedia', [params], () => this.request('GET', '/media', { query: params }));
+    }
+
+    /**
+     * Upload an image or file to the media library
+     * @param {File} file - File picked by the user
+     * @param {string} [alt] - Description (used as the image alt text)
+     * @returns {Promise<Object>} { media }
+     */
+    uploadMedia(file, alt = '') {
+        const form = new FormData();
+        form.append('file', file);
+        form.append('alt', alt);
+        return this.dispatch('uploadMedia', [file, alt], () => this.request('POST', '/media', { body: form }));
+    }
+
+    deleteMedia(mediaId) {
+        return this.dispatch('deleteMedia', [mediaId],
+            () => this.request('DELETE', `/media/${encodeURIComponent(mediaId)}`));
+    }
+
+    // ===== COMMENTS =====
+
+    getComments(postId, params = {}) {
+        return this.dispatch('getComments', [postId, params],
+            () => this.request('GET', `/posts/${encodeURIComponent(postId)}/comments`, { query: params }));
+    }
+
+    /**
+     * Comment on a post
+     * @param {string} postId - Post id
+     * @param {Object} comment - { content, name (guests only), parentId (replies only) }
+     * @returns {Promise<Object>} { comment, message }
+     */
+    addComment(postId, comment) {
+        return this.dispatch('addComment', [postId, comment],
+            () => this.request('POST', `/posts/${encodeURIComponent(postId)}/comments`, { body: comment }));
+    }
+
+    listComments(params = {}) {
+        return this.dispatch('listComments', [params], () => this.request('GET', '/comments', { query: params }));
+    }
+
+    approveComment(commentId) {
+        return this.dispatch('approveComment', [commentId],
+            () => this.request('POST', `/comments/${encodeURIComponent(commentId)}/approve`));
+    }
+
+    rejectComment(commentId) {
+        return this.dispatch('rejectComment', [commentId],
+            () => this.request('POST', `/comments/${encodeURIComponent(commentId)}/reject`));
+    }
+
+    deleteComment(commentId) {
+        return this.dispatch('deleteComment', [commentId],
+            () => this.request('DELETE', `/comments/${encodeURIComponent(commentId)}`));
+    }
 }
 
 // Create global API client instance
-window.apiClient = new APIClient();
\ No newline at end of file
+window.APIError = APIError;
+window.apiClient = new APIClient(window.APP_CONFIG);
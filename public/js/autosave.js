@@ -0,0 +1,175 @@
+/**
+ * Digital Garden Blog - Editor Autosave
+ *
+ * Keeps the post being written safe from reloads, crashes and accidental
+ * navigation:
+ * - Every edit is copied to localStorage shortly after typing stops
+ * - Unsaved changes are periodically sent to the server (as a draft, by the
+ *   callback main.js supplies)
+ * - Tracks whether the editor holds changes that aren't on the server yet, so
+ *   main.js can warn before leaving and offer to restore the local copy
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const AUTOSAVE_STORAGE_KEY = 'editorAutosave';
+const AUTOSAVE_LOCAL_DELAY = 1000;      // ms after the last edit
+const AUTOSAVE_SERVER_INTERVAL = 30000; // ms between server saves
+
+/**
+ * EditorAutosave stores editor snapshots and decides when to save them
+ */
+class EditorAutosave {
+    /**
+     * @param {Object} options - Callbacks supplied by the editor
+     * @param {Function} options.read - Returns the current editor fields
+     * @param {Function} [options.context] - Returns extra data kept with each
+     *   local copy (e.g. which post is being edited)
+     * @param {Function} [options.saveRemote] - async (fields) => boolean; saves
+     *   the fields on the server, resolving false when it chose not to
+     * @param {Function} [options.onStatus] - Called with a short status message
+     */
+    constructor({ read, context = () => ({}), saveRemote = async () => false, onStatus = () => {} }) {
+        this.read = read;
+        this.context = context;
+        this.saveRemote = saveRemote;
+        this.onStatus = onStatus;
+
+        this.baseline = null;  // Serialized fields last known to be saved
+        this.localTimer = null;
+        this.serverTimer = null;
+        this.inFlight = null;  // Running server save, if any
+    }
+
+    /**
+     * Start the periodic server saves
+     */
+    start() {
+        if (this.serverTimer) return;
+        this.serverTimer = setInterval(() => this.saveToServer(), AUTOSAVE_SERVER_INTERVAL);
+    }
+
+    /**
+     * Treat the current editor content as saved, keeping any local copy
+     * (used when a post is loaded into the editor)
+     */
+    track() {
+        clearTimeout(this.localTimer);
+        this.baseline = JSON.stringify(this.read());
+    }
+
+    /**
+     * Treat the current editor content as saved and drop the local copy
+     */
+    markSaved() {
+        this.track();
+        this.discard();
+    }
+
+    /**
+     * Whether the editor holds changes that aren't saved
+     * @returns {boolean} True when there are unsaved changes
+     */
+    isDirty() {
+        return this.baseline !== null && JSON.stringify(this.read()) !== this.baseline;
+    }
+
+    /**
+     * Record an edit; the local copy is written once typing pauses
+     */
+    changed() {
+        clearTimeout(this.localTimer);
+        this.localTimer = setTimeout(() => this.saveLocal(), AUTOSAVE_LOCAL_DELAY);
+    }
+
+    /**
+     * Write the local copy right away (when there is something unsaved)
+     */
+    saveLocal() {
+        clearTimeout(this.localTimer);
+        if (!this.isDirty()) return;
+
+        const snapshot = {
+            context: this.context(),
+            fields: this.read(),
+            savedAt: new Date().toISOString()
+        };
+        try {
+            localStorage.setItem(AUTOSAVE_STORAGE_KEY, JSON.stringify(snapshot));
+            this.onStatus(`Saved on this device at ${new Date(snapshot.savedAt).toLocaleTimeString()}`);
+        } catch (error) {
+            console.warn('⚠️ Could not store the editor autosave:', error);
+        }
+    }
+
+    /**
+     * Send unsaved changes to the server
+     * Concurrent calls share one request.
+     * @returns {Promise<boolean>} True when the changes were saved
+     */
+    saveToServer() {
+        if (!this.inFlight) {
+            this.inFlight = this.runServerSave().finally(() => {
+                this.inFlight = null;
+            });
+        }
+        return this.inFlight;
+    }
+
+    async runServerSave() {
+        if (!this.isDirty()) return false;
+
+        const fields = this.read();
+        try {
+            if (!await this.saveRemote(fields)) return false;
+        } catch (error) {
+            console.error('💥 Autosave error:', error);
+            this.onStatus('Autosave failed - your changes are kept on this device');
+            return false;
+        }
+
+        // Edits made while the request ran are still unsaved
+        if (JSON.stringify(this.read()) === JSON.stringify(fields)) {
+            this.markSaved();
+        } else {
+            this.baseline = JSON.stringify(fields);
+        }
+        this.onStatus(`Draft saved at ${new Date().toLocaleTimeString()}`);
+        return true;
+    }
+
+    /**
+     * Wait for a running server save (before saving by hand)
+     * @returns {Promise} Resolves once no autosave request is running
+     */
+    settled() {
+        return this.inFlight || Promise.resolve(false);
+    }
+
+    /**
+     * Local copy worth restoring: one that differs from what the editor shows
+     * @returns {Object|null} Snapshot ({ context, fields, savedAt }) or null
+     */
+    pending() {
+        let snapshot = null;
+        try {
+            snapshot = JSON.parse(localStorage.getItem(AUTOSAVE_STORAGE_KEY));
+        } catch (error) {
+            this.discard();
+        }
+
+        if (!snapshot || !snapshot.fields) return null;
+        return JSON.stringify(snapshot.fields) === JSON.stringify(this.read()) ? null : snapshot;
+    }
+
+    /**
+     * Throw away the local copy
+     */
+    discard() {
+        localStorage.removeItem(AUTOSAVE_STORAGE_KEY);
+    }
+}
+
+// Exported for main.js, which creates the instance for the post editor
+window.EditorAutosave = EditorAutosave;
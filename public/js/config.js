@@ -1,22 +1,44 @@
 // ===== ENVIRONMENT CONFIGURATION =====
 
 // Configuration for different environments
+// DEMO_MODE: answer every API call from DemoAPI (demo-mode.js) instead of a server
+// API_TIMEOUT: milliseconds before a request to the server is abandoned
+// STATIC_INDEX: posts.json written by `npm run export`, read (read-only) when the server can't be reached
+
+// Ports of the local static servers (Live Server, `npm run serve`); pages
+// there call the backend on its default port, pages the backend serves
+// itself (any PORT, localhost or 127.0.0.1) call it on their own origin
+const STATIC_DEV_PORTS = ['5500', '8080'];
+const DEV_API_BASE_URL = location.protocol === 'file:' || STATIC_DEV_PORTS.includes(location.port)
+    ? 'http://127.0.0.1:9090/api'
+    : '/api';
+
 const CONFIG = {
     development: {
-        API_BASE_URL: 'http://127.0.0.1:9090/api',
+        API_BASE_URL: DEV_API_BASE_URL,
         APP_NAME: 'Digital Garden Blog (Dev)',
-        DEBUG: true
+        DEBUG: true,
+        DEMO_MODE: false,
+        API_TIMEOUT: 10000,
+        ROUTER_MODE: 'auto' // history when served by the backend, hash under Live Server
     },
     production: {
         API_BASE_URL: 'https://your-backend-api.com/api', // Replace with your deployed backend
         APP_NAME: 'Digital Garden Blog',
-        DEBUG: false
+        DEBUG: false,
+        DEMO_MODE: false, // true shows the sample posts from demo-mode.js instead
+        API_TIMEOUT: 10000,
+        ROUTER_MODE: 'auto',
+        STATIC_INDEX: 'posts.json' // Used until API_BASE_URL points at a running backend
     },
     netlify: {
-        API_BASE_URL: '/api', // Uses demo mode for static hosting
-        APP_NAME: 'Digital Garden Blog (Demo)',
+        API_BASE_URL: '/api', // Static hosting: falls back to STATIC_INDEX
+        APP_NAME: 'Digital Garden Blog',
         DEBUG: false,
-        DEMO_MODE: true
+        DEMO_MODE: false,
+        API_TIMEOUT: 10000,
+        ROUTER_MODE: 'history', // netlify.toml rewrites app URLs to blog.html
+        STATIC_INDEX: 'posts.json'
     }
 };
 
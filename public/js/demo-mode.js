@@ -13,37 +13,62 @@
 const DEMO_MODE = {
     enabled: true,
     mockUser: {
-        id: 1,
+        id: '1',
         username: 'admin',
         email: 'admin@digitalgarden.com',
-        name: 'Demo Admin'
+        name: 'Demo Admin',
+        role: 'admin'
     },
     mockPosts: [
         {
-            id: 1,
+            id: "1",
             title: "Welcome to Digital Garden 🌱",
+            slug: "welcome-to-digital-garden",
             content: "This is a demo post showing how the blog looks with content. In a full deployment, this would be connected to a MongoDB database with real user authentication.",
             author: "Demo Admin",
-            date: "2025-09-18",
+            authorId: "1",
+            category: "general",
+            status: "published",
+            publishAt: "2025-09-18T09:00:00.000Z",
+            views: 0,
+            createdAt: "2025-09-18T09:00:00.000Z",
+            updatedAt: "2025-09-18T09:00:00.000Z",
             tags: ["welcome", "demo"],
+            coverImage: null,
             excerpt: "Welcome to our beautiful digital garden blog..."
         },
         {
-            id: 2,
+            id: "2",
             title: "Features of This Blog 📝",
+            slug: "features-of-this-blog",
             content: "This blog includes:\n\n• Beautiful responsive design\n• Dark/Light theme toggle\n• User authentication (demo mode)\n• MongoDB integration (when backend is running)\n• Modern UI with animations\n• Mobile-friendly layout",
-            author: "Demo Admin", 
-            date: "2025-09-17",
+            author: "Demo Admin",
+            authorId: "1",
+            category: "technology",
+            status: "published",
+            publishAt: "2025-09-17T09:00:00.000Z",
+            views: 0,
+            createdAt: "2025-09-17T09:00:00.000Z",
+            updatedAt: "2025-09-17T09:00:00.000Z",
             tags: ["features", "design"],
+            coverImage: null,
             excerpt: "Explore all the amazing features built into this blog..."
         },
         {
-            id: 3,
+            id: "3",
             title: "How to Deploy with Backend 🚀",
+            slug: "how-to-deploy-with-backend",
             content: "To get full functionality:\n\n1. Deploy the Node.js backend to a service like Heroku, Railway, or Vercel\n2. Set up MongoDB Atlas database\n3. Update the API_BASE_URL in config.js\n4. Deploy frontend to Netlify/Vercel\n\nFor now, enjoy this static demo!",
             author: "Demo Admin",
-            date: "2025-09-16", 
+            authorId: "1",
+            category: "technology",
+            status: "published",
+            publishAt: "2025-09-16T09:00:00.000Z",
+            views: 0,
+            createdAt: "2025-09-16T09:00:00.000Z",
+            updatedAt: "2025-09-16T09:00:00.000Z",
             tags: ["deployment", "guide"],
+            coverImage: null,
             excerpt: "Learn how to deploy the full-stack version..."
         }
     ]
@@ -54,10 +79,30 @@ const DEMO_MODE = {
 class DemoAPI {
     constructor() {
         this.isLoggedIn = localStorage.getItem('demo_logged_in') === 'true';
-        this.posts = JSON.parse(localStorage.getItem('demo_posts')) || DEMO_MODE.mockPosts;
+        this.posts = this.loadPostsFromStorage();
         this.savePostsToStorage();
     }
 
+    /**
+     * Read saved demo posts, upgrading ones stored by older versions
+     * (numeric ids, `date` instead of createdAt, no category or status)
+     * to the canonical schema in post-model.js
+     */
+    loadPostsFromStorage() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem('demo_posts'));
+        } catch (error) {
+            console.warn('⚠️ Discarding unreadable demo posts');
+        }
+
+        const posts = Array.isArray(stored) ? stored : DEMO_MODE.mockPosts;
+        const outdated = posts.filter(post => !window.PostModel.isCanonical(post)).length;
+        if (outdated) console.log(`🔄 Migrated ${outdated} demo posts to the current schema`);
+
+        return posts.map(post => window.PostModel.normalizePost(post));
+    }
+
     savePostsToStorage() {
         localStorage.setItem('demo_posts', JSON.stringify(this.posts));
     }
@@ -96,18 +141,88 @@ class DemoAPI {
         });
     }
 
-    async getPosts() {
+    async verify() {
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                if (this.isLoggedIn) {
+                    resolve({ success: true, user: this.getCurrentUser() });
+                } else {
+                    resolve({ success: false, message: 'Not authenticated' });
+                }
+            }, 200);
+        });
+    }
+
+    async getProfile() {
+        return this.verify();
+    }
+
+    async getPosts(query = {}) {
         return new Promise((resolve) => {
             setTimeout(() => {
+                const { value: options, errors } = window.PostModel.validateListQuery(query);
+                if (errors.length) {
+                    resolve({ success: false, message: errors[0] });
+                    return;
+                }
+
+                // Like the server: only live posts unless ?status= is asked for by a logged in user
+                let visible = this.posts.filter(post => window.PostModel.isLive(post));
+                if (query.status) {
+                    if (!this.isLoggedIn) {
+                        resolve({ success: false, message: 'Not authenticated' });
+                        return;
+                    }
+                    const statuses = query.status === 'all' ? window.PostModel.STATUSES : query.status.split(',');
+                    visible = this.posts.filter(post => statuses.includes(window.PostModel.effectiveStatus(post)));
+                }
+
+                const posts = window.PostModel.filterPosts(visible, query);
                 resolve({
                     success: true,
-                    posts: this.posts
+                    ...window.PostModel.paginatePosts(posts, options)
                 });
             }, 300);
         });
     }
 
-    async createPost(title, content, tags = []) {
+    async getPost(idOrSlug) {
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                resolve(this.viewPost(this.posts.find(p => p.id === String(idOrSlug) || p.slug === idOrSlug)));
+            }, 200);
+        });
+    }
+
+    async getPostBySlug(slug) {
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                resolve(this.viewPost(window.PostModel.resolveSlug(this.posts, slug).post));
+            }, 200);
+        });
+    }
+
+    // Response for opening a post, counting a view of live posts
+    viewPost(post) {
+        if (!post || (!window.PostModel.isLive(post) && !this.isLoggedIn)) {
+            return { success: false, message: 'Post not found' };
+        }
+
+        if (window.PostModel.isLive(post)) {
+            post.views += 1;
+            this.savePostsToStorage();
+        }
+        return { success: true, post };
+    }
+
+    // Error message when another post already has or had the slug, otherwise null
+    slugTakenMessage(slug, exceptId) {
+        return window.PostModel.slugsInUse(this.posts, exceptId).has(slug)
+            ? `The URL slug "${slug}" is already used by another post`
+            : null;
+    }
+
+    async createPost(input) {
         return new Promise((resolve) => {
             setTimeout(() => {
                 if (!this.isLoggedIn) {
@@ -115,15 +230,31 @@ class DemoAPI {
                     return;
                 }
 
-                const newPost = {
-                    id: Date.now(),
-                    title,
-                    content,
-                    author: DEMO_MODE.mockUser.name,
-                    date: new Date().toISOString().split('T')[0],
-                    tags,
-                    excerpt: content.substring(0, 100) + '...'
-                };
+                const { value, errors } = window.PostModel.validatePost(input);
+                const lifecycle = window.PostModel.resolveLifecycle(value);
+                if (errors.length || lifecycle.errors.length) {
+                    resolve({ success: false, message: errors.concat(lifecycle.errors)[0] });
+                    return;
+                }
+
+                const slugTaken = value.slug && this.slugTakenMessage(value.slug);
+                if (slugTaken) {
+                    resolve({ success: false, message: slugTaken });
+                    return;
+                }
+
+                const user = this.getCurrentUser();
+                const now = new Date().toISOString();
+                const newPost = window.PostModel.normalizePost({
+                    ...value,
+                    ...lifecycle.value,
+                    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+                    slug: value.slug || window.PostModel.freeSlug(value.title, window.PostModel.slugsInUse(this.posts)),
+                    author: user.name || user.username,
+                    authorId: user.id,
+                    createdAt: now,
+                    updatedAt: now
+                });
 
                 this.posts.unshift(newPost);
                 this.savePostsToStorage();
@@ -137,6 +268,55 @@ class DemoAPI {
         });
     }
 
+    async updatePost(postId, changes) {
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                if (!this.isLoggedIn) {
+                    resolve({ success: false, message: 'Not authenticated' });
+                    return;
+                }
+
+                const index = this.posts.findIndex(p => p.id === String(postId));
+                if (index === -1) {
+                    resolve({ success: false, message: 'Post not found' });
+                    return;
+                }
+
+                const existing = this.posts[index];
+                const { value, errors } = window.PostModel.validatePost(changes, { partial: true });
+                const lifecycle = window.PostModel.resolveLifecycle({ ...existing, ...value });
+                if (errors.length || lifecycle.errors.length) {
+                    resolve({ success: false, message: errors.concat(lifecycle.errors)[0] });
+                    return;
+                }
+
+                // A live post's old slug keeps pointing at it
+                const moved = value.slug && value.slug !== existing.slug;
+                const slugTaken = moved && this.slugTakenMessage(value.slug, existing.id);
+                if (slugTaken) {
+                    resolve({ success: false, message: slugTaken });
+                    return;
+                }
+
+                const post = window.PostModel.normalizePost({
+                    ...existing,
+                    ...value,
+                    ...lifecycle.value,
+                    ...(moved && window.PostModel.isLive(existing) ? { previousSlugs: [existing.slug, ...existing.previousSlugs] } : {}),
+                    updatedAt: new Date().toISOString()
+                });
+                this.posts[index] = post;
+                this.savePostsToStorage();
+
+                resolve({
+                    success: true,
+                    post,
+                    message: 'Post updated successfully (demo mode)'
+                });
+            }, 400);
+        });
+    }
+
     async deletePost(postId) {
         return new Promise((resolve) => {
             setTimeout(() => {
@@ -145,7 +325,7 @@ class DemoAPI {
                     return;
                 }
 
-                this.posts = this.posts.filter(post => post.id !== postId);
+                this.posts = this.posts.filter(post => post.id !== String(postId));
                 this.savePostsToStorage();
                 
                 resolve({
@@ -156,6 +336,54 @@ class DemoAPI {
         });
     }
 
+    // Categories and tags come from the demo posts (managing them needs the server)
+    async getCategories() {
+        const live = this.posts.filter(post => window.PostModel.isLive(post));
+        return { success: true, categories: window.PostModel.summarizeTerms(live, 'categories', window.PostModel.DEFAULT_CATEGORIES) };
+    }
+
+    async getTags() {
+        const live = this.posts.filter(post => window.PostModel.isLive(post));
+        return { success: true, tags: window.PostModel.summarizeTerms(live, 'tags') };
+    }
+
+    async register() {
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                resolve({
+                    success: false,
+                    message: 'Sign up needs the backend server. Try admin/admin123 in demo mode'
+                });
+            }, 300);
+        });
+    }
+
+    async updateProfile(changes) {
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                if (!this.isLoggedIn) {
+                    resolve({ success: false, message: 'Not authenticated' });
+                    return;
+                }
+
+                const user = { ...this.getCurrentUser(), ...changes };
+                localStorage.setItem('demo_user', JSON.stringify(user));
+                resolve({ success: true, user });
+            }, 300);
+        });
+    }
+
+    async changePassword() {
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                resolve({
+                    success: false,
+                    message: 'Password changes are disabled in demo mode'
+                });
+            }, 300);
+        });
+    }
+
     getCurrentUser() {
         if (this.isLoggedIn) {
             return JSON.parse(localStorage.getItem('demo_user'));
@@ -181,8 +409,8 @@ function isStaticDeployment() {
 
 // ===== INITIALIZE DEMO MODE =====
 
-// Create global demo API instance if on static hosting
-if (isStaticDeployment()) {
+// Create global demo API instance when config.js enables demo mode
+if (window.APP_CONFIG && window.APP_CONFIG.DEMO_MODE) {
     window.demoAPI = new DemoAPI();
     
     // Show demo mode notification
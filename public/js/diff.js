@@ -0,0 +1,127 @@
+/**
+ * Digital Garden Blog - Text Diff
+ *
+ * Line-based diff used by the editor's revision history to compare two
+ * versions of a post side by side.
+ *
+ * diffLines() finds the longest common subsequence of lines after trimming
+ * the unchanged start and end; very large changes fall back to showing the
+ * middle as replaced so the browser never stalls.
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+// Largest (old lines × new lines) table diffLines will build
+const DIFF_MAX_CELLS = 4000000;
+
+/**
+ * Compare two texts line by line
+ * @param {string} oldText - Earlier version
+ * @param {string} newText - Later version
+ * @returns {Array<{type: string, text: string}>} Lines in order, each
+ *   'same', 'removed' (only in oldText) or 'added' (only in newText)
+ */
+function diffLines(oldText, newText) {
+    const a = String(oldText || '').replace(/\r\n?/g, '\n').split('\n');
+    const b = String(newText || '').replace(/\r\n?/g, '\n').split('\n');
+
+    // Unchanged lines at the start and end need no table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const head = a.slice(0, start).map(text => ({ type: 'same', text }));
+    const tail = a.slice(endA).map(text => ({ type: 'same', text }));
+    const oldLines = a.slice(start, endA);
+    const newLines = b.slice(start, endB);
+
+    const n = oldLines.length;
+    const m = newLines.length;
+    if (n * m > DIFF_MAX_CELLS) {
+        return head
+            .concat(oldLines.map(text => ({ type: 'removed', text })))
+            .concat(newLines.map(text => ({ type: 'added', text })))
+            .concat(tail);
+    }
+
+    // lengths[i * (m + 1) + j]: common lines between oldLines[i..] and newLines[j..]
+    const lengths = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lengths[i * (m + 1) + j] = oldLines[i] === newLines[j]
+                ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+                : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+        }
+    }
+
+    const middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (oldLines[i] === newLines[j]) {
+            middle.push({ type: 'same', text: oldLines[i] });
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+            middle.push({ type: 'removed', text: oldLines[i++] });
+        } else {
+            middle.push({ type: 'added', text: newLines[j++] });
+        }
+    }
+    while (i < n) middle.push({ type: 'removed', text: oldLines[i++] });
+    while (j < m) middle.push({ type: 'added', text: newLines[j++] });
+
+    return head.concat(middle, tail);
+}
+
+/**
+ * Arrange a diff in two columns, pairing removed lines with the added
+ * lines that replaced them
+ * @param {Array<{type: string, text: string}>} changes - Result of diffLines
+ * @returns {Array<{left: Object|null, right: Object|null}>} Rows; each side is
+ *   { number, text, type } or null where that version has no line
+ */
+function sideBySide(changes) {
+    const rows = [];
+    let leftNumber = 0;
+    let rightNumber = 0;
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+            rows.push({ left: removed[k] || null, right: added[k] || null });
+        }
+        removed = [];
+        added = [];
+    };
+
+    changes.forEach(change => {
+        if (change.type === 'removed') {
+            removed.push({ number: ++leftNumber, text: change.text, type: 'removed' });
+        } else if (change.type === 'added') {
+            added.push({ number: ++rightNumber, text: change.text, type: 'added' });
+        } else {
+            flush();
+            rows.push({
+                left: { number: ++leftNumber, text: change.text, type: 'same' },
+                right: { number: ++rightNumber, text: change.text, type: 'same' }
+            });
+        }
+    });
+    flush();
+
+    return rows;
+}
+
+// Export for main.js
+window.TextDiff = {
+    diffLines,
+    sideBySide
+};
@@ -6,7 +6,22 @@
  * 
  * Key Features:
  * - User authentication with localStorage persistence
+ * - All data access through window.apiClient (see api.js)
+ * - Account registration and profile management
+ * - Role-aware post actions (see permissions.js)
+ * - Markdown rendering with escaped output (see markdown.js)
  * - Dynamic blog post loading and display
+ * - Shareable post pages at /posts/:slug, with editable slugs (old ones redirect)
+ * - Search, category filters and tag pages reflected in the URL
+ * - Categories and tags from the API (filter bar, editor select, tag suggestions)
+ * - Sorting and paged loading ("Load more" and infinite scroll)
+ * - Drafts, scheduled posts and archiving ("My drafts" at /drafts)
+ * - Editor autosave with recovery of unsaved changes (see autosave.js)
+ * - Media library: image/file uploads and post cover images
+ * - Revision history with side-by-side diffs and restore (see diff.js)
+ * - Admin dashboard at /admin: site stats, bulk post actions, users and roles,
+ *   comment moderation queue
+ * - URL routing for sections (see router.js)
  * - Dark/Light theme switching
  * - Responsive navigation menu
  * - Real-time notifications
@@ -22,8 +37,88 @@ console.log('🚀 Digital Garden: JavaScript loading...');
 
 // ===== GLOBAL STATE VARIABLES =====
 let currentUser = null;        // Currently authenticated user object
-let posts = [];               // Array of blog posts fetched from API
+let posts = [];               // Blog posts loaded so far (one or more pages)
+let postsCursor = null;       // Cursor for the next page of posts (null when done)
+let postsTotal = 0;           // Number of posts matching the filters, across all pages
+let loadingMorePosts = false; // True while a "load more" request is running
+let loadMoreInView = false;   // True while the "Load more" button is on screen (infinite scroll)
+let drafts = [];              // The current user's unpublished posts (My drafts)
+let editingPost = null;       // Post loaded into the editor (null while writing a new one)
+let editorAutosave = null;    // Autosave for the post editor (see autosave.js)
+let mediaItems = [];          // Uploads shown in the editor's media library
+let revisions = [];           // Revisions of the post in the editor, newest first
+let commentsPost = null;      // Post whose comments are shown on the post page
 let currentTheme = 'light';   // Current theme (light/dark)
+let postFilters = {};         // Active posts list filters (category, tag, author, q) and sort
+let postsRequestId = 0;       // Ignores post lists that arrive after a newer request
+let categories = [];          // Managed categories with post counts (GET /api/categories)
+let tags = [];                // Managed tags with post counts, for the editor's tag suggestions
+let tagSuggestionIndex = -1;  // Highlighted tag suggestion (-1 when none)
+let adminTab = 'posts';       // Open admin dashboard tab (posts, users, comments)
+let adminPosts = [];          // Posts listed on the admin dashboard (one or more pages)
+let adminPostsCursor = null;  // Cursor for the next page of admin posts (null when done)
+let adminSelection = new Set(); // Ids of the admin posts picked for a bulk action
+
+// Query parameters understood by GET /api/posts and the posts page URL
+const POST_FILTER_KEYS = ['category', 'tag', 'author', 'q', 'sort'];
+
+// Longest comment and guest name the API accepts (server/comments.js)
+const COMMENT_MAX_LENGTH = 2000;
+const COMMENT_NAME_MAX_LENGTH = 60;
+
+// Posts fetched per page
+const POSTS_PAGE_SIZE = 9;
+
+// Statuses listed in "My drafts" (the largest page the API allows)
+const DRAFT_STATUSES = 'draft,scheduled,archived';
+const DRAFTS_LIMIT = 50;
+
+// Posts fetched per page on the admin dashboard (the largest page the API allows)
+const ADMIN_POSTS_PAGE_SIZE = 50;
+
+// Confirmation and progress wording for the admin bulk actions
+const BULK_ACTION_LABELS = {
+    publish: 'Publish',
+    unpublish: 'Move to drafts',
+    categorize: 'Move',
+    delete: 'Permanently delete'
+};
+
+// Labels for posts readers can't see (see PostModel.effectiveStatus)
+const STATUS_LABELS = {
+    draft: 'Draft',
+    scheduled: 'Scheduled',
+    archived: 'Archived'
+};
+
+// Most tags suggested at once while typing in the editor's tags field
+const TAG_SUGGESTIONS_LIMIT = 8;
+
+// Delay before a search box edit reloads the posts list
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Largest upload the server accepts (server/media.js)
+const MEDIA_MAX_SIZE = 5 * 1024 * 1024;
+
+// Post fields compared above the content diff in the revision history
+const REVISION_FIELD_LABELS = {
+    title: 'Title',
+    category: 'Category',
+    tags: 'Tags',
+    coverImage: 'Cover image',
+    status: 'Status',
+    publishAt: 'Publish at'
+};
+
+// Page titles per section (combined with APP_CONFIG.APP_NAME)
+const SECTION_TITLES = {
+    home: '',
+    posts: 'All Posts',
+    drafts: 'My Drafts',
+    create: 'Write',
+    about: 'About',
+    admin: 'Admin'
+};
 
 /**
  * Application initialization
@@ -47,15 +142,16 @@ function initializeApp() {
     
     try {
         // Check authentication
-        const token = localStorage.getItem('authToken');
+        const token = window.apiClient.getToken();
         console.log('🔑 Auth token found:', !!token);
         
         if (token) {
-            verifyAuthToken(token);
+            verifyAuthToken();
         } else {
             console.log('👤 No token, loading as guest');
             updateAuthUI();
             loadPosts();
+            loadTaxonomies();
         }
         
         // Bind all events
@@ -80,8 +176,13 @@ function initializeApp() {
 function initializeUI() {
     console.log('🎨 Initializing UI...');
     
-    // Ensure home section is active
-    showSection('home');
+    // Give section links real URLs so they can be opened in new tabs
+    document.querySelectorAll('a[data-section]').forEach(link => {
+        link.href = window.router.href(link.dataset.section);
+    });
+    
+    // Show whatever the URL points at (deep links, reloads, back/forward)
+    window.router.start(applyRoute);
     
     // Test if elements exist
     const requiredElements = [
@@ -102,111 +203,80 @@ function initializeUI() {
 }
 
 // Verify authentication token
-function verifyAuthToken(token) {
+async function verifyAuthToken() {
     console.log('🔍 Verifying auth token...');
     
-    // Use demo mode if on static hosting
-    if (window.demoAPI && window.isStaticDeployment && window.isStaticDeployment()) {
-        if (window.demoAPI.isAuthenticated()) {
-            currentUser = window.demoAPI.getCurrentUser();
-            console.log('✅ User verified (Demo Mode):', currentUser.username);
-            updateAuthUI();
-            loadPosts();
-        } else {
-            console.log('❌ Demo token invalid, removing...');
-            localStorage.removeItem('authToken');
-            updateAuthUI();
-            loadPosts();
-        }
-        return;
+    try {
+        const data = await window.apiClient.verify();
+        currentUser = data.user;
+        console.log(`✅ User verified${window.apiClient.isDemo ? ' (Demo Mode)' : ''}:`, currentUser.username);
+    } catch (error) {
+        console.log('❌ Token invalid, removing...', error.message);
+        window.apiClient.clearToken();
+        currentUser = null;
     }
     
-    // Original backend API call for development/production
-    fetch('/api/auth/verify', {
-        method: 'GET',
-        headers: { 
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-        }
-    })
-    .then(response => {
-        console.log('📡 Auth response status:', response.status);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        return response.json();
-    })
-    .then(data => {
-        console.log('📡 Auth response data:', data);
-        if (data.success && data.user) {
-            currentUser = data.user;
-            console.log('✅ User verified:', currentUser.username);
-            updateAuthUI();
-            loadPosts();
-        } else {
-            console.log('❌ Token invalid, removing...');
-            localStorage.removeItem('authToken');
-            updateAuthUI();
-            loadPosts();
+    updateAuthUI();
+    refreshPostLists();
+}
+
+// Load the first page of posts from API (limited to the active filters)
+async function loadPosts() {
+    console.log('📚 Loading posts...', postFilters);
+    const requestId = ++postsRequestId;
+    loadingMorePosts = false;
+    
+    try {
+        const data = await window.apiClient.getPosts({ ...postFilters, limit: POSTS_PAGE_SIZE });
+        if (requestId !== postsRequestId) return;
+        posts = data.posts || [];
+        postsCursor = data.nextCursor || null;
+        postsTotal = data.total || posts.length;
+        console.log(`✅ Loaded ${posts.length} of ${postsTotal} posts${window.apiClient.isDemo ? ' (Demo Mode)' : ''}`);
+    } catch (error) {
+        if (requestId !== postsRequestId) return;
+        console.error('Error loading posts:', error.message);
+        if (error.code === 'NETWORK_ERROR') {
+            console.log('💡 Backend not available - enable DEMO_MODE in config.js for static hosting');
         }
-    })
-    .catch(error => {
-        console.error('💥 Auth verification error:', error);
-        localStorage.removeItem('authToken');
-        updateAuthUI();
-        loadPosts();
-    });
+        posts = [];
+        postsCursor = null;
+        postsTotal = 0;
+    }
+    
+    renderPosts();
 }
 
-// Load posts from API
-function loadPosts() {
-    console.log('📚 Loading posts...');
+// Append the next page of posts to the grid
+async function loadMorePosts() {
+    if (!postsCursor || loadingMorePosts) return;
     
-    // Check if we're on a static hosting platform (not localhost)
-    const isStaticHosting = !window.location.hostname.includes('localhost') && !window.location.hostname.includes('127.0.0.1');
+    const requestId = postsRequestId;
+    loadingMorePosts = true;
+    updateLoadMore();
     
-    // Use demo mode if available and we're on static hosting
-    if (window.demoAPI && isStaticHosting) {
-        console.log('🎭 Using Demo Mode for posts');
-        window.demoAPI.getPosts().then(data => {
-            if (data.success) {
-                posts = data.posts || [];
-                renderPosts();
-                console.log(`✅ Loaded ${posts.length} posts (Demo Mode)`);
-            } else {
-                console.error('Failed to load posts:', data.message);
-                posts = [];
-                renderPosts();
-            }
-        }).catch(error => {
-            console.error('Error loading posts:', error);
-            posts = [];
-            renderPosts();
-        });
-        return;
+    try {
+        const data = await window.apiClient.getPosts({ ...postFilters, limit: POSTS_PAGE_SIZE, cursor: postsCursor });
+        if (requestId !== postsRequestId) return;
+        
+        const page = data.posts || [];
+        posts = posts.concat(page);
+        postsCursor = data.nextCursor || null;
+        postsTotal = data.total || posts.length;
+        appendPostCards(page);
+        console.log(`✅ Loaded ${posts.length} of ${postsTotal} posts`);
+    } catch (error) {
+        if (requestId !== postsRequestId) return;
+        console.error('Error loading more posts:', error);
+        showNotification(error.message || 'Could not load more posts', 'error');
+    } finally {
+        if (requestId === postsRequestId) {
+            loadingMorePosts = false;
+            updateLoadMore();
+            // Keep going while the end of the list is still visible
+            if (loadMoreInView) setTimeout(loadMorePosts, 0);
+        }
     }
-    
-    // Original backend API call for development/production
-    console.log('🌐 Attempting backend API connection...');
-    fetch('http://127.0.0.1:9090/api/posts')
-        .then(response => response.json())
-        .then(data => {
-            if (data.success) {
-                posts = data.posts || [];
-                renderPosts();
-                console.log(`✅ Loaded ${posts.length} posts`);
-            } else {
-                console.error('Failed to load posts:', data.message);
-                posts = [];
-                renderPosts();
-            }
-        })
-        .catch(error => {
-            console.error('Error loading posts:', error);
-            console.log('💡 Backend not available - this is normal for static hosting');
-            posts = [];
-            renderPosts();
-        });
 }
 
 // Update authentication UI
@@ -215,16 +285,83 @@ function updateAuthUI() {
     const userMenu = document.getElementById('userMenu');
     const usernameDisplay = document.getElementById('userName');
     
+    const userAvatar = document.getElementById('userAvatar');
+    
     if (currentUser) {
         if (authSection) authSection.classList.add('hidden');
         if (userMenu) userMenu.classList.remove('hidden');
-        if (usernameDisplay) usernameDisplay.textContent = currentUser.username;
-        console.log(`👤 Logged in as: ${currentUser.username}`);
+        if (usernameDisplay) usernameDisplay.textContent = getDisplayName(currentUser);
+        if (userAvatar) userAvatar.textContent = getAvatarInitial(currentUser);
+        console.log(`👤 Logged in as: ${currentUser.username} (${currentUser.role})`);
     } else {
         if (authSection) authSection.classList.remove('hidden');
         if (userMenu) userMenu.classList.add('hidden');
         console.log('👤 Not logged in');
     }
+    
+    // Only roles that can write see the "New Post" and "Drafts" shortcuts
+    document.querySelectorAll('.new-post-btn, .drafts-btn').forEach(button => {
+        button.classList.toggle('hidden', !canCreatePosts());
+    });
+    document.querySelectorAll('.admin-btn').forEach(button => {
+        button.classList.toggle('hidden', !canManageSite());
+    });
+}
+
+// Marker appended to success messages while DemoAPI answers requests
+function demoSuffix() {
+    return window.apiClient.isDemo ? ' (Demo Mode)' : '';
+}
+
+// Name shown for a user in the header and on posts
+function getDisplayName(user) {
+    return user.name || user.username;
+}
+
+// Single letter shown in the round avatar
+function getAvatarInitial(user) {
+    return getDisplayName(user).charAt(0).toUpperCase() || '?';
+}
+
+// Escape text before putting it into innerHTML (public/js/markdown.js)
+function escapeHtml(value) {
+    return window.Markdown.escapeHtml(value);
+}
+
+// Readable date for a post timestamp (posts follow public/js/post-model.js)
+function formatDate(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+}
+
+// Show the editor content rendered as Markdown
+function togglePreview() {
+    const preview = document.getElementById('postPreview');
+    const contentTextarea = document.getElementById('postContent');
+    const previewBtn = document.getElementById('previewBtn');
+    if (!preview || !contentTextarea) return;
+    
+    const showing = preview.classList.toggle('hidden') === false;
+    contentTextarea.classList.toggle('hidden', showing);
+    if (showing) {
+        preview.innerHTML = window.Markdown.render(contentTextarea.value) || '<p class="preview-empty">Nothing to preview yet.</p>';
+    }
+    if (previewBtn) {
+        previewBtn.innerHTML = showing ? '<i class="fas fa-pen"></i> Write' : '<i class="fas fa-eye"></i> Preview';
+    }
+}
+
+// Role checks shared with the server (public/js/permissions.js)
+function canCreatePosts() {
+    return window.Permissions.can(currentUser, 'posts:create');
+}
+
+function canEditPost(post) {
+    return window.Permissions.canEditPost(currentUser, post);
+}
+
+function canDeletePost(post) {
+    return window.Permissions.canDeletePost(currentUser, post);
 }
 
 // Render posts to the page
@@ -232,361 +369,1747 @@ function renderPosts() {
     const postsContainer = document.getElementById('postsGrid');
     if (!postsContainer) return;
     
+    updateLoadMore();
+    
+    if (posts.length === 0 && hasPostFilters()) {
+        postsContainer.innerHTML = `
+            <div class="empty-state">
+                <h3>No matching posts</h3>
+                <p>Nothing matches the current search and filters.</p>
+                <button class="btn btn-primary" onclick="clearPostFilters()">Clear filters</button>
+            </div>`;
+        return;
+    }
+    
     if (posts.length === 0) {
         postsContainer.innerHTML = `
             <div class="empty-state">
                 <h3>No posts yet</h3>
                 <p>Start writing your first post!</p>
-                ${currentUser ? '<button class="btn btn-primary" onclick="showSection(\'create\')">Create Your First Post</button>' : ''}
+                ${canCreatePosts() ? '<button class="btn btn-primary" onclick="showSection(\'create\')">Create Your First Post</button>' : ''}
             </div>`;
         return;
     }
     
-    postsContainer.innerHTML = posts.map(post => `
+    postsContainer.innerHTML = posts.map(renderPostCard).join('');
+}
+
+// Add cards for a newly loaded page without re-rendering the grid
+function appendPostCards(page) {
+    const postsContainer = document.getElementById('postsGrid');
+    if (!postsContainer) return;
+    postsContainer.insertAdjacentHTML('beforeend', page.map(renderPostCard).join(''));
+}
+
+// Show the "Load more" button and post count while more pages remain
+function updateLoadMore() {
+    const loadMore = document.getElementById('postsLoadMore');
+    const loadMoreBtn = document.getElementById('loadMoreBtn');
+    const postsCount = document.getElementById('postsCount');
+    if (!loadMore) return;
+    
+    loadMore.classList.toggle('hidden', !postsCursor);
+    if (postsCount) postsCount.textContent = `Showing ${posts.length} of ${postsTotal} posts`;
+    if (loadMoreBtn) {
+        loadMoreBtn.disabled = loadingMorePosts;
+        loadMoreBtn.innerHTML = loadingMorePosts
+            ? '<i class="fas fa-spinner fa-spin"></i> Loading...'
+            : '<i class="fas fa-arrow-down"></i> Load more';
+    }
+}
+
+// Badge for posts readers can't see yet (nothing for live posts)
+function renderStatusBadge(post) {
+    const status = window.PostModel.effectiveStatus(post);
+    if (!STATUS_LABELS[status]) return '';
+    
+    const title = status === 'scheduled' ? ` title="Goes live ${escapeHtml(new Date(post.publishAt).toLocaleString())}"` : '';
+    return `<span class="post-status post-status-${status}"${title}>${STATUS_LABELS[status]}</span>`;
+}
+
+// HTML for one post card
+function renderPostCard(post) {
+    const date = window.PostModel.displayDate(post);
+    const archived = post.status === 'archived';
+    return `
         <article class="post-card">
+            ${post.coverImage ? `<img class="post-card-cover" src="${escapeHtml(post.coverImage)}" alt="" loading="lazy">` : ''}
             <div class="post-header">
                 <div class="post-meta">
-                    <span class="post-category">${post.category || 'General'}</span>
-                    <time class="post-date">${new Date(post.createdAt).toLocaleDateString()}</time>
+                    <span class="post-category">${escapeHtml(post.category || 'General')}</span>
+                    ${renderStatusBadge(post)}
+                    <time class="post-date" datetime="${escapeHtml(date)}">${escapeHtml(formatDate(date))}</time>
                 </div>
-                ${currentUser ? `
+                ${canEditPost(post) || canDeletePost(post) ? `
                 <div class="post-actions">
-                    <button class="btn-icon" onclick="editPost('${post._id}')" title="Edit">
+                    ${canEditPost(post) ? `
+                    <button class="btn-icon" onclick="editPost('${escapeHtml(post.id)}')" title="Edit">
                         <i class="fas fa-edit"></i>
                     </button>
-                    <button class="btn-icon" onclick="deletePost('${post._id}')" title="Delete">
+                    <button class="btn-icon" onclick="setPostStatus('${escapeHtml(post.id)}', '${archived ? 'draft' : 'archived'}')" title="${archived ? 'Restore as draft' : 'Archive'}">
+                        <i class="fas ${archived ? 'fa-box-open' : 'fa-box-archive'}"></i>
+                    </button>
+                    ` : ''}
+                    ${canDeletePost(post) ? `
+                    <button class="btn-icon" onclick="deletePost('${escapeHtml(post.id)}')" title="Delete">
                         <i class="fas fa-trash"></i>
                     </button>
+                    ` : ''}
                 </div>
                 ` : ''}
             </div>
-            <h3 class="post-title">${post.title}</h3>
-            <p class="post-excerpt">${post.content.substring(0, 150)}...</p>
+            <h3 class="post-title">
+                <a href="${escapeHtml(getPostUrl(post))}" onclick="event.preventDefault(); viewPost('${escapeHtml(post.slug)}')">${escapeHtml(post.title)}</a>
+            </h3>
+            <p class="post-excerpt">${escapeHtml(post.excerpt)}</p>
             <div class="post-footer">
                 <div class="post-tags">
-                    ${(post.tags || []).map(tag => `<span class="tag">${tag}</span>`).join('')}
+                    ${post.tags.map(renderTagLink).join('')}
                 </div>
-                <button class="btn btn-ghost" onclick="viewPost('${post._id}')">
+                ${post.commentCount !== undefined ? `
+                <span class="post-comment-count" title="Comments">
+                    <i class="fas fa-comment"></i> ${post.commentCount}
+                </span>
+                ` : ''}
+                <a class="btn btn-ghost" href="${escapeHtml(getPostUrl(post))}" onclick="event.preventDefault(); viewPost('${escapeHtml(post.slug)}')">
                     Read More <i class="fas fa-arrow-right"></i>
-                </button>
+                </a>
             </div>
         </article>
-    `).join('');
+    `;
+}
+
+// Display the section (or post) a route points at
+function applyRoute(route) {
+    console.log(`🧭 Route: ${route.section}`, route.params);
+    
+    if (route.section === 'post') {
+        openPost(route.params.slug, { updateHistory: false });
+    } else {
+        if (route.section === 'posts') {
+            // tags/:tag and categories/:category (static exports) are filtered lists too
+            postFilters = readPostFilters({ ...route.query, ...route.params });
+        }
+        showSection(route.section, { updateHistory: false });
+    }
+}
+
+// Set document.title from the app name in config.js
+function setPageTitle(title) {
+    const appName = (window.APP_CONFIG && window.APP_CONFIG.APP_NAME) || 'Digital Garden';
+    document.title = title ? `${title} - ${appName}` : appName;
+}
+
+// Show section function (returns false if the user chose to stay in the editor)
+function showSection(sectionId, { updateHistory = true } = {}) {
+    console.log(`📄 Showing section: ${sectionId}`);
+    
+    if (!confirmLeaveEditor(sectionId)) {
+        // Back/forward already changed the URL; point it at the editor again
+        if (!updateHistory) window.router.navigate('create');
+        return false;
+    }
+    
+    // Hide all sections
+    const sections = document.querySelectorAll('.section');
+    sections.forEach(section => section.classList.remove('active'));
+    
+    // Show target section
+    const targetSection = document.getElementById(sectionId);
+    if (targetSection) {
+        targetSection.classList.add('active');
+    }
+    
+    // Update navigation
+    const navLinks = document.querySelectorAll('.nav-link');
+    navLinks.forEach(link => link.classList.remove('active'));
+    
+    // Post pages belong to the Posts nav item
+    const navSection = sectionId === 'post' ? 'posts' : sectionId;
+    const activeLink = document.querySelector(`.nav-link[data-section="${navSection}"]`);
+    if (activeLink) {
+        activeLink.classList.add('active');
+    }
+    
+    // Post pages set their own URL and title once the post is loaded
+    if (sectionId !== 'post') {
+        setPageTitle(SECTION_TITLES[sectionId]);
+        if (updateHistory) {
+            window.router.navigate(sectionId, {}, { query: sectionId === 'posts' ? postFilters : {} });
+        }
+    }
+    
+    // Special handling for posts section
+    if (sectionId === 'posts') {
+        updateFilterUI();
+        loadPosts(); // Refresh posts when viewing posts section
+    }
+    
+    if (sectionId === 'drafts') {
+        loadDrafts();
+    }
+    
+    if (sectionId === 'admin') {
+        loadAdmin();
+    }
+    
+    if (sectionId === 'create') {
+        offerAutosaveRestore();
+    }
+    return true;
+}
+
+// ===== POST FILTERS (category, tag, author, search) =====
+
+// Pick the known, non-empty filters from a query object
+function readPostFilters(query = {}) {
+    const filters = {};
+    POST_FILTER_KEYS.forEach(key => {
+        const value = String(query[key] || '').trim();
+        if (value) filters[key] = value;
+    });
+    return filters;
+}
+
+// True when a filter (not just a sort order) narrows the list
+function hasPostFilters() {
+    return Object.keys(postFilters).some(key => key !== 'sort');
+}
+
+// Change the active filters, update the URL and reload the list
+function setPostFilters(changes, { replace = false } = {}) {
+    postFilters = readPostFilters({ ...postFilters, ...changes });
+    
+    if (document.getElementById('posts').classList.contains('active')) {
+        window.router.navigate('posts', {}, { query: postFilters, replace });
+        updateFilterUI();
+        loadPosts();
+    } else {
+        showSection('posts');
+    }
+}
+
+function clearPostFilters() {
+    postFilters = postFilters.sort ? { sort: postFilters.sort } : {};
+    setPostFilters({});
+}
+
+// Show every post carrying a tag (the tag page)
+function filterByTag(tag) {
+    postFilters = postFilters.sort ? { sort: postFilters.sort } : {};
+    setPostFilters({ tag });
+    window.scrollTo(0, 0);
+}
+
+// Clickable tag linking to its tag page (handled in bindEvents)
+function renderTagLink(tag) {
+    const url = window.router.href('posts', {}, { tag });
+    return `<a class="tag" href="${escapeHtml(url)}" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</a>`;
+}
+
+// Sync the search box, category buttons and filter chips with postFilters
+function updateFilterUI() {
+    const searchInput = document.getElementById('postSearch');
+    if (searchInput && document.activeElement !== searchInput) {
+        searchInput.value = postFilters.q || '';
+    }
+    
+    const sortSelect = document.getElementById('postSort');
+    if (sortSelect) sortSelect.value = postFilters.sort || 'newest';
+    
+    const category = postFilters.category ? window.PostModel.slugify(postFilters.category) : 'all';
+    document.querySelectorAll('.filter-btn[data-filter]').forEach(button => {
+        button.classList.toggle('active', button.dataset.filter === category);
+    });
+    
+    const activeFilters = document.getElementById('activeFilters');
+    if (!activeFilters) return;
+    
+    const chips = [];
+    if (postFilters.tag) chips.push({ key: 'tag', label: `#${postFilters.tag}` });
+    if (postFilters.author) chips.push({ key: 'author', label: `by ${postFilters.author}` });
+    if (postFilters.q) chips.push({ key: 'q', label: `"${postFilters.q}"` });
+    
+    activeFilters.classList.toggle('hidden', chips.length === 0);
+    activeFilters.innerHTML = chips.length ? `
+        <span>Filtered by</span>
+        ${chips.map(chip => `
+            <button class="filter-chip" data-clear-filter="${chip.key}" title="Remove filter">
+                ${escapeHtml(chip.label)} <i class="fas fa-times"></i>
+            </button>
+        `).join('')}` : '';
+}
+
+// Show modal function
+function showModal(modalId) {
+    const modalOverlay = document.getElementById('modalOverlay');
+    if (modalOverlay) {
+        // Only show the requested modal inside the shared overlay
+        modalOverlay.querySelectorAll('.modal').forEach(modal => {
+            modal.classList.toggle('hidden', modal.id !== modalId);
+        });
+        
+        modalOverlay.classList.remove('hidden');
+        modalOverlay.style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+    }
+}
+
+// Close modal function
+function closeModal() {
+    const modalOverlay = document.getElementById('modalOverlay');
+    if (modalOverlay) {
+        modalOverlay.classList.add('hidden');
+        modalOverlay.style.display = 'none';
+    }
+    document.body.style.overflow = 'auto';
+}
+
+// ===== CATEGORIES & TAGS =====
+
+// Load the categories and tags, then refresh the filter bar and the editor's category list
+async function loadTaxonomies() {
+    try {
+        const [categoryData, tagData] = await Promise.all([
+            window.apiClient.getCategories(),
+            window.apiClient.getTags()
+        ]);
+        categories = categoryData.categories || [];
+        tags = tagData.tags || [];
+        console.log(`✅ Loaded ${categories.length} categories and ${tags.length} tags`);
+    } catch (error) {
+        console.error('Error loading categories and tags:', error);
+        return;
+    }
+    
+    renderCategoryFilters();
+    renderCategoryOptions();
+}
+
+// Category buttons of the posts list (categories without live posts are left out)
+function renderCategoryFilters() {
+    const container = document.getElementById('categoryFilters');
+    if (!container) return;
+    
+    container.innerHTML = [
+        '<button class="filter-btn" data-filter="all">All</button>',
+        ...categories.filter(category => category.postCount > 0).map(category => `
+            <button class="filter-btn" data-filter="${escapeHtml(category.slug)}"${category.description ? ` title="${escapeHtml(category.description)}"` : ''}>
+                ${escapeHtml(category.name)}
+            </button>`)
+    ].join('');
+    updateFilterUI();
+}
+
+// Category as posts store it (see PostModel.validatePost)
+function categoryValue(name) {
+    return String(name || window.PostModel.DEFAULT_CATEGORY).trim().toLowerCase();
+}
+
+// Options of the editor's category select, keeping the current choice
+function renderCategoryOptions() {
+    const select = document.getElementById('postCategory');
+    if (!select || !categories.length) return;
+    
+    const current = select.value;
+    select.innerHTML = categories
+        .map(category => `<option value="${escapeHtml(categoryValue(category.name))}">${escapeHtml(category.name)}</option>`)
+        .join('');
+    setCategoryValue(current);
+}
+
+// Select a category in the editor, adding it when the list doesn't have it
+function setCategoryValue(name) {
+    const select = document.getElementById('postCategory');
+    const value = categoryValue(name);
+    if (![...select.options].some(option => option.value === value)) {
+        select.add(new Option(value, value));
+    }
+    select.value = value;
+}
+
+// Suggest known tags matching the one being typed (the text after the last comma)
+function updateTagSuggestions() {
+    const input = document.getElementById('postTags');
+    const list = document.getElementById('tagSuggestions');
+    
+    const entered = input.value.split(',');
+    const typed = entered.pop().trim().toLowerCase();
+    const chosen = entered.map(tag => window.PostModel.slugify(tag));
+    const matches = typed
+        ? tags
+            .filter(tag => tag.name.toLowerCase().includes(typed) && !chosen.includes(tag.slug))
+            .sort((a, b) => Number(b.name.toLowerCase().startsWith(typed)) - Number(a.name.toLowerCase().startsWith(typed)) || b.postCount - a.postCount)
+            .slice(0, TAG_SUGGESTIONS_LIMIT)
+        : [];
+    
+    tagSuggestionIndex = -1;
+    list.innerHTML = matches.map(tag => `
+        <li role="option" data-tag-suggestion="${escapeHtml(tag.name)}">
+            ${escapeHtml(tag.name)} <small>${tag.postCount} ${tag.postCount === 1 ? 'post' : 'posts'}</small>
+        </li>`).join('');
+    list.classList.toggle('hidden', matches.length === 0);
+    input.setAttribute('aria-expanded', String(matches.length > 0));
+}
+
+function hideTagSuggestions() {
+    document.getElementById('tagSuggestions').classList.add('hidden');
+    document.getElementById('postTags').setAttribute('aria-expanded', 'false');
+    tagSuggestionIndex = -1;
+}
+
+// Replace the tag being typed with a suggestion
+function pickTagSuggestion(name) {
+    const input = document.getElementById('postTags');
+    const entered = input.value.split(',').slice(0, -1).map(tag => tag.trim()).filter(tag => tag);
+    input.value = `${[...entered, name].join(', ')}, `;
+    // Let autosave (and the suggestions) see the change
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.focus();
+}
+
+// Arrow keys move through the suggestions, Enter picks one, Escape closes them
+function handleTagSuggestionKey(e) {
+    const list = document.getElementById('tagSuggestions');
+    const options = [...list.querySelectorAll('[data-tag-suggestion]')];
+    if (list.classList.contains('hidden') || !options.length) return;
+    
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        tagSuggestionIndex = (tagSuggestionIndex + step + options.length) % options.length;
+        options.forEach((option, index) => {
+            option.classList.toggle('active', index === tagSuggestionIndex);
+            option.setAttribute('aria-selected', String(index === tagSuggestionIndex));
+        });
+    } else if (e.key === 'Enter' && tagSuggestionIndex >= 0) {
+        e.preventDefault();
+        pickTagSuggestion(options[tagSuggestionIndex].dataset.tagSuggestion);
+    } else if (e.key === 'Escape') {
+        hideTagSuggestions();
+    }
+}
+
+// ===== POST PAGES (/posts/:slug) =====
+
+// URL of a post page (see router.js)
+function getPostUrl(post) {
+    return window.router.href('post', { slug: post.slug });
+}
+
+// Fetch a post by slug or id (this also counts a view), falling back to
+// the loaded list when the API can't be reached
+async function fetchPost(slug) {
+    try {
+        const data = await window.apiClient.getPostBySlug(slug);
+        return data.post || null;
+    } catch (error) {
+        if (error.status === 404 || error.code === 'DEMO_ERROR') return null;
+        
+        const loaded = window.PostModel.resolveSlug(posts, slug).post;
+        if (loaded) return loaded;
+        throw error;
+    }
+}
+
+// Show a post on its own page
+async function openPost(slug, { updateHistory = true } = {}) {
+    console.log(`📖 Opening post: ${slug}`);
+    
+    let post = null;
+    try {
+        post = await fetchPost(slug);
+    } catch (error) {
+        console.error('Error loading post:', error);
+    }
+    
+    if (!showSection('post', { updateHistory: false })) return;
+    renderPostPage(post);
+    setPageTitle(post ? post.title : 'Post not found');
+    
+    // An old slug shows the post under its current URL
+    if (post && (updateHistory || post.slug !== slug)) {
+        window.router.navigate('post', { slug: post.slug }, { replace: !updateHistory });
+    }
+    window.scrollTo(0, 0);
+}
+
+// Fill the post page with a post's full content
+function renderPostPage(post) {
+    const postPage = document.getElementById('postPage');
+    if (!postPage) return;
+    
+    if (!post) {
+        postPage.innerHTML = `
+            <div class="post-not-found">
+                <h2>Post not found</h2>
+                <p>It may have been moved or deleted.</p>
+                <button class="btn btn-primary" onclick="closePost()">Browse all posts</button>
+            </div>`;
+        return;
+    }
+    
+    const minutes = window.PostModel.readingTime(post.content);
+    
+    postPage.innerHTML = `
+        <div class="post-page-nav">
+            <button class="btn btn-ghost" onclick="closePost()">
+                <i class="fas fa-arrow-left"></i> Back to posts
+            </button>
+            <button class="btn btn-ghost" onclick="copyPostLink()">
+                <i class="fas fa-link"></i> Copy link
+            </button>
+        </div>
+        <header class="post-page-header">
+            <span class="post-category">${escapeHtml(post.category || 'General')}</span>
+            ${renderStatusBadge(post)}
+            <h1 class="post-page-title">${escapeHtml(post.title)}</h1>
+            <div class="post-page-meta">
+                <span><i class="fas fa-user"></i>${escapeHtml(post.author || 'Anonymous')}</span>
+                <time datetime="${escapeHtml(window.PostModel.displayDate(post))}"><i class="fas fa-calendar"></i>${escapeHtml(formatDate(window.PostModel.displayDate(post)))}</time>
+                <span><i class="fas fa-clock"></i>${minutes} min read</span>
+            </div>
+        </header>
+        ${post.coverImage ? `<img class="post-page-cover" src="${escapeHtml(post.coverImage)}" alt="">` : ''}
+        <div class="markdown-body post-page-content">
+            ${window.Markdown.render(post.content)}
+        </div>
+        ${(post.tags || []).length ? `
+        <footer class="post-page-footer">
+            <div class="post-tags">
+                ${post.tags.map(renderTagLink).join('')}
+            </div>
+        </footer>
+        ` : ''}
+        ${window.PostModel.isLive(post) ? `
+        <section class="post-comments">
+            <h2 id="commentsTitle">Comments</h2>
+            <div id="commentList" class="comment-list"></div>
+            ${renderCommentForm(null)}
+        </section>
+        ` : ''}`;
+    
+    commentsPost = window.PostModel.isLive(post) ? post : null;
+    if (commentsPost) loadComments();
+}
+
+// View post function (used by the post cards)
+function viewPost(slug) {
+    openPost(slug);
+}
+
+// Leave the post page for the posts list
+function closePost() {
+    showSection('posts');
+}
+
+// Copy the current post's URL for sharing
+async function copyPostLink() {
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        showNotification('Link copied to clipboard!', 'success');
+    } catch (error) {
+        console.error('Copy link error:', error);
+        showNotification('Could not copy the link', 'error');
+    }
+}
+
+// ===== COMMENTS =====
+
+function canModerateComments() {
+    return window.Permissions.can(currentUser, 'comments:moderate');
+}
+
+// Load the comments of the post on the post page (moderators also see pending ones)
+async function loadComments() {
+    const commentList = document.getElementById('commentList');
+    if (!commentsPost || !commentList) return;
+    
+    const postId = commentsPost.id;
+    commentList.innerHTML = '<p class="panel-empty">Loading comments...</p>';
+    try {
+        const data = await window.apiClient.getComments(postId, canModerateComments() ? { status: 'all' } : {});
+        if (!commentsPost || commentsPost.id !== postId) return; // Another post was opened meanwhile
+        
+        const title = document.getElementById('commentsTitle');
+        if (title) title.textContent = data.total ? `Comments (${data.total})` : 'Comments';
+        commentList.innerHTML = data.comments.length
+            ? data.comments.map(comment => renderComment(comment)).join('')
+            : '<p class="panel-empty">No comments yet. Be the first to share your thoughts!</p>';
+    } catch (error) {
+        console.error('Error loading comments:', error);
+        commentList.innerHTML = `<p class="panel-empty">${escapeHtml(error.message || 'Could not load the comments')}</p>`;
+    }
+}
+
+// HTML for a comment and its replies (comments are plain text)
+function renderComment(comment, isReply = false) {
+    const id = escapeHtml(comment.id);
+    const pending = comment.status === 'pending';
+    const moderator = canModerateComments();
+    return `
+        <article class="comment${isReply ? ' comment-reply' : ''}${pending ? ' comment-pending' : ''}">
+            <header class="comment-meta">
+                <strong>${escapeHtml(comment.author)}</strong>
+                <time datetime="${escapeHtml(comment.createdAt)}">${escapeHtml(new Date(comment.createdAt).toLocaleString())}</time>
+                ${pending ? '<span class="post-status post-status-draft">Awaiting approval</span>' : ''}
+            </header>
+            <p class="comment-content">${escapeHtml(comment.content).replace(/\n/g, '<br>')}</p>
+            <div class="comment-actions">
+                ${!isReply && !pending ? `
+                <button type="button" class="btn btn-ghost btn-small" onclick="toggleReplyForm('${id}')">
+                    <i class="fas fa-reply"></i> Reply
+                </button>
+                ` : ''}
+                ${moderator && pending ? `
+                <button type="button" class="btn btn-ghost btn-small" onclick="moderateComment('${id}', 'approve')">
+                    <i class="fas fa-check"></i> Approve
+                </button>
+                <button type="button" class="btn btn-ghost btn-small" onclick="moderateComment('${id}', 'reject')">
+                    <i class="fas fa-ban"></i> Reject
+                </button>
+                ` : ''}
+                ${moderator ? `
+                <button type="button" class="btn btn-ghost btn-small" onclick="moderateComment('${id}', 'delete')" title="Delete">
+                    <i class="fas fa-trash"></i>
+                </button>
+                ` : ''}
+            </div>
+            ${isReply ? '' : `
+            <div id="replyForm-${id}"></div>
+            ${(comment.replies || []).length ? `
+            <div class="comment-replies">
+                ${comment.replies.map(reply => renderComment(reply, true)).join('')}
+            </div>
+            ` : ''}
+            `}
+        </article>`;
+}
+
+// HTML for the comment form (parentId set for replies)
+function renderCommentForm(parentId) {
+    const target = parentId ? `'${escapeHtml(parentId)}'` : 'null';
+    return `
+        <form class="comment-form" onsubmit="submitComment(event, ${target})">
+            ${currentUser ? '' : `
+            <input type="text" name="name" placeholder="Your name" maxlength="${COMMENT_NAME_MAX_LENGTH}" required>
+            `}
+            <textarea name="content" rows="${parentId ? 2 : 4}" maxlength="${COMMENT_MAX_LENGTH}" placeholder="${parentId ? 'Write a reply...' : 'Share your thoughts...'}" required></textarea>
+            <div class="comment-form-actions">
+                ${canCreatePosts() ? '' : '<small>Your comment will appear once it has been approved.</small>'}
+                ${parentId ? `<button type="button" class="btn btn-ghost btn-small" onclick="toggleReplyForm(${target})">Cancel</button>` : ''}
+                <button type="submit" class="btn btn-primary btn-small">${parentId ? 'Reply' : 'Post comment'}</button>
+            </div>
+        </form>`;
+}
+
+// Show or hide the reply form under a comment
+function toggleReplyForm(commentId) {
+    const slot = document.getElementById(`replyForm-${commentId}`);
+    if (!slot) return;
+    
+    slot.innerHTML = slot.innerHTML.trim() ? '' : renderCommentForm(commentId);
+    const textarea = slot.querySelector('textarea');
+    if (textarea) textarea.focus();
+}
+
+async function submitComment(event, parentId) {
+    event.preventDefault();
+    if (!commentsPost) return;
+    
+    const form = event.target;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const comment = { content: form.elements.content.value.trim() };
+    if (form.elements.name) comment.name = form.elements.name.value.trim();
+    if (parentId) comment.parentId = parentId;
+    
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+        const data = await window.apiClient.addComment(commentsPost.id, comment);
+        form.reset();
+        showNotification(data.message || 'Comment posted', 'success');
+        loadComments();
+    } catch (error) {
+        console.error('Comment error:', error);
+        showNotification(error.message || 'Could not post your comment', 'error');
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
+
+// Approve, reject or delete a comment (admins)
+async function moderateComment(commentId, action) {
+    if (action === 'delete' && !confirm('Delete this comment and its replies?')) return;
+    
+    try {
+        const methods = { approve: 'approveComment', reject: 'rejectComment', delete: 'deleteComment' };
+        const data = await window.apiClient[methods[action]](commentId);
+        showNotification(data.message, 'success');
+        loadComments();
+        if (document.getElementById('admin').classList.contains('active')) {
+            loadModerationQueue();
+            loadAdminStats();
+        }
+    } catch (error) {
+        console.error('Moderation error:', error);
+        showNotification(error.message || 'Could not update the comment', 'error');
+    }
+}
+
+// ===== ADMIN DASHBOARD =====
+
+function canManageSite() {
+    return window.Permissions.can(currentUser, 'site:manage');
+}
+
+// Load the stats and the open tab of the dashboard (admins only)
+function loadAdmin() {
+    const allowed = canManageSite();
+    document.getElementById('adminDenied').classList.toggle('hidden', allowed);
+    document.getElementById('adminContent').classList.toggle('hidden', !allowed);
+    if (!allowed) return;
+    
+    loadAdminStats();
+    showAdminTab(adminTab);
+}
+
+// Switch between the posts, users and comments panels
+function showAdminTab(tab) {
+    adminTab = tab;
+    document.querySelectorAll('[data-admin-tab]').forEach(button => {
+        button.classList.toggle('active', button.dataset.adminTab === tab);
+    });
+    const panels = { posts: 'adminPostsPanel', users: 'adminUsersPanel', comments: 'adminCommentsPanel' };
+    Object.entries(panels).forEach(([name, id]) => {
+        document.getElementById(id).classList.toggle('hidden', name !== tab);
+    });
+    
+    if (tab === 'posts') loadAdminPosts();
+    if (tab === 'users') loadAdminUsers();
+    if (tab === 'comments') loadModerationQueue();
+}
+
+async function loadAdminStats() {
+    const container = document.getElementById('adminStats');
+    if (!container) return;
+    
+    try {
+        const { stats } = await window.apiClient.getAdminStats();
+        container.innerHTML = renderAdminStats(stats);
+    } catch (error) {
+        console.error('Error loading admin stats:', error);
+        container.innerHTML = `<p class="panel-empty">${escapeHtml(error.message || 'Could not load the site stats')}</p>`;
+    }
+}
+
+// HTML for the stat cards, posts per category and recent logins
+function renderAdminStats(stats) {
+    const card = (value, label) => `<div class="admin-stat"><strong>${value}</strong><span>${label}</span></div>`;
+    const categories = stats.posts.byCategory.map(entry => `
+        <tr>
+            <td>${escapeHtml(entry.category)}</td>
+            <td>${entry.published}</td>
+            <td>${entry.total}</td>
+        </tr>`).join('');
+    const logins = stats.recentLogins.map(user => `
+        <tr>
+            <td>${escapeHtml(getDisplayName(user))}</td>
+            <td>${escapeHtml(user.role)}</td>
+            <td>${escapeHtml(new Date(user.lastLoginAt).toLocaleString())}</td>
+        </tr>`).join('');
+    
+    return `
+        ${card(stats.posts.total, 'Posts')}
+        ${card(stats.posts.byStatus.published, 'Published')}
+        ${card(stats.draftsPending, 'Drafts pending')}
+        ${card(stats.comments.pending, 'Comments awaiting approval')}
+        ${card(stats.users.total, 'Users')}
+        <div class="admin-stat-lists">
+            <div>
+                <h3>Posts per category</h3>
+                <div class="admin-table-wrap">
+                    <table class="admin-table">
+                        <thead><tr><th>Category</th><th>Published</th><th>Total</th></tr></thead>
+                        <tbody>${categories || '<tr><td colspan="3" class="panel-empty">No posts yet</td></tr>'}</tbody>
+                    </table>
+                </div>
+            </div>
+            <div>
+                <h3>Recent logins</h3>
+                <div class="admin-table-wrap">
+                    <table class="admin-table">
+                        <thead><tr><th>User</th><th>Role</th><th>Last login</th></tr></thead>
+                        <tbody>${logins || '<tr><td colspan="3" class="panel-empty">No logins yet</td></tr>'}</tbody>
+                    </table>
+                </div>
+            </div>
+        </div>`;
+}
+
+// Load every post matching the status filter and search (append: next page)
+async function loadAdminPosts({ append = false } = {}) {
+    const body = document.getElementById('adminPostsBody');
+    if (!body || (append && !adminPostsCursor)) return;
+    
+    const params = {
+        status: document.getElementById('adminPostsStatus').value,
+        q: document.getElementById('adminPostsSearch').value.trim(),
+        limit: ADMIN_POSTS_PAGE_SIZE
+    };
+    if (append) params.cursor = adminPostsCursor;
+    
+    try {
+        const data = await window.apiClient.getAdminPosts(params);
+        const page = data.posts || [];
+        if (!append) {
+            adminPosts = [];
+            adminSelection.clear();
+        }
+        adminPosts = adminPosts.concat(page);
+        adminPostsCursor = data.nextCursor || null;
+        renderAdminPosts(data.total || adminPosts.length);
+    } catch (error) {
+        console.error('Error loading admin posts:', error);
+        body.innerHTML = `<tr><td colspan="7" class="panel-empty">${escapeHtml(error.message || 'Could not load the posts')}</td></tr>`;
+    }
+}
+
+function renderAdminPosts(total) {
+    const body = document.getElementById('adminPostsBody');
+    body.innerHTML = adminPosts.length
+        ? adminPosts.map(post => {
+            const id = escapeHtml(post.id);
+            const status = window.PostModel.effectiveStatus(post);
+            return `
+                <tr>
+                    <td><input type="checkbox" onchange="toggleAdminPost('${id}', this.checked)" ${adminSelection.has(post.id) ? 'checked' : ''} aria-label="Select post"></td>
+                    <td><a href="${escapeHtml(getPostUrl(post))}" onclick="event.preventDefault(); viewPost('${escapeHtml(post.slug)}')">${escapeHtml(post.title)}</a></td>
+                    <td>${renderStatusBadge(post) || escapeHtml(status.charAt(0).toUpperCase() + status.slice(1))}</td>
+                    <td>${escapeHtml(post.category || 'General')}</td>
+                    <td>${escapeHtml(post.author || 'Anonymous')}</td>
+                    <td>${escapeHtml(formatDate(post.updatedAt || post.createdAt))}</td>
+                    <td>${post.commentCount || 0}</td>
+                </tr>`;
+        }).join('')
+        : '<tr><td colspan="7" class="panel-empty">No posts match</td></tr>';
+    
+    const more = document.getElementById('adminPostsMore');
+    more.classList.toggle('hidden', !adminPostsCursor);
+    document.getElementById('adminPostsCount').textContent = `Showing ${adminPosts.length} of ${total} posts`;
+    updateAdminSelection();
+}
+
+// Show how many posts are picked and keep "select all" in step
+function updateAdminSelection() {
+    const count = adminSelection.size;
+    document.getElementById('adminSelection').textContent = count
+        ? `${count} ${count === 1 ? 'post' : 'posts'} selected`
+        : 'No posts selected';
+    const selectAll = document.getElementById('adminSelectAll');
+    selectAll.checked = count > 0 && count === adminPosts.length;
+    selectAll.indeterminate = count > 0 && count < adminPosts.length;
+}
+
+function toggleAdminPost(postId, selected) {
+    if (selected) adminSelection.add(postId);
+    else adminSelection.delete(postId);
+    updateAdminSelection();
+}
+
+function toggleAllAdminPosts(selected) {
+    adminSelection = new Set(selected ? adminPosts.map(post => post.id) : []);
+    renderAdminPosts(adminPosts.length);
+}
+
+// Publish, unpublish, re-categorize or delete the selected posts
+async function runBulkAction(action) {
+    const ids = [...adminSelection];
+    if (!ids.length) {
+        showNotification('Select the posts to change first', 'error');
+        return;
+    }
+    
+    const options = {};
+    if (action === 'categorize') {
+        options.category = document.getElementById('adminBulkCategory').value.trim();
+        if (!options.category) {
+            showNotification('Enter the category to move the posts to', 'error');
+            return;
+        }
+    }
+    const target = action === 'categorize' ? ` to "${options.category}"` : '';
+    if (!confirm(`${BULK_ACTION_LABELS[action]} ${ids.length} ${ids.length === 1 ? 'post' : 'posts'}${target}?`)) return;
+    
+    try {
+        const data = await window.apiClient.bulkUpdatePosts(ids, action, options);
+        const failed = (data.results || []).filter(result => !result.success);
+        showNotification(`${data.message}${failed.length ? ` (${failed.length} failed)` : ''}${demoSuffix()}`, failed.length ? 'error' : 'success');
+        refreshPostLists();
+    } catch (error) {
+        console.error('Bulk action error:', error);
+        showNotification(error.message || 'Could not update the posts', 'error');
+    }
+}
+
+async function loadAdminUsers() {
+    const body = document.getElementById('adminUsersBody');
+    if (!body) return;
+    
+    try {
+        const { users } = await window.apiClient.listUsers();
+        body.innerHTML = users.map(user => {
+            const id = escapeHtml(user.id);
+            const self = currentUser && user.id === currentUser.id;
+            return `
+                <tr>
+                    <td>${escapeHtml(getDisplayName(user))}<br><small>@${escapeHtml(user.username)}</small></td>
+                    <td>${escapeHtml(user.email || '')}</td>
+                    <td>
+                        <select onchange="changeUserRole('${id}', this.value)" ${self ? 'disabled title="You can\'t change your own role"' : ''} aria-label="Role">
+                            ${window.Permissions.ROLES.map(role => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>`).join('')}
+                        </select>
+                    </td>
+                    <td>${escapeHtml(formatDate(user.createdAt))}</td>
+                    <td>${user.lastLoginAt ? escapeHtml(new Date(user.lastLoginAt).toLocaleString()) : 'Never'}</td>
+                    <td>
+                        ${self ? '' : `
+                        <button type="button" class="btn-icon" onclick="removeUser('${id}')" title="Delete user">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                        `}
+                    </td>
+                </tr>`;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading users:', error);
+        body.innerHTML = `<tr><td colspan="6" class="panel-empty">${escapeHtml(error.message || 'Could not load the users')}</td></tr>`;
+    }
+}
+
+async function changeUserRole(userId, role) {
+    try {
+        const data = await window.apiClient.updateUserRole(userId, role);
+        showNotification(`${data.message || 'Role updated'}${demoSuffix()}`, 'success');
+        loadAdminStats();
+    } catch (error) {
+        console.error('Change role error:', error);
+        showNotification(error.message || 'Could not change the role', 'error');
+    }
+    loadAdminUsers();
+}
+
+async function removeUser(userId) {
+    if (!confirm('Delete this user? Their posts stay on the site.')) return;
+    
+    try {
+        const data = await window.apiClient.deleteUser(userId);
+        showNotification(`${data.message || 'User deleted'}${demoSuffix()}`, 'success');
+        loadAdminStats();
+        loadAdminUsers();
+    } catch (error) {
+        console.error('Delete user error:', error);
+        showNotification(error.message || 'Could not delete the user', 'error');
+    }
+}
+
+// Comments waiting for moderation (or any other status), with their posts
+async function loadModerationQueue() {
+    const list = document.getElementById('adminCommentsList');
+    if (!list) return;
+    
+    list.innerHTML = '<p class="panel-empty">Loading comments...</p>';
+    try {
+        const status = document.getElementById('adminCommentsStatus').value;
+        const { comments } = await window.apiClient.listComments({ status });
+        list.innerHTML = comments.length
+            ? comments.map(comment => `
+                <div>
+                    <p class="admin-comment-post">
+                        On ${comment.post
+                            ? `<a href="${escapeHtml(getPostUrl(comment.post))}" onclick="event.preventDefault(); viewPost('${escapeHtml(comment.post.slug)}')">${escapeHtml(comment.post.title)}</a>`
+                            : 'a deleted post'}
+                        ${comment.status === 'rejected' ? '<span class="post-status post-status-archived">Rejected</span>' : ''}
+                    </p>
+                    ${renderComment({ ...comment, replies: [] }, true)}
+                </div>`).join('')
+            : '<p class="panel-empty">No comments to review.</p>';
+    } catch (error) {
+        console.error('Error loading the moderation queue:', error);
+        list.innerHTML = `<p class="panel-empty">${escapeHtml(error.message || 'Could not load the comments')}</p>`;
+    }
+}
+
+// ===== MY DRAFTS =====
+
+// Load the current user's drafts, scheduled and archived posts
+async function loadDrafts() {
+    const draftsGrid = document.getElementById('draftsGrid');
+    if (!draftsGrid) return;
+    
+    if (!currentUser) {
+        drafts = [];
+        draftsGrid.innerHTML = `
+            <div class="empty-state">
+                <h3>Log in to see your drafts</h3>
+                <button class="btn btn-primary" onclick="showModal('loginModal')">Login</button>
+            </div>`;
+        return;
+    }
+    
+    try {
+        const data = await window.apiClient.getPosts({
+            status: DRAFT_STATUSES,
+            author: currentUser.id,
+            limit: DRAFTS_LIMIT
+        });
+        drafts = data.posts || [];
+        console.log(`✅ Loaded ${drafts.length} drafts`);
+    } catch (error) {
+        console.error('Error loading drafts:', error);
+        drafts = [];
+    }
+    
+    draftsGrid.innerHTML = drafts.length
+        ? drafts.map(renderPostCard).join('')
+        : `
+            <div class="empty-state">
+                <h3>No drafts</h3>
+                <p>Posts you save as drafts or schedule for later show up here.</p>
+            </div>`;
+}
+
+// Reload whichever post lists are on screen after a change
+function refreshPostLists() {
+    loadPosts();
+    loadTaxonomies();
+    if (document.getElementById('drafts').classList.contains('active')) {
+        loadDrafts();
+    }
+    if (document.getElementById('admin').classList.contains('active')) {
+        loadAdmin();
+    }
+}
+
+// Archive a post, or bring an archived one back as a draft
+async function setPostStatus(postId, status) {
+    try {
+        await window.apiClient.updatePost(postId, { status });
+        showNotification(`${status === 'archived' ? 'Post archived' : 'Post moved to drafts'}${demoSuffix()}`, 'success');
+        refreshPostLists();
+    } catch (error) {
+        console.error('Change status error:', error);
+        showNotification(error.message || 'Failed to change the post status', 'error');
+    }
+}
+
+// Value for a datetime-local input (local time, minutes precision)
+function toDateTimeInputValue(isoDate) {
+    if (!isoDate) return '';
+    const date = new Date(isoDate);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+// Edit post function
+function editPost(postId) {
+    const post = posts.concat(drafts).find(p => p.id === postId);
+    if (!post) return;
+    
+    if (editorAutosave.isDirty() && !confirm('Discard the unsaved changes in the editor?')) return;
+    
+    // Fill the editor with post data
+    fillEditor(postToEditorFields(post));
+    setEditingPost(post);
+    hideEditorBanner();
+    editorAutosave.track();
+    
+    // Show create section
+    showSection('create');
+}
+
+// Delete post function
+async function deletePost(postId) {
+    if (!confirm('Are you sure you want to delete this post?')) return;
+    
+    try {
+        await window.apiClient.deletePost(postId);
+        showNotification(`Post deleted successfully!${demoSuffix()}`, 'success');
+        refreshPostLists();
+    } catch (error) {
+        console.error('Delete post error:', error);
+        showNotification(error.message || 'Error deleting post', 'error');
+    }
+}
+
+// Login function
+async function login(username, password) {
+    try {
+        const data = await window.apiClient.login(username, password);
+        currentUser = data.user;
+        updateAuthUI();
+        closeModal();
+        showNotification(`Login successful!${demoSuffix()}`, 'success');
+        refreshPostLists(); // Reload posts to show admin actions
+        return true;
+    } catch (error) {
+        console.error('Login error:', error);
+        showNotification(error.message || 'Login failed', 'error');
+        return false;
+    }
+}
+
+// Register function
+async function register(details) {
+    try {
+        const data = await window.apiClient.register(details);
+        currentUser = data.user;
+        updateAuthUI();
+        closeModal();
+        showNotification(`Welcome, ${getDisplayName(currentUser)}! Your account is ready.${canCreatePosts() ? '' : ' An admin can give you access to write posts.'}`, 'success');
+        loadPosts();
+        return true;
+    } catch (error) {
+        console.error('Register error:', error);
+        showNotification(error.message || 'Registration failed', 'error');
+        return false;
+    }
+}
+
+// Fill the profile form from the current user and open it
+async function showProfileModal() {
+    if (!currentUser) {
+        showModal('loginModal');
+        return;
+    }
+    
+    // Refresh from the server so the form shows the saved values
+    try {
+        const data = await window.apiClient.getProfile();
+        currentUser = data.user;
+    } catch (error) {
+        console.error('Profile load error:', error);
+    }
+    
+    document.getElementById('profileAvatar').textContent = getAvatarInitial(currentUser);
+    document.getElementById('profileUsername').textContent = `@${currentUser.username}`;
+    document.getElementById('profileName').value = getDisplayName(currentUser);
+    document.getElementById('profileEmail').value = currentUser.email || '';
+    document.getElementById('profileBio').value = currentUser.bio || '';
+    document.getElementById('passwordForm').reset();
+    
+    showModal('profileModal');
+}
+
+// Update profile function
+async function updateProfile(changes) {
+    try {
+        const data = await window.apiClient.updateProfile(changes);
+        currentUser = data.user;
+        updateAuthUI();
+        document.getElementById('profileAvatar').textContent = getAvatarInitial(currentUser);
+        showNotification(`Profile updated successfully!${demoSuffix()}`, 'success');
+    } catch (error) {
+        console.error('Update profile error:', error);
+        showNotification(error.message || 'Failed to update profile', 'error');
+    }
+}
+
+// Change password function
+async function changePassword(currentPassword, newPassword) {
+    try {
+        const data = await window.apiClient.changePassword(currentPassword, newPassword);
+        document.getElementById('passwordForm').reset();
+        showNotification(data.message || 'Password changed successfully!', 'success');
+    } catch (error) {
+        console.error('Change password error:', error);
+        showNotification(error.message || 'Failed to change password', 'error');
+    }
+}
+
+// Logout function
+async function logout() {
+    try {
+        await window.apiClient.logout();
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
+    
+    currentUser = null;
+    updateAuthUI();
+    showNotification(`Logged out successfully${demoSuffix()}`, 'success');
+    showSection('home');
+    loadPosts(); // Reload posts to hide admin actions
+}
+
+// ===== EDITOR =====
+
+// Raw editor field values (what autosave stores)
+function readEditorFields() {
+    return {
+        title: document.getElementById('postTitle').value,
+        slug: document.getElementById('postSlug').value,
+        content: document.getElementById('postContent').value,
+        category: document.getElementById('postCategory').value,
+        tags: document.getElementById('postTags').value,
+        coverImage: document.getElementById('postCoverImage').value,
+        publishAt: document.getElementById('postPublishAt').value
+    };
+}
+
+// Raw editor field values for a saved post
+function postToEditorFields(post) {
+    return {
+        title: post.title,
+        slug: post.slug,
+        content: post.content,
+        category: post.category,
+        tags: post.tags.join(', '),
+        coverImage: post.coverImage || '',
+        publishAt: post.status === 'scheduled' ? toDateTimeInputValue(post.publishAt) : ''
+    };
+}
+
+// Put raw field values back into the editor
+function fillEditor(fields) {
+    document.getElementById('postTitle').value = fields.title || '';
+    document.getElementById('postSlug').value = fields.slug || '';
+    document.getElementById('postContent').value = fields.content || '';
+    setCategoryValue(fields.category);
+    document.getElementById('postTags').value = fields.tags || '';
+    document.getElementById('postCoverImage').value = fields.coverImage || '';
+    document.getElementById('postPublishAt').value = fields.publishAt || '';
+    renderCoverPicker();
+    updateSlugField();
+    
+    // Return to writing mode if the preview was open
+    const preview = document.getElementById('postPreview');
+    if (preview && !preview.classList.contains('hidden')) togglePreview();
+}
+
+// Remember which post the editor saves to (null for a new post)
+function setEditingPost(post) {
+    editingPost = post ? { id: post.id, slug: post.slug, status: post.status, publishAt: post.publishAt } : null;
+    updateSlugField();
+    
+    // Only saved posts have a history
+    const historyGroup = document.getElementById('historyGroup');
+    if (historyGroup) historyGroup.classList.toggle('hidden', !editingPost);
+    if (!editingPost) {
+        revisions = [];
+        if (isRevisionHistoryOpen()) toggleRevisionHistory();
+    } else if (isRevisionHistoryOpen()) {
+        loadRevisions();
+    }
+    
+    // Live posts are updated in place; anything else gets published
+    const publishBtn = document.getElementById('publishBtn');
+    if (publishBtn) {
+        publishBtn.textContent = editingPost && window.PostModel.isLive(editingPost) ? 'Update Post' : 'Publish Post';
+    }
+}
+
+// Show the slug the title would get, and warn when a live post's URL changes
+function updateSlugField() {
+    const slugInput = document.getElementById('postSlug');
+    const hint = document.getElementById('postSlugHint');
+    if (!slugInput || !hint) return;
+    
+    slugInput.placeholder = window.PostModel.slugify(document.getElementById('postTitle').value) || 'generated-from-the-title';
+    
+    const slug = window.PostModel.slugify(slugInput.value);
+    const moved = editingPost && window.PostModel.isLive(editingPost) && slug && slug !== editingPost.slug;
+    hint.textContent = moved ? `Links to /posts/${editingPost.slug} will redirect to /posts/${slug}` : '';
+    hint.classList.toggle('hidden', !moved);
+}
+
+// Read the editor fields into a post object
+function readEditorPost(status = 'published', fields = readEditorFields()) {
+    const post = {
+        title: fields.title,
+        content: fields.content,
+        category: fields.category,
+        tags: fields.tags.split(',').map(tag => tag.trim()).filter(tag => tag),
+        coverImage: fields.coverImage || null,
+        status
+    };
+    // Left empty, the server picks a slug from the title (or keeps the current one)
+    const slug = (fields.slug || '').trim();
+    if (slug) post.slug = slug;
+    if (status === 'scheduled') {
+        post.publishAt = fields.publishAt ? new Date(fields.publishAt).toISOString() : null;
+    }
+    return post;
+}
+
+// Check the editor before saving, returning an error message or null
+function validateEditorPost(post) {
+    const { errors } = window.PostModel.validatePost(post);
+    if (errors.length) return errors[0];
+    
+    if (post.status === 'scheduled') {
+        if (!post.publishAt) return 'Pick a date and time in "Publish at" to schedule the post';
+        if (new Date(post.publishAt) <= new Date()) return 'The publish time must be in the future';
+    }
+    return null;
 }
 
-// Show section function
-function showSection(sectionId) {
-    console.log(`📄 Showing section: ${sectionId}`);
+// Message and destination after saving a post in a given status
+function afterSave(post, verb) {
+    const messages = {
+        draft: 'Draft saved',
+        scheduled: `Post scheduled for ${new Date(post.publishAt).toLocaleString()}`,
+        published: `Post ${verb} successfully!`
+    };
+    showNotification(`${messages[post.status] || `Post ${verb}`}${demoSuffix()}`, 'success');
+    resetEditor();
+    loadTaxonomies(); // New categories and tags, new post counts
+    showSection(window.PostModel.isLive(post) ? 'posts' : 'drafts');
+}
+
+// Create post function
+async function createPost(status) {
+    const post = readEditorPost(status);
     
-    // Hide all sections
-    const sections = document.querySelectorAll('.section');
-    sections.forEach(section => section.classList.remove('active'));
+    const error = validateEditorPost(post);
+    if (error) {
+        showNotification(error, 'error');
+        return;
+    }
     
-    // Show target section
-    const targetSection = document.getElementById(sectionId);
-    if (targetSection) {
-        targetSection.classList.add('active');
+    try {
+        const data = await window.apiClient.createPost(post);
+        afterSave(data.post, 'created');
+    } catch (error) {
+        console.error('Create post error:', error);
+        showNotification(error.message || 'Failed to create post', 'error');
     }
+}
+
+// Update post function
+async function updatePost(postId, status) {
+    const post = readEditorPost(status);
     
-    // Update navigation
-    const navLinks = document.querySelectorAll('.nav-link');
-    navLinks.forEach(link => link.classList.remove('active'));
+    const error = validateEditorPost(post);
+    if (error) {
+        showNotification(error, 'error');
+        return;
+    }
     
-    const activeLink = document.querySelector(`[data-section="${sectionId}"]`);
-    if (activeLink) {
-        activeLink.classList.add('active');
+    try {
+        const data = await window.apiClient.updatePost(postId, post);
+        afterSave(data.post, 'updated');
+    } catch (error) {
+        console.error('Update post error:', error);
+        showNotification(error.message || 'Failed to update post', 'error');
     }
+}
+
+// Empty the editor and start a new post (nothing left to autosave)
+function resetEditor() {
+    fillEditor({});
+    setEditingPost(null);
+    hideEditorBanner();
+    editorAutosave.markSaved();
+}
+
+// Clear button: empty the editor, offering to undo
+function clearEditor() {
+    const fields = readEditorFields();
+    const post = editingPost;
+    const dirty = editorAutosave.isDirty();
     
-    // Special handling for posts section
-    if (sectionId === 'posts') {
-        loadPosts(); // Refresh posts when viewing posts section
+    resetEditor();
+    
+    if (fields.title.trim() || fields.content.trim() || fields.tags.trim()) {
+        showEditorBanner('Editor cleared.', {
+            action: 'Undo',
+            onAction: () => {
+                fillEditor(fields);
+                setEditingPost(post);
+                if (dirty) {
+                    editorAutosave.saveLocal();
+                } else {
+                    editorAutosave.track();
+                }
+            }
+        });
     }
 }
 
-// Show modal function
-function showModal(modalId) {
-    const modalOverlay = document.getElementById('modalOverlay');
-    if (modalOverlay) {
-        modalOverlay.classList.remove('hidden');
-        modalOverlay.style.display = 'flex';
-        document.body.style.overflow = 'hidden';
+// ===== MEDIA LIBRARY =====
+
+// Show or hide the media library below the editor
+function toggleMediaLibrary() {
+    const library = document.getElementById('mediaLibrary');
+    const toggleBtn = document.getElementById('mediaToggleBtn');
+    if (!library) return;
+    
+    const showing = library.classList.toggle('hidden') === false;
+    if (toggleBtn) {
+        toggleBtn.innerHTML = `<i class="fas fa-images"></i> ${showing ? 'Hide' : 'Show'}`;
     }
+    if (showing) loadMedia();
 }
 
-// Close modal function
-function closeModal() {
-    const modalOverlay = document.getElementById('modalOverlay');
-    if (modalOverlay) {
-        modalOverlay.classList.add('hidden');
-        modalOverlay.style.display = 'none';
+// Load the user's uploads (everyone's for editors and admins)
+async function loadMedia() {
+    const mediaGrid = document.getElementById('mediaGrid');
+    if (!mediaGrid) return;
+    
+    mediaGrid.innerHTML = '<p class="panel-empty">Loading...</p>';
+    try {
+        const data = await window.apiClient.listMedia();
+        mediaItems = data.media || [];
+        renderMediaGrid();
+    } catch (error) {
+        console.error('Error loading media:', error);
+        mediaItems = [];
+        mediaGrid.innerHTML = `<p class="panel-empty">${escapeHtml(error.message || 'Could not load your uploads')}</p>`;
     }
-    document.body.style.overflow = 'auto';
 }
 
-// View post function
-function viewPost(postId) {
-    const post = posts.find(p => p._id === postId);
-    if (!post) return;
+function renderMediaGrid() {
+    const mediaGrid = document.getElementById('mediaGrid');
+    if (!mediaGrid) return;
     
-    // You can implement a modal view or navigate to a detailed view
-    console.log('Viewing post:', post);
-    alert(`Title: ${post.title}\n\nContent: ${post.content}`);
+    mediaGrid.innerHTML = mediaItems.length
+        ? mediaItems.map(renderMediaItem).join('')
+        : '<p class="panel-empty">No uploads yet.</p>';
 }
 
-// Edit post function
-function editPost(postId) {
-    const post = posts.find(p => p._id === postId);
-    if (!post) return;
+function renderMediaItem(item) {
+    const id = escapeHtml(item.id);
+    const isImage = item.mimeType.startsWith('image/');
+    const size = item.thumbnail ? ` width="${item.thumbnail.width}" height="${item.thumbnail.height}"` : '';
+    return `
+        <figure class="media-item">
+            ${isImage
+                ? `<img src="${escapeHtml(item.url)}" alt="${escapeHtml(item.alt)}"${size} loading="lazy">`
+                : '<div class="media-file"><i class="fas fa-file-pdf"></i></div>'}
+            <figcaption title="${escapeHtml(item.originalName)}">${escapeHtml(item.originalName)}</figcaption>
+            <div class="media-actions">
+                <button type="button" class="btn btn-ghost btn-small" onclick="insertMedia('${id}')" title="Insert into the post">
+                    <i class="fas fa-plus"></i>
+                </button>
+                ${isImage ? `
+                <button type="button" class="btn btn-ghost btn-small" onclick="useMediaAsCover('${id}')" title="Set as cover">
+                    <i class="fas fa-image"></i>
+                </button>
+                ` : ''}
+                ${window.Permissions.canDeleteMedia(currentUser, item) ? `
+                <button type="button" class="btn btn-ghost btn-small" onclick="deleteMedia('${id}')" title="Delete">
+                    <i class="fas fa-trash"></i>
+                </button>
+                ` : ''}
+            </div>
+        </figure>`;
+}
+
+// Upload the file picked in the media library
+async function uploadMedia() {
+    const fileInput = document.getElementById('mediaFile');
+    const altInput = document.getElementById('mediaAlt');
+    const uploadBtn = document.getElementById('mediaUploadBtn');
+    const file = fileInput && fileInput.files[0];
     
-    // Fill the editor with post data
-    const titleInput = document.getElementById('postTitle');
-    const contentTextarea = document.getElementById('postContent');
-    const categorySelect = document.getElementById('postCategory');
-    const tagsInput = document.getElementById('postTags');
+    if (!file) {
+        showNotification('Choose a file to upload first', 'error');
+        return;
+    }
+    if (file.size > MEDIA_MAX_SIZE) {
+        showNotification(`Files must be at most ${MEDIA_MAX_SIZE / 1024 / 1024} MB`, 'error');
+        return;
+    }
     
-    if (titleInput) titleInput.value = post.title;
-    if (contentTextarea) contentTextarea.value = post.content;
-    if (categorySelect) categorySelect.value = post.category || 'general';
-    if (tagsInput) tagsInput.value = (post.tags || []).join(', ');
+    if (uploadBtn) uploadBtn.disabled = true;
+    try {
+        const data = await window.apiClient.uploadMedia(file, altInput ? altInput.value.trim() : '');
+        mediaItems.unshift(data.media);
+        renderMediaGrid();
+        fileInput.value = '';
+        if (altInput) altInput.value = '';
+        showNotification('File uploaded', 'success');
+    } catch (error) {
+        console.error('Upload error:', error);
+        showNotification(error.message || 'Upload failed', 'error');
+    } finally {
+        if (uploadBtn) uploadBtn.disabled = false;
+    }
+}
+
+// Insert an upload at the cursor: an image, or a link for other files
+function insertMedia(mediaId) {
+    const item = mediaItems.find(m => m.id === mediaId);
+    const contentTextarea = document.getElementById('postContent');
+    if (!item || !contentTextarea) return;
     
-    // Set editing mode
-    window.editingPostId = postId;
+    // Back to writing mode so the insertion is visible
+    const preview = document.getElementById('postPreview');
+    if (preview && !preview.classList.contains('hidden')) togglePreview();
     
-    // Update form button text
-    const submitBtn = document.querySelector('#createPostForm button[type="submit"]');
-    if (submitBtn) submitBtn.textContent = 'Update Post';
+    const label = (item.alt || item.originalName).replace(/[[\]]/g, '');
+    const markdown = item.mimeType.startsWith('image/') ? `![${label}](${item.url})` : `[${label}](${item.url})`;
+    contentTextarea.setRangeText(markdown, contentTextarea.selectionStart, contentTextarea.selectionEnd, 'end');
+    contentTextarea.focus();
+    contentTextarea.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+function useMediaAsCover(mediaId) {
+    const item = mediaItems.find(m => m.id === mediaId);
+    if (item) setCoverImage(item.url);
+}
+
+// Set (or with '' remove) the post's cover image
+function setCoverImage(url) {
+    document.getElementById('postCoverImage').value = url || '';
+    renderCoverPicker();
+    editorAutosave.changed();
+}
+
+// Show the chosen cover image in the editor
+function renderCoverPicker() {
+    const url = document.getElementById('postCoverImage').value;
+    const coverPreview = document.getElementById('coverPreview');
+    if (!coverPreview) return;
     
-    // Show create section
-    showSection('create');
+    if (url) coverPreview.src = url;
+    else coverPreview.removeAttribute('src');
+    coverPreview.classList.toggle('hidden', !url);
+    document.getElementById('coverEmpty').classList.toggle('hidden', Boolean(url));
+    document.getElementById('coverRemoveBtn').classList.toggle('hidden', !url);
 }
 
-// Delete post function
-async function deletePost(postId) {
-    if (!confirm('Are you sure you want to delete this post?')) return;
+async function deleteMedia(mediaId) {
+    if (!confirm('Delete this file? Posts that use it will show a broken image or link.')) return;
     
     try {
-        const response = await fetch(`/api/posts/${postId}`, {
-            method: 'DELETE',
-            headers: {
-                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
-            }
-        });
-        
-        const data = await response.json();
-        
-        if (data.success) {
-            showNotification('Post deleted successfully!', 'success');
-            loadPosts();
-        } else {
-            showNotification(data.message || 'Failed to delete post', 'error');
-        }
+        await window.apiClient.deleteMedia(mediaId);
+        mediaItems = mediaItems.filter(m => m.id !== mediaId);
+        renderMediaGrid();
+        showNotification('File deleted', 'success');
     } catch (error) {
-        console.error('Delete post error:', error);
-        showNotification('Error deleting post', 'error');
+        console.error('Delete media error:', error);
+        showNotification(error.message || 'Failed to delete the file', 'error');
     }
 }
 
-// Login function
-async function login(username, password) {
-    try {
-        // Check if we're on a static hosting platform (not localhost)
-        const isStaticHosting = !window.location.hostname.includes('localhost') && !window.location.hostname.includes('127.0.0.1');
-        
-        // Use demo mode if available and we're on static hosting
-        if (window.demoAPI && isStaticHosting) {
-            console.log('🎭 Using Demo Mode for login');
-            const result = await window.demoAPI.login(username, password);
-            
-            if (result.success) {
-                currentUser = result.user;
-                localStorage.setItem('authToken', result.token);
-                updateAuthUI();
-                closeModal();
-                showNotification('Login successful! (Demo Mode)', 'success');
-                loadPosts(); // Reload posts to show admin actions
-                return true;
-            } else {
-                showNotification(result.message || 'Login failed', 'error');
-                return false;
-            }
-        }
-        
-        // Original backend API call for development/production
-        console.log('🌐 Attempting backend API login...');
-        const response = await fetch('http://127.0.0.1:9090/api/auth/login', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ username, password })
-        });
-        
-        const data = await response.json();
-        
-        if (data.success) {
-            currentUser = data.user;
-            localStorage.setItem('authToken', data.token);
-            updateAuthUI();
-            closeModal();
-            showNotification('Login successful!', 'success');
-            loadPosts(); // Reload posts to show admin actions
-            return true;
-        } else {
-            showNotification(data.message || 'Login failed', 'error');
-            return false;
-        }
-    } catch (error) {
-        console.error('Login error:', error);
-        showNotification('Login error. Please try again.', 'error');
-        return false;
-    }
+// ===== REVISION HISTORY =====
+
+function isRevisionHistoryOpen() {
+    const history = document.getElementById('revisionHistory');
+    return Boolean(history && !history.classList.contains('hidden'));
 }
 
-// Logout function
-function logout() {
-    // Check if we're on a static hosting platform (not localhost)
-    const isStaticHosting = !window.location.hostname.includes('localhost') && !window.location.hostname.includes('127.0.0.1');
-    
-    // Use demo mode if available and we're on static hosting
-    if (window.demoAPI && isStaticHosting) {
-        console.log('🎭 Using Demo Mode for logout');
-        window.demoAPI.logout().then(() => {
-            currentUser = null;
-            localStorage.removeItem('authToken');
-            updateAuthUI();
-            showNotification('Logged out successfully (Demo Mode)', 'success');
-            showSection('home');
-            loadPosts(); // Reload posts to hide admin actions
-        });
-        return;
-    }
+// Show or hide the revision history of the post in the editor
+function toggleRevisionHistory() {
+    const history = document.getElementById('revisionHistory');
+    const toggleBtn = document.getElementById('historyToggleBtn');
+    if (!history) return;
     
-    // Original logout for development/production
-    currentUser = null;
-    localStorage.removeItem('authToken');
-    updateAuthUI();
-    showNotification('Logged out successfully', 'success');
-    showSection('home');
-    loadPosts(); // Reload posts to hide admin actions
+    const showing = history.classList.toggle('hidden') === false;
+    if (toggleBtn) {
+        toggleBtn.innerHTML = `<i class="fas fa-history"></i> ${showing ? 'Hide' : 'Show'}`;
+    }
+    if (showing) loadRevisions();
 }
 
-// Create post function
-async function createPost() {
-    const title = document.getElementById('postTitle').value;
-    const content = document.getElementById('postContent').value;
-    const category = document.getElementById('postCategory').value;
-    const tagsText = document.getElementById('postTags').value;
-    const tags = tagsText.split(',').map(tag => tag.trim()).filter(tag => tag);
-    
-    if (!title || !content) {
-        showNotification('Please fill in title and content', 'error');
-        return;
-    }
+async function loadRevisions() {
+    const diff = document.getElementById('revisionDiff');
+    if (!editingPost || !diff) return;
     
+    const postId = editingPost.id;
     try {
-        // Check if we're on a static hosting platform (not localhost)
-        const isStaticHosting = !window.location.hostname.includes('localhost') && !window.location.hostname.includes('127.0.0.1');
-        
-        // Use demo mode if available and we're on static hosting
-        if (window.demoAPI && isStaticHosting) {
-            console.log('🎭 Using Demo Mode for creating post');
-            const result = await window.demoAPI.createPost(title, content, tags);
-            
-            if (result.success) {
-                showNotification(result.message || 'Post created successfully!', 'success');
-                clearEditor();
-                showSection('posts');
-                loadPosts();
-            } else {
-                showNotification(result.message || 'Failed to create post', 'error');
-            }
-            return;
-        }
-        
-        // Original backend API call for development/production
-        console.log('🌐 Attempting backend API post creation...');
-        const response = await fetch('/api/posts', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
-            },
-            body: JSON.stringify({ title, content, category, tags })
-        });
-        
-        const data = await response.json();
-        
-        if (data.success) {
-            showNotification('Post created successfully!', 'success');
-            clearEditor();
-            showSection('posts');
-            loadPosts();
-        } else {
-            showNotification(data.message || 'Failed to create post', 'error');
-        }
+        const data = await window.apiClient.getRevisions(postId);
+        if (!editingPost || editingPost.id !== postId) return; // Another post was opened meanwhile
+        revisions = data.revisions || [];
+        renderRevisionOptions();
     } catch (error) {
-        console.error('Create post error:', error);
-        showNotification('Error creating post', 'error');
+        console.error('Error loading revisions:', error);
+        revisions = [];
+        renderRevisionOptions();
+        diff.innerHTML = `<p class="panel-empty">${escapeHtml(error.message || 'Could not load the revision history')}</p>`;
     }
 }
 
-// Update post function
-async function updatePost(postId) {
-    const title = document.getElementById('postTitle').value;
-    const content = document.getElementById('postContent').value;
-    const category = document.getElementById('postCategory').value;
-    const tagsText = document.getElementById('postTags').value;
-    const tags = tagsText.split(',').map(tag => tag.trim()).filter(tag => tag);
-    
-    if (!title || !content) {
-        showNotification('Please fill in title and content', 'error');
+// Fill both revision pickers, comparing the two latest revisions by default
+function renderRevisionOptions() {
+    const fromSelect = document.getElementById('revisionFrom');
+    const toSelect = document.getElementById('revisionTo');
+    if (!fromSelect || !toSelect) return;
+    
+    const options = revisions.map(revision => {
+        const restored = revision.restoredFrom ? `, restored #${revision.restoredFrom}` : '';
+        const label = `#${revision.number} · ${new Date(revision.createdAt).toLocaleString()} · ${revision.editor || 'Unknown'}${restored}`;
+        return `<option value="${escapeHtml(revision.id)}">${escapeHtml(label)}</option>`;
+    }).join('');
+    
+    fromSelect.innerHTML = options;
+    toSelect.innerHTML = options;
+    if (revisions.length) {
+        toSelect.value = revisions[0].id;
+        fromSelect.value = (revisions[1] || revisions[0]).id;
+    }
+    renderRevisionDiff();
+}
+
+// Readable value of a revision field
+function formatRevisionField(field, value) {
+    if (value === null || value === undefined || value === '') return '-';
+    if (field === 'tags') return value.length ? value.join(', ') : '-';
+    if (field === 'publishAt') return new Date(value).toLocaleString();
+    return String(value);
+}
+
+// Side-by-side comparison of the two picked revisions
+function renderRevisionDiff() {
+    const diff = document.getElementById('revisionDiff');
+    if (!diff) return;
+    
+    const from = revisions.find(r => r.id === document.getElementById('revisionFrom').value);
+    const to = revisions.find(r => r.id === document.getElementById('revisionTo').value);
+    if (!from || !to) {
+        diff.innerHTML = '<p class="panel-empty">No revisions yet.</p>';
         return;
     }
     
+    const fieldRows = Object.keys(REVISION_FIELD_LABELS)
+        .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+        .map(field => `
+            <tr>
+                <th>${REVISION_FIELD_LABELS[field]}</th>
+                <td class="diff-removed">${escapeHtml(formatRevisionField(field, from[field]))}</td>
+                <td class="diff-added">${escapeHtml(formatRevisionField(field, to[field]))}</td>
+            </tr>`).join('');
+    
+    const renderSide = line => line
+        ? `<td class="diff-line-number">${line.number}</td><td class="diff-${line.type}">${escapeHtml(line.text) || '&nbsp;'}</td>`
+        : '<td class="diff-line-number"></td><td class="diff-empty"></td>';
+    const contentRows = window.TextDiff.sideBySide(window.TextDiff.diffLines(from.content, to.content))
+        .map(row => `<tr>${renderSide(row.left)}${renderSide(row.right)}</tr>`).join('');
+    
+    diff.innerHTML = `
+        ${fieldRows ? `<table class="revision-fields"><tbody>${fieldRows}</tbody></table>` : ''}
+        ${from.content === to.content ? '<p class="panel-empty">The content is the same in both revisions.</p>' : ''}
+        <div class="diff-scroll">
+            <table class="diff-table">
+                <colgroup><col class="diff-number-col"><col><col class="diff-number-col"><col></colgroup>
+                <thead><tr><th colspan="2">#${from.number}</th><th colspan="2">#${to.number}</th></tr></thead>
+                <tbody>${contentRows}</tbody>
+            </table>
+        </div>`;
+}
+
+// Bring back the text of the revision picked on the left
+async function restoreRevision() {
+    const revision = revisions.find(r => r.id === document.getElementById('revisionFrom').value);
+    if (!editingPost || !revision) return;
+    
+    const question = editorAutosave.isDirty()
+        ? `Restore revision #${revision.number}? Your unsaved changes in the editor will be replaced.`
+        : `Restore revision #${revision.number}?`;
+    if (!confirm(question)) return;
+    
     try {
-        const response = await fetch(`/api/posts/${postId}`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
-            },
-            body: JSON.stringify({ title, content, category, tags })
-        });
-        
-        const data = await response.json();
-        
-        if (data.success) {
-            showNotification('Post updated successfully!', 'success');
-            clearEditor();
-            showSection('posts');
-            loadPosts();
-        } else {
-            showNotification(data.message || 'Failed to update post', 'error');
-        }
+        const data = await window.apiClient.restoreRevision(editingPost.id, revision.id);
+        fillEditor(postToEditorFields(data.post));
+        setEditingPost(data.post);
+        editorAutosave.markSaved();
+        showNotification(`Revision #${revision.number} restored`, 'success');
+        refreshPostLists();
     } catch (error) {
-        console.error('Update post error:', error);
-        showNotification('Error updating post', 'error');
+        console.error('Restore revision error:', error);
+        showNotification(error.message || 'Failed to restore the revision', 'error');
     }
 }
 
-// Clear editor function
-function clearEditor() {
-    const titleInput = document.getElementById('postTitle');
-    const contentTextarea = document.getElementById('postContent');
-    const categorySelect = document.getElementById('postCategory');
-    const tagsInput = document.getElementById('postTags');
+// ===== EDITOR AUTOSAVE =====
+
+// Create the autosave for the post editor (see autosave.js)
+function setupEditorAutosave() {
+    editorAutosave = new window.EditorAutosave({
+        read: readEditorFields,
+        context: () => ({ post: editingPost }),
+        saveRemote: autosaveToServer,
+        onStatus: message => {
+            const status = document.getElementById('autosaveStatus');
+            if (status) status.textContent = message;
+        }
+    });
+    editorAutosave.track();
+    editorAutosave.start();
+}
+
+// Save the editor as a server draft; resolves false when it shouldn't be saved
+async function autosaveToServer(fields) {
+    if (!canCreatePosts()) return false;
+    
+    // Never autosave over a post readers can see (or one waiting to go live)
+    if (editingPost && editingPost.status !== 'draft') return false;
     
-    if (titleInput) titleInput.value = '';
-    if (contentTextarea) contentTextarea.value = '';
-    if (categorySelect) categorySelect.value = 'general';
-    if (tagsInput) tagsInput.value = '';
+    // Wait until the post could be saved by hand
+    const post = readEditorPost('draft', fields);
+    if (validateEditorPost(post)) return false;
+    
+    const data = editingPost
+        ? await window.apiClient.updatePost(editingPost.id, post)
+        : await window.apiClient.createPost(post);
+    setEditingPost(data.post);
+    return true;
+}
+
+// Offer the local copy of unsaved changes to the post in the editor
+function offerAutosaveRestore() {
+    const snapshot = editorAutosave.pending();
+    if (!snapshot) return;
+    
+    const savedPost = snapshot.context && snapshot.context.post;
+    if ((savedPost ? savedPost.id : null) !== (editingPost ? editingPost.id : null)) return;
+    
+    showEditorBanner(`You have unsaved changes from ${new Date(snapshot.savedAt).toLocaleString()}. Restore them?`, {
+        action: 'Restore',
+        onAction: () => {
+            fillEditor(snapshot.fields);
+            setEditingPost(savedPost);
+            showNotification('Unsaved changes restored', 'success');
+        },
+        dismiss: 'Discard',
+        onDismiss: () => editorAutosave.discard()
+    });
+}
+
+// Ask before leaving the editor with unsaved changes
+function confirmLeaveEditor(sectionId) {
+    const editor = document.getElementById('create');
+    if (sectionId === 'create' || !editor || !editor.classList.contains('active')) return true;
+    if (!editorAutosave.isDirty()) return true;
     
-    // Reset editing mode
-    window.editingPostId = null;
+    editorAutosave.saveLocal();
+    return confirm('You have unsaved changes in the editor. Leave anyway? (They are kept on this device and can be restored.)');
+}
+
+// Message above the editor with an action button (restore, undo)
+function showEditorBanner(message, { action, onAction, dismiss = 'Dismiss', onDismiss = () => {} }) {
+    const banner = document.getElementById('editorBanner');
+    if (!banner) return;
     
-    // Reset form button text
-    const submitBtn = document.querySelector('#createPostForm button[type="submit"]');
-    if (submitBtn) submitBtn.textContent = 'Publish Post';
+    document.getElementById('editorBannerText').textContent = message;
+    const actionBtn = document.getElementById('editorBannerAction');
+    const dismissBtn = document.getElementById('editorBannerDismiss');
+    actionBtn.textContent = action;
+    dismissBtn.textContent = dismiss;
+    actionBtn.onclick = () => {
+        hideEditorBanner();
+        onAction();
+    };
+    dismissBtn.onclick = () => {
+        hideEditorBanner();
+        onDismiss();
+    };
+    banner.classList.remove('hidden');
+}
+
+function hideEditorBanner() {
+    const banner = document.getElementById('editorBanner');
+    if (banner) banner.classList.add('hidden');
 }
 
 // Show notification function - Enhanced
@@ -618,7 +2141,7 @@ function showNotification(message, type = 'info') {
     notification.innerHTML = `
         <div style="display: flex; align-items: center; justify-content: space-between; padding: 1rem;">
             <span style="color: ${type === 'success' ? '#059669' : type === 'error' ? '#dc2626' : '#2563eb'}; font-weight: 500;">
-                ${type === 'success' ? '✅' : type === 'error' ? '❌' : 'ℹ️'} ${message}
+                ${type === 'success' ? '✅' : type === 'error' ? '❌' : 'ℹ️'} ${escapeHtml(message)}
             </span>
             <button onclick="this.parentElement.parentElement.remove()" 
                     style="background: none; border: none; font-size: 1.2rem; cursor: pointer; color: #6b7280; margin-left: 1rem;">×</button>
@@ -656,22 +2179,192 @@ function bindEvents() {
         });
     }
     
+    // Register form
+    const registerForm = document.getElementById('registerForm');
+    if (registerForm) {
+        registerForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const password = document.getElementById('registerPassword').value;
+            const confirmPassword = document.getElementById('registerPasswordConfirm').value;
+            
+            if (password !== confirmPassword) {
+                showNotification('Passwords do not match', 'error');
+                return;
+            }
+            
+            const success = await register({
+                username: document.getElementById('registerUsername').value.trim(),
+                name: document.getElementById('registerName').value.trim(),
+                email: document.getElementById('registerEmail').value.trim(),
+                password
+            });
+            if (success) registerForm.reset();
+        });
+    }
+    
+    // Profile form
+    const profileForm = document.getElementById('profileForm');
+    if (profileForm) {
+        profileForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await updateProfile({
+                name: document.getElementById('profileName').value.trim(),
+                email: document.getElementById('profileEmail').value.trim(),
+                bio: document.getElementById('profileBio').value.trim()
+            });
+        });
+    }
+    
+    // Change password form
+    const passwordForm = document.getElementById('passwordForm');
+    if (passwordForm) {
+        passwordForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await changePassword(
+                document.getElementById('currentPassword').value,
+                document.getElementById('newPassword').value
+            );
+        });
+    }
+    
     // Create post form
     const createPostForm = document.getElementById('createPostForm');
     if (createPostForm) {
+        setupEditorAutosave();
+        createPostForm.addEventListener('input', () => editorAutosave.changed());
+        
+        // Warn before closing or reloading the page with unsaved changes
+        window.addEventListener('beforeunload', (e) => {
+            if (!editorAutosave.isDirty()) return;
+            editorAutosave.saveLocal();
+            e.preventDefault();
+            e.returnValue = '';
+        });
+        
         createPostForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             
-            if (window.editingPostId) {
+            // "Save draft", "Schedule" and "Publish Post" each submit with their own status
+            const status = (e.submitter && e.submitter.dataset.status) || 'published';
+            
+            // An autosave may be creating the post right now
+            await editorAutosave.settled();
+            
+            if (editingPost) {
                 // Update existing post
-                await updatePost(window.editingPostId);
+                await updatePost(editingPost.id, status);
             } else {
                 // Create new post
-                await createPost();
+                await createPost(status);
             }
         });
     }
     
+    // Category filter buttons (rendered from the API, see renderCategoryFilters)
+    const categoryFilters = document.getElementById('categoryFilters');
+    if (categoryFilters) {
+        categoryFilters.addEventListener('click', (e) => {
+            const button = e.target.closest('.filter-btn[data-filter]');
+            if (!button) return;
+            const category = button.dataset.filter;
+            setPostFilters({ category: category === 'all' ? '' : category });
+        });
+    }
+    
+    // Slug placeholder and redirect hint while typing the title or slug
+    ['postTitle', 'postSlug'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.addEventListener('input', updateSlugField);
+    });
+    
+    // Tag suggestions while typing in the editor's tags field
+    const tagsInput = document.getElementById('postTags');
+    const tagSuggestions = document.getElementById('tagSuggestions');
+    if (tagsInput && tagSuggestions) {
+        tagsInput.addEventListener('input', updateTagSuggestions);
+        tagsInput.addEventListener('focus', updateTagSuggestions);
+        tagsInput.addEventListener('blur', hideTagSuggestions);
+        tagsInput.addEventListener('keydown', handleTagSuggestionKey);
+        // mousedown rather than click, so the field keeps its focus
+        tagSuggestions.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-tag-suggestion]');
+            if (!option) return;
+            e.preventDefault();
+            pickTagSuggestion(option.dataset.tagSuggestion);
+        });
+    }
+    
+    // Sort order ("newest" is the default and stays out of the URL)
+    const sortSelect = document.getElementById('postSort');
+    if (sortSelect) {
+        sortSelect.addEventListener('change', () => {
+            setPostFilters({ sort: sortSelect.value === 'newest' ? '' : sortSelect.value });
+        });
+    }
+    
+    // "Load more" button, also clicked automatically when it scrolls into view
+    const loadMoreBtn = document.getElementById('loadMoreBtn');
+    if (loadMoreBtn) {
+        loadMoreBtn.addEventListener('click', loadMorePosts);
+    }
+    const loadMore = document.getElementById('postsLoadMore');
+    if (loadMore && 'IntersectionObserver' in window) {
+        const observer = new IntersectionObserver(entries => {
+            loadMoreInView = entries.some(entry => entry.isIntersecting);
+            if (loadMoreInView) loadMorePosts();
+        }, { rootMargin: '200px' });
+        observer.observe(loadMore);
+    }
+    
+    // Search box (reloads as you type, without piling up history entries)
+    const searchForm = document.getElementById('postSearchForm');
+    const searchInput = document.getElementById('postSearch');
+    if (searchForm && searchInput) {
+        let searchTimer = null;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                setPostFilters({ q: searchInput.value }, { replace: true });
+            }, SEARCH_DEBOUNCE_MS);
+        });
+        searchForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            clearTimeout(searchTimer);
+            setPostFilters({ q: searchInput.value });
+        });
+    }
+    
+    // Tag links and filter chips
+    document.addEventListener('click', (e) => {
+        const tagLink = e.target.closest('a[data-tag]');
+        if (tagLink) {
+            e.preventDefault();
+            filterByTag(tagLink.dataset.tag);
+            return;
+        }
+        
+        const chip = e.target.closest('[data-clear-filter]');
+        if (chip) {
+            setPostFilters({ [chip.dataset.clearFilter]: '' });
+        }
+    });
+    
+    // Admin dashboard filters (the search reloads as you type)
+    const adminStatus = document.getElementById('adminPostsStatus');
+    const adminSearch = document.getElementById('adminPostsSearch');
+    if (adminStatus && adminSearch) {
+        let adminSearchTimer = null;
+        adminStatus.addEventListener('change', () => loadAdminPosts());
+        adminSearch.addEventListener('input', () => {
+            clearTimeout(adminSearchTimer);
+            adminSearchTimer = setTimeout(() => loadAdminPosts(), SEARCH_DEBOUNCE_MS);
+        });
+    }
+    const adminCommentsStatus = document.getElementById('adminCommentsStatus');
+    if (adminCommentsStatus) {
+        adminCommentsStatus.addEventListener('change', loadModerationQueue);
+    }
+    
     // Login button
     const loginBtn = document.getElementById('loginBtn');
     if (loginBtn) {
@@ -680,6 +2373,14 @@ function bindEvents() {
         });
     }
     
+    // Links that only run JavaScript (href="#") and section links (handled by
+    // their onclick + the router) must not trigger a full page load
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('a[href="#"], a[data-section]')) {
+            e.preventDefault();
+        }
+    });
+    
     // Close modal on backdrop click
     document.addEventListener('click', (e) => {
         if (e.target.classList.contains('modal-overlay')) {
@@ -739,11 +2440,38 @@ window.showSection = showSection;
 window.showModal = showModal;
 window.closeModal = closeModal;
 window.viewPost = viewPost;
+window.filterByTag = filterByTag;
+window.clearPostFilters = clearPostFilters;
+window.closePost = closePost;
+window.copyPostLink = copyPostLink;
+window.toggleReplyForm = toggleReplyForm;
+window.submitComment = submitComment;
+window.moderateComment = moderateComment;
 window.editPost = editPost;
 window.deletePost = deletePost;
+window.setPostStatus = setPostStatus;
 window.login = login;
+window.register = register;
 window.logout = logout;
+window.showProfileModal = showProfileModal;
 window.clearEditor = clearEditor;
+window.togglePreview = togglePreview;
+window.toggleMediaLibrary = toggleMediaLibrary;
+window.uploadMedia = uploadMedia;
+window.insertMedia = insertMedia;
+window.useMediaAsCover = useMediaAsCover;
+window.setCoverImage = setCoverImage;
+window.deleteMedia = deleteMedia;
+window.toggleRevisionHistory = toggleRevisionHistory;
+window.renderRevisionDiff = renderRevisionDiff;
+window.restoreRevision = restoreRevision;
+window.showAdminTab = showAdminTab;
+window.loadAdminPosts = loadAdminPosts;
+window.toggleAdminPost = toggleAdminPost;
+window.toggleAllAdminPosts = toggleAllAdminPosts;
+window.runBulkAction = runBulkAction;
+window.changeUserRole = changeUserRole;
+window.removeUser = removeUser;
 
 // Toggle advanced editor features
 window.toggleAdvancedEditor = function() {
@@ -752,8 +2480,10 @@ window.toggleAdvancedEditor = function() {
 
 // Test blog editor function
 window.testBlogEditor = function() {
-    if (currentUser) {
+    if (canCreatePosts()) {
         showSection('create');
+    } else if (currentUser) {
+        showNotification('Your account can read posts but not write them. Ask an admin for author access.', 'info');
     } else {
         showModal('loginModal');
     }
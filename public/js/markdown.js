@@ -0,0 +1,330 @@
+/**
+ * Digital Garden Blog - Markdown Renderer
+ *
+ * Small, dependency-free Markdown to HTML renderer used by the browser
+ * (as window.Markdown) and by the server (via require) so posts render the
+ * same everywhere: cards, post pages, feeds and server-rendered HTML.
+ *
+ * Supported syntax:
+ * - Headings (# to ######), paragraphs and line breaks
+ * - **bold**, *italic*, ~~strikethrough~~ and `inline code`
+ * - Fenced code blocks (```lang)
+ * - Ordered and unordered lists (nested by indentation)
+ * - Blockquotes and horizontal rules
+ * - [links](url "title") and ![images](url "title")
+ *
+ * Output is sanitized by construction: every piece of source text is
+ * HTML-escaped and only the tags above are ever emitted. Link and image
+ * URLs are restricted to safe schemes (http, https, mailto, relative).
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Markdown = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const SAFE_SCHEMES = ['http', 'https', 'mailto'];
+
+    const HTML_ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+
+    // Block-level patterns
+    const FENCE = /^\s*(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+    const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+    const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+    const QUOTE = /^\s*>\s?/;
+    const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+    /**
+     * Escape text for safe use in HTML content and attributes
+     * @param {*} value - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    }
+
+    /**
+     * Reverse escapeHtml (used to inspect URLs found in escaped text)
+     * @param {string} value - Escaped text
+     * @returns {string} Raw text
+     */
+    function unescapeHtml(value) {
+        return value
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Check a link or image URL against the allowed schemes
+     * Browsers ignore control characters and whitespace inside schemes,
+     * so those are stripped before the check.
+     * @param {string} url - Raw URL
+     * @returns {string|null} The URL, or null when unsafe
+     */
+    function sanitizeUrl(url) {
+        const compact = String(url || '').replace(/[\u0000-\u0020\u007f]/g, '').toLowerCase();
+        const scheme = /^([a-z][a-z0-9+.-]*):/.exec(compact);
+
+        if (scheme && !SAFE_SCHEMES.includes(scheme[1])) return null;
+        return String(url).trim();
+    }
+
+    // ===== INLINE RENDERING =====
+
+    /**
+     * Render inline Markdown (emphasis, code, links, images)
+     * Protected fragments (code spans and generated tags) are swapped for
+     * placeholders so later patterns can't rewrite them.
+     * @param {string} text - Raw inline text
+     * @returns {string} HTML
+     */
+    function renderInline(text) {
+        const stash = [];
+        const protect = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+        let html = String(text).replace(/\u0000/g, '');
+
+        // Code spans are literal: escape and protect them first
+        html = html.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+            return protect(`<code>${escapeHtml(code.trim())}</code>`);
+        });
+
+        html = escapeHtml(html);
+
+        // Images: ![alt](src "title")
+        html = html.replace(/!\[([^\]]*)\]\(\s*(\S+?)(?:\s+&quot;(.*?)&quot;)?\s*\)/g, (match, alt, src, title) => {
+            const url = sanitizeUrl(unescapeHtml(src));
+            if (!url) return alt;
+            const titleAttr = title ? ` title="${title}"` : '';
+            return protect(`<img src="${escapeHtml(url)}" alt="${alt}"${titleAttr} loading="lazy">`);
+        });
+
+        // Links: [text](href "title")
+        html = html.replace(/\[([^\]]+)\]\(\s*(\S+?)(?:\s+&quot;(.*?)&quot;)?\s*\)/g, (match, label, href, title) => {
+            const url = sanitizeUrl(unescapeHtml(href));
+            if (!url) return label;
+            const titleAttr = title ? ` title="${title}"` : '';
+            return protect(`<a href="${escapeHtml(url)}"${titleAttr} rel="nofollow noopener noreferrer">${renderEmphasis(label)}</a>`);
+        });
+
+        // Autolinks: <https://example.com>
+        html = html.replace(/&lt;((?:https?|mailto):[^\s&]+)&gt;/gi, (match, href) => {
+            return protect(`<a href="${href}" rel="nofollow noopener noreferrer">${href}</a>`);
+        });
+
+        html = renderEmphasis(html);
+
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+    }
+
+    /**
+     * Apply bold, italic and strikethrough to already-escaped text
+     * @param {string} html - Escaped text
+     * @returns {string} HTML
+     */
+    function renderEmphasis(html) {
+        return html
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+    }
+
+    // ===== BLOCK RENDERING =====
+
+    /**
+     * Check whether a line starts a block other than a paragraph
+     * @param {string} line - Source line
+     * @returns {boolean} True for headings, fences, rules, quotes and lists
+     */
+    function startsBlock(line) {
+        return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+    }
+
+    /**
+     * Measure the leading indentation of a line (tabs count as 4 spaces)
+     * @param {string} line - Source line
+     * @returns {number} Indentation width
+     */
+    function indentOf(line) {
+        return /^\s*/.exec(line.replace(/\t/g, '    '))[0].length;
+    }
+
+    /**
+     * Render a list starting at `start`, including nested lists
+     * @param {Array<string>} lines - Source lines
+     * @param {number} start - Index of the first list item
+     * @returns {{html: string, next: number}} Rendered list and the next line index
+     */
+    function renderList(lines, start) {
+        const first = LIST_ITEM.exec(lines[start]);
+        const baseIndent = indentOf(lines[start]);
+        const ordered = /\d/.test(first[2]);
+        const tag = ordered ? 'ol' : 'ul';
+        const startNumber = ordered ? parseInt(first[2], 10) : 1;
+        const items = [];
+        let i = start;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const item = LIST_ITEM.exec(line);
+
+            if (item && indentOf(line) === baseIndent) {
+                // A new item of this list (stop if the list type changes)
+                if (/\d/.test(item[2]) !== ordered) break;
+                items.push([item[3]]);
+            } else if (line.trim() === '') {
+                // Blank lines only continue the list when more items follow
+                const nextLine = lines[i + 1];
+                if (nextLine === undefined || indentOf(nextLine) < baseIndent || !nextLine.trim()) break;
+                if (indentOf(nextLine) === baseIndent && !LIST_ITEM.test(nextLine)) break;
+                items[items.length - 1].push('');
+            } else if (indentOf(line) > baseIndent) {
+                // Continuation or nested content of the current item
+                items[items.length - 1].push(line.replace(/\t/g, '    ').slice(baseIndent + 2));
+            } else if (!startsBlock(line) && items[items.length - 1].slice(-1)[0] !== '') {
+                // Lazy paragraph continuation
+                items[items.length - 1].push(line.trim());
+            } else {
+                break;
+            }
+            i++;
+        }
+
+        const body = items.map(itemLines => {
+            const blocks = renderBlocks(itemLines);
+            // Unwrap a single paragraph so tight lists don't get <p> tags
+            const tight = blocks.replace(/^<p>([\s\S]*?)<\/p>(?=\n<[ou]l|$)/, '$1');
+            return `<li>${tight}</li>`;
+        }).join('\n');
+
+        const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+        return { html: `<${tag}${startAttr}>\n${body}\n</${tag}>`, next: i };
+    }
+
+    /**
+     * Render block-level Markdown
+     * @param {Array<string>} lines - Source lines
+     * @returns {string} HTML
+     */
+    function renderBlocks(lines) {
+        const output = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (line.trim() === '') {
+                i++;
+                continue;
+            }
+
+            // Fenced code block
+            const fence = FENCE.exec(line);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !new RegExp(`^\\s*${fence[1][0]}{${fence[1].length},}\\s*$`).test(lines[i])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                const langClass = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+                output.push(`<pre><code${langClass}>${escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            // Heading
+            const heading = HEADING.exec(line);
+            if (heading) {
+                const level = heading[1].length;
+                output.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            // Horizontal rule
+            if (RULE.test(line)) {
+                output.push('<hr>');
+                i++;
+                continue;
+            }
+
+            // Blockquote
+            if (QUOTE.test(line)) {
+                const quoted = [];
+                while (i < lines.length && lines[i].trim() !== '' && (QUOTE.test(lines[i]) || !startsBlock(lines[i]))) {
+                    quoted.push(lines[i].replace(QUOTE, ''));
+                    i++;
+                }
+                output.push(`<blockquote>\n${renderBlocks(quoted)}\n</blockquote>`);
+                continue;
+            }
+
+            // List
+            if (LIST_ITEM.test(line)) {
+                const list = renderList(lines, i);
+                output.push(list.html);
+                i = list.next;
+                continue;
+            }
+
+            // Paragraph: consecutive lines joined with line breaks
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() !== '' && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+                paragraph.push(renderInline(lines[i].trim()));
+                i++;
+            }
+            output.push(`<p>${paragraph.join('<br>\n')}</p>`);
+        }
+
+        return output.join('\n');
+    }
+
+    /**
+     * Render a Markdown document to sanitized HTML
+     * @param {string} source - Markdown source
+     * @returns {string} HTML
+     */
+    function render(source) {
+        const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+        return renderBlocks(lines);
+    }
+
+    /**
+     * Convert Markdown to plain text (for excerpts, search and meta tags)
+     * @param {string} source - Markdown source
+     * @returns {string} Plain text with collapsed whitespace
+     */
+    function toPlainText(source) {
+        return unescapeHtml(
+            render(source)
+                .replace(/<img [^>]*alt="([^"]*)"[^>]*>/g, '$1')
+                .replace(/<[^>]+>/g, ' ')
+        ).replace(/\s+/g, ' ').trim();
+    }
+
+    return {
+        render,
+        renderInline,
+        toPlainText,
+        escapeHtml,
+        sanitizeUrl
+    };
+});
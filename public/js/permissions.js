@@ -0,0 +1,113 @@
+/**
+ * Digital Garden Blog - Role Permissions
+ *
+ * Single source of truth for what each role may do. Loaded by the browser
+ * (as window.Permissions) to hide actions a user can't perform, and by the
+ * server (via require) to enforce the same rules on every route.
+ *
+ * Roles, from least to most privileged:
+ * - reader: read posts
+ * - author: write posts, upload media and edit/delete their own
+ * - editor: edit/delete anyone's posts and media, manage categories and tags
+ * - admin:  everything, including managing users and roles, moderating
+ *           comments and the admin dashboard
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Permissions = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const ROLES = ['reader', 'author', 'editor', 'admin'];
+
+    // Roles allowed to perform each action
+    const RULES = {
+        'posts:create': ['author', 'editor', 'admin'],
+        'posts:edit-own': ['author', 'editor', 'admin'],
+        'posts:edit-any': ['editor', 'admin'],
+        'posts:delete-own': ['author', 'editor', 'admin'],
+        'posts:delete-any': ['editor', 'admin'],
+        'posts:import-export': ['admin'],
+        'taxonomy:manage': ['editor', 'admin'],
+        'media:upload': ['author', 'editor', 'admin'],
+        'media:manage-any': ['editor', 'admin'],
+        'comments:moderate': ['admin'],
+        'users:manage': ['admin'],
+        'site:manage': ['admin']
+    };
+
+    /**
+     * Check whether a role name is known
+     * @param {string} role - Role name
+     * @returns {boolean} True for valid roles
+     */
+    function isValidRole(role) {
+        return ROLES.includes(role);
+    }
+
+    /**
+     * Check whether a user may perform an action
+     * @param {Object|null} user - User with a `role` field
+     * @param {string} action - Key of RULES
+     * @returns {boolean} True when allowed
+     */
+    function can(user, action) {
+        if (!user) return false;
+        return (RULES[action] || []).includes(user.role);
+    }
+
+    /**
+     * Check whether a user wrote a post (or uploaded a media item)
+     * @param {Object|null} user - User
+     * @param {Object} post - Post or media item with an `authorId`
+     * @returns {boolean} True for the post's author
+     */
+    function isOwner(user, post) {
+        return Boolean(user && post && post.authorId && String(post.authorId) === String(user.id));
+    }
+
+    /**
+     * Check whether a user may edit a post
+     * @param {Object|null} user - User
+     * @param {Object} post - Post
+     * @returns {boolean} True when allowed
+     */
+    function canEditPost(user, post) {
+        return can(user, 'posts:edit-any') || (isOwner(user, post) && can(user, 'posts:edit-own'));
+    }
+
+    /**
+     * Check whether a user may delete a post
+     * @param {Object|null} user - User
+     * @param {Object} post - Post
+     * @returns {boolean} True when allowed
+     */
+    function canDeletePost(user, post) {
+        return can(user, 'posts:delete-any') || (isOwner(user, post) && can(user, 'posts:delete-own'));
+    }
+
+    /**
+     * Check whether a user may delete an uploaded file
+     * @param {Object|null} user - User
+     * @param {Object} media - Media item with an `authorId`
+     * @returns {boolean} True when allowed
+     */
+    function canDeleteMedia(user, media) {
+        return can(user, 'media:manage-any') || (isOwner(user, media) && can(user, 'media:upload'));
+    }
+
+    return {
+        ROLES,
+        isValidRole,
+        can,
+        isOwner,
+        canEditPost,
+        canDeletePost,
+        canDeleteMedia
+    };
+});
@@ -0,0 +1,662 @@
+/**
+ * Digital Garden Blog - Post Model Helpers
+ *
+ * The canonical post schema, shared by the browser (as window.PostModel),
+ * demo mode and the server (via require):
+ *
+ *   id, slug, previousSlugs, title, content, excerpt, category, tags,
+ *   coverImage, author, authorId, status, publishAt, views, createdAt,
+ *   updatedAt
+ *
+ * Also provides:
+ * - Validation of user input against the schema
+ * - The publishing lifecycle: draft → scheduled → published → archived
+ * - Filtering, full-text search, sorting and cursor pagination (used by
+ *   the API and demo mode)
+ * - Category and tag lists with post counts (see server/taxonomies.js)
+ * - Normalization of older post shapes (`_id`, `date`, `published`)
+ * - The fields kept in revision history, and which of them a save changed
+ * - Slug generation for stable, human-readable post URLs; a post keeps
+ *   its earlier slugs (previousSlugs) so old links can redirect
+ * - Reading time estimates
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./markdown'));
+    } else {
+        root.PostModel = factory(root.Markdown);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Markdown) {
+    // Average adult reading speed used for reading time estimates
+    const WORDS_PER_MINUTE = 200;
+    const MAX_SLUG_LENGTH = 80;
+    const EXCERPT_LENGTH = 150;
+
+    // draft: private; scheduled: goes live at publishAt; published: live;
+    // archived: taken down but kept
+    const STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+    const DEFAULT_STATUS = 'published';
+    const DEFAULT_CATEGORY = 'general';
+
+    // Categories offered before any have been managed (server/taxonomies.js seeds them)
+    const DEFAULT_CATEGORIES = ['General', 'Technology', 'Life', 'Writing'];
+
+    // Post list ordering: field to compare and direction (1 ascending, -1 descending)
+    const SORTS = {
+        newest: { field: 'date', direction: -1 },
+        oldest: { field: 'date', direction: 1 },
+        'most-viewed': { field: 'views', direction: -1 },
+        title: { field: 'title', direction: 1 }
+    };
+    const DEFAULT_SORT = 'newest';
+    const DEFAULT_PAGE_SIZE = 10;
+    const MAX_PAGE_SIZE = 50;
+
+    // Post fields copied into every revision (see server/revisions.js)
+    const REVISION_FIELDS = ['title', 'content', 'excerpt', 'category', 'tags', 'coverImage', 'status', 'publishAt'];
+
+    // Upper bounds enforced by validatePost
+    const LIMITS = {
+        title: 200,
+        content: 100000,
+        excerpt: 300,
+        category: 40,
+        tags: 10,
+        tag: 30,
+        coverImage: 500
+    };
+
+    /**
+     * Turn a title into a URL slug ("Hello, World!" → "hello-world")
+     * @param {string} text - Title or free text
+     * @returns {string} Lower-case slug (may be empty)
+     */
+    function slugify(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, MAX_SLUG_LENGTH)
+            .replace(/-+$/, '');
+    }
+
+    /**
+     * Find a free slug for a title or a requested slug ("my-post", then
+     * "my-post-2", "my-post-3", ...)
+     * @param {string} text - Title or slug
+     * @param {Set<string>} taken - Slugs in use, including earlier slugs of other posts
+     * @returns {string} Slug not in `taken`
+     */
+    function freeSlug(text, taken) {
+        const base = slugify(text) || 'post';
+        let slug = base;
+        for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+        return slug;
+    }
+
+    /**
+     * Every slug that leads to a post: the current one and the earlier ones
+     * @param {Array<Object>} posts - Canonical posts
+     * @param {string} [exceptId] - Post to leave out (the one being saved)
+     * @returns {Set<string>} Slugs
+     */
+    function slugsInUse(posts, exceptId) {
+        const slugs = new Set();
+        posts.filter(post => post.id !== exceptId).forEach(post => {
+            slugs.add(post.slug);
+            (post.previousSlugs || []).forEach(slug => slugs.add(slug));
+        });
+        return slugs;
+    }
+
+    /**
+     * Find the post a slug leads to
+     * @param {Array<Object>} posts - Canonical posts
+     * @param {string} slug - Current or earlier slug
+     * @returns {{post: Object|null, moved: boolean}} The post, and whether
+     *   the slug is an earlier one (so the caller should redirect)
+     */
+    function resolveSlug(posts, slug) {
+        const current = posts.find(post => post.slug === slug);
+        if (current) return { post: current, moved: false };
+        const renamed = posts.find(post => (post.previousSlugs || []).includes(slug));
+        return { post: renamed || null, moved: Boolean(renamed) };
+    }
+
+    /**
+     * Count the words in a post's Markdown content
+     * @param {string} content - Markdown content
+     * @returns {number} Word count
+     */
+    function countWords(content) {
+        const text = Markdown.toPlainText(content);
+        return text ? text.split(/\s+/).length : 0;
+    }
+
+    /**
+     * Estimate reading time in whole minutes (at least 1)
+     * @param {string} content - Markdown content
+     * @returns {number} Minutes
+     */
+    function readingTime(content) {
+        return Math.max(1, Math.round(countWords(content) / WORDS_PER_MINUTE));
+    }
+
+    /**
+     * Normalize tags sent as an array or a comma separated string
+     * @param {Array<string>|string} tags - Raw tags
+     * @returns {Array<string>} Trimmed tags without blanks or duplicates
+     */
+    function parseTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        const clean = list.map(tag => String(tag).trim()).filter(tag => tag);
+        return clean.filter((tag, index) => clean.indexOf(tag) === index);
+    }
+
+    /**
+     * Build an excerpt from post content
+     * @param {string} content - Post body (Markdown)
+     * @returns {string} Short plain excerpt
+     */
+    function makeExcerpt(content) {
+        const text = Markdown.toPlainText(content);
+        return text.length > EXCERPT_LENGTH ? `${text.substring(0, EXCERPT_LENGTH)}...` : text;
+    }
+
+    /**
+     * Turn a stored date value into an ISO string
+     * @param {*} value - Date, timestamp or date string
+     * @returns {string|null} ISO date, or null when missing or invalid
+     */
+    function toIsoDate(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * Validate and clean user-supplied post fields
+     * Only the editable fields are read; id, author and dates are always
+     * set by whoever stores the post, and so is the slug unless one is given.
+     * @param {Object} input - Raw fields (request body or editor values)
+     * @param {Object} [options] - Validation options
+     * @param {boolean} [options.partial] - Allow missing fields (updates)
+     * @returns {{value: Object, errors: Array<string>}} Clean fields and error messages
+     */
+    function validatePost(input, { partial = false } = {}) {
+        const body = input || {};
+        const value = {};
+        const errors = [];
+        const present = field => body[field] !== undefined || !partial;
+
+        if (present('title')) {
+            value.title = String(body.title || '').trim();
+            if (!value.title) errors.push('Title is required');
+            else if (value.title.length > LIMITS.title) errors.push(`Title must be at most ${LIMITS.title} characters`);
+        }
+
+        if (body.slug !== undefined && body.slug !== null && String(body.slug).trim()) {
+            value.slug = slugify(body.slug);
+            if (!value.slug) errors.push('URL slug needs at least one letter or number');
+        }
+
+        if (present('content')) {
+            value.content = String(body.content || '').trim();
+            if (!value.content) errors.push('Content is required');
+            else if (value.content.length > LIMITS.content) errors.push(`Content must be at most ${LIMITS.content} characters`);
+        }
+
+        if (body.excerpt !== undefined && body.excerpt !== null && String(body.excerpt).trim()) {
+            value.excerpt = String(body.excerpt).trim();
+            if (value.excerpt.length > LIMITS.excerpt) errors.push(`Excerpt must be at most ${LIMITS.excerpt} characters`);
+        } else if (value.content) {
+            value.excerpt = makeExcerpt(value.content);
+        }
+
+        if (present('category')) {
+            value.category = String(body.category || DEFAULT_CATEGORY).trim().toLowerCase();
+            if (value.category.length > LIMITS.category) errors.push(`Category must be at most ${LIMITS.category} characters`);
+        }
+
+        if (present('tags')) {
+            if (body.tags !== undefined && body.tags !== null && typeof body.tags !== 'string' && !Array.isArray(body.tags)) {
+                errors.push('Tags must be a list or a comma separated string');
+            } else {
+                value.tags = parseTags(body.tags);
+                if (value.tags.length > LIMITS.tags) errors.push(`A post can have at most ${LIMITS.tags} tags`);
+                if (value.tags.some(tag => tag.length > LIMITS.tag)) errors.push(`Tags must be at most ${LIMITS.tag} characters`);
+            }
+        }
+
+        if (body.coverImage !== undefined) {
+            value.coverImage = body.coverImage ? String(body.coverImage).trim() : null;
+            if (value.coverImage && !/^(\/(?!\/)|https?:\/\/)/i.test(value.coverImage)) {
+                errors.push('Cover image must be an uploaded image or an http(s) URL');
+            } else if (value.coverImage && value.coverImage.length > LIMITS.coverImage) {
+                errors.push(`Cover image URL must be at most ${LIMITS.coverImage} characters`);
+            }
+        }
+
+        if (present('status')) {
+            value.status = body.status === undefined ? DEFAULT_STATUS : String(body.status);
+            if (!STATUSES.includes(value.status)) errors.push(`Status must be one of: ${STATUSES.join(', ')}`);
+        }
+
+        if (body.publishAt !== undefined) {
+            value.publishAt = toIsoDate(body.publishAt);
+            if (body.publishAt !== null && body.publishAt !== '' && !value.publishAt) {
+                errors.push('Publish time must be a valid date');
+            }
+        }
+
+        return { value, errors };
+    }
+
+    /**
+     * Bring a post of any older shape into the canonical schema
+     * Understands `_id` for id, `date` for createdAt and the boolean
+     * `published` for status. Unknown fields are dropped. Safe to run on
+     * posts that are already canonical.
+     * @param {Object} raw - Stored post
+     * @returns {Object} Canonical post
+     */
+    function normalizePost(raw) {
+        const post = raw || {};
+        const title = String(post.title || '').trim();
+        const content = String(post.content || '');
+        const createdAt = toIsoDate(post.createdAt) || toIsoDate(post.date) || new Date().toISOString();
+        const legacyStatus = post.published === false ? 'draft' : DEFAULT_STATUS;
+        const status = STATUSES.includes(post.status) ? post.status : legacyStatus;
+        const id = post.id !== undefined && post.id !== null ? post.id : post._id;
+
+        const slug = post.slug || slugify(title) || 'post';
+
+        return {
+            id: id !== undefined && id !== null ? String(id) : '',
+            slug,
+            previousSlugs: (Array.isArray(post.previousSlugs) ? post.previousSlugs : [])
+                .map(String)
+                .filter((earlier, index, all) => earlier && earlier !== slug && all.indexOf(earlier) === index),
+            title,
+            content,
+            excerpt: post.excerpt ? String(post.excerpt) : makeExcerpt(content),
+            category: String(post.category || DEFAULT_CATEGORY).trim().toLowerCase(),
+            tags: parseTags(post.tags),
+            coverImage: post.coverImage ? String(post.coverImage) : null,
+            author: post.author || 'Anonymous',
+            authorId: post.authorId !== undefined && post.authorId !== null ? String(post.authorId) : null,
+            status,
+            publishAt: toIsoDate(post.publishAt) || (status === 'draft' ? null : createdAt),
+            views: Math.max(0, parseInt(post.views, 10) || 0),
+            createdAt,
+            updatedAt: toIsoDate(post.updatedAt) || createdAt
+        };
+    }
+
+    // ===== LIFECYCLE =====
+
+    /**
+     * Work out status and publishAt after a save
+     * - published: publishAt keeps the first time the post went live (or
+     *   becomes now, when it was still in the future)
+     * - scheduled: needs a publishAt (the post goes live once it passes)
+     * - draft: publishAt is cleared
+     * - archived: publishAt is kept
+     * @param {Object} post - Post with the requested status and publishAt
+     * @param {Date} [now] - Current time
+     * @returns {{value: Object, errors: Array<string>}} { status, publishAt } and error messages
+     */
+    function resolveLifecycle(post, now = new Date()) {
+        const status = post.status || DEFAULT_STATUS;
+        const publishAt = toIsoDate(post.publishAt);
+        const errors = [];
+
+        if (status === 'scheduled' && !publishAt) {
+            errors.push('Choose when the post should be published');
+        }
+
+        // Publishing a post scheduled for later makes it live now
+        const due = publishAt && new Date(publishAt) > now ? now.toISOString() : publishAt;
+
+        const value = {
+            status,
+            publishAt: status === 'draft' ? null
+                : status === 'published' ? due || now.toISOString()
+                : publishAt
+        };
+        return { value, errors };
+    }
+
+    /**
+     * Check whether readers can see a post right now
+     * Scheduled posts become visible once their publish time has passed.
+     * @param {Object} post - Canonical post
+     * @param {Date} [now] - Current time
+     * @returns {boolean} True for published posts and due scheduled posts
+     */
+    function isLive(post, now = new Date()) {
+        if (post.status === 'published') return true;
+        return post.status === 'scheduled' && Boolean(post.publishAt) && new Date(post.publishAt) <= now;
+    }
+
+    /**
+     * Status as readers experience it (due scheduled posts count as published)
+     * @param {Object} post - Canonical post
+     * @param {Date} [now] - Current time
+     * @returns {string} One of STATUSES
+     */
+    function effectiveStatus(post, now = new Date()) {
+        return post.status === 'scheduled' && isLive(post, now) ? 'published' : post.status;
+    }
+
+    /**
+     * Date shown on a post and used for newest/oldest ordering
+     * @param {Object} post - Canonical post
+     * @returns {string} ISO date
+     */
+    function displayDate(post) {
+        return post.publishAt || post.createdAt;
+    }
+
+    /**
+     * Date a post last changed for readers (a scheduled post counts as
+     * changed when it goes live, even if it was saved earlier)
+     * @param {Object} post - Canonical post
+     * @returns {string} ISO date
+     */
+    function modifiedDate(post) {
+        const published = displayDate(post);
+        return post.updatedAt > published ? post.updatedAt : published;
+    }
+
+    /**
+     * Check whether a post already has the canonical shape
+     * @param {Object} post - Stored post
+     * @returns {boolean} True when normalizePost would change nothing
+     */
+    function isCanonical(post) {
+        const canonical = normalizePost(post);
+        const fields = Object.keys(canonical);
+        return Object.keys(post).length === fields.length &&
+            fields.every(field => JSON.stringify(post[field]) === JSON.stringify(canonical[field]));
+    }
+
+    /**
+     * List the revision fields that differ between two versions of a post
+     * @param {Object|null} before - Earlier version (null for a new post)
+     * @param {Object} after - Later version
+     * @returns {Array<string>} Changed fields from REVISION_FIELDS
+     */
+    function changedFields(before, after) {
+        return REVISION_FIELDS.filter(field =>
+            !before || JSON.stringify(before[field] === undefined ? null : before[field]) !==
+                JSON.stringify(after[field] === undefined ? null : after[field]));
+    }
+
+    /**
+     * Lower-case, accent-free text for case-insensitive matching
+     * @param {*} value - Any text
+     * @returns {string} Folded text
+     */
+    function fold(value) {
+        return String(value || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    }
+
+    // Tags and categories match by name or by slug ("Web Dev" and "web-dev")
+    function nameKey(value) {
+        return slugify(value) || fold(value);
+    }
+
+    /**
+     * Keep the posts matching every given filter
+     * Empty filters are ignored. `q` matches when every word appears in the
+     * title, text, excerpt, tags, category or author.
+     * @param {Array<Object>} posts - Canonical posts
+     * @param {Object} [filters] - Filters
+     * @param {string} [filters.category] - Category name or slug (case-insensitive)
+     * @param {string} [filters.tag] - Tag the post must carry, by name or slug (case-insensitive)
+     * @param {string} [filters.author] - Author name or id
+     * @param {string} [filters.q] - Search words
+     * @returns {Array<Object>} Matching posts, in the original order
+     */
+    function filterPosts(posts, { category, tag, author, q } = {}) {
+        const wantedCategory = category ? nameKey(category) : '';
+        const wantedTag = tag ? nameKey(tag) : '';
+        const wantedAuthor = fold(author);
+        const words = fold(q).split(/\s+/).filter(word => word);
+
+        return posts.filter(post => {
+            if (wantedCategory && nameKey(post.category) !== wantedCategory) return false;
+            if (wantedTag && !(post.tags || []).some(t => nameKey(t) === wantedTag)) return false;
+            if (wantedAuthor && fold(post.author) !== wantedAuthor && fold(post.authorId) !== wantedAuthor) return false;
+
+            if (words.length) {
+                const haystack = fold([
+                    post.title,
+                    Markdown.toPlainText(post.content),
+                    post.excerpt,
+                    (post.tags || []).join(' '),
+                    post.category,
+                    post.author
+                ].join(' '));
+                if (!words.every(word => haystack.includes(word))) return false;
+            }
+
+            return true;
+        });
+    }
+
+    // ===== CATEGORIES & TAGS =====
+
+    // Category and tag names of a post, by list scope
+    const TERM_SCOPES = {
+        categories: post => post.category ? [post.category] : [],
+        tags: post => post.tags || []
+    };
+
+    /**
+     * Check whether a category or tag name belongs to a term
+     * @param {string} value - Name as stored on a post
+     * @param {string} slug - Term slug
+     * @returns {boolean} True when the name's slug is the term's
+     */
+    function matchesTerm(value, slug) {
+        return nameKey(value) === slug;
+    }
+
+    /**
+     * List the categories or tags used by posts, with post counts
+     * Names without letters or digits get no slug and are left out.
+     * @param {Array<Object>} posts - Canonical posts (all of them are counted)
+     * @param {string} scope - 'categories' or 'tags'
+     * @param {Array<string>} [names] - Names to list even when no post uses them
+     * @returns {Array<{slug: string, name: string, postCount: number}>} Terms, by name
+     */
+    function summarizeTerms(posts, scope, names = []) {
+        const terms = new Map();
+        const add = (name, count) => {
+            const slug = slugify(name);
+            if (!slug) return;
+            const term = terms.get(slug) || { slug, name, postCount: 0 };
+            term.postCount += count;
+            terms.set(slug, term);
+        };
+
+        names.forEach(name => add(name, 0));
+        posts.forEach(post => {
+            // A post counts once, even with "Web Dev" and "web-dev" as tags
+            const seen = new Set();
+            TERM_SCOPES[scope](post).forEach(value => {
+                const slug = slugify(value);
+                if (seen.has(slug)) return;
+                seen.add(slug);
+                add(value, 1);
+            });
+        });
+        return [...terms.values()].sort((a, b) => fold(a.name).localeCompare(fold(b.name)));
+    }
+
+    // ===== SORTING & PAGINATION =====
+
+    /**
+     * Encode a cursor value as URL-safe base64 (browser and Node)
+     * @param {*} value - JSON-serializable value
+     * @returns {string} Opaque cursor
+     */
+    function encodeCursor(value) {
+        const json = JSON.stringify(value);
+        const base64 = typeof Buffer !== 'undefined'
+            ? Buffer.from(json, 'utf8').toString('base64')
+            : btoa(String.fromCharCode(...new TextEncoder().encode(json)));
+        return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode a cursor made by encodeCursor
+     * @param {string} cursor - Opaque cursor
+     * @returns {*} Decoded value, or undefined when the cursor is malformed
+     */
+    function decodeCursor(cursor) {
+        try {
+            const base64 = String(cursor).replace(/-/g, '+').replace(/_/g, '/');
+            const json = typeof Buffer !== 'undefined'
+                ? Buffer.from(base64, 'base64').toString('utf8')
+                : new TextDecoder().decode(Uint8Array.from(atob(base64), char => char.charCodeAt(0)));
+            return JSON.parse(json);
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    // Own keys only, so ?sort=constructor or __proto__ is not a sort order
+    function isSort(sort) {
+        return Object.prototype.hasOwnProperty.call(SORTS, sort);
+    }
+
+    /**
+     * Build a comparator for a sort order
+     * Ties are broken by id so every post has one fixed position, which is
+     * what lets a cursor point "between" two posts.
+     * @param {string} sort - Key of SORTS
+     * @returns {Function} Comparator for Array.prototype.sort
+     */
+    function comparePosts(sort) {
+        const { field, direction } = SORTS[isSort(sort) ? sort : DEFAULT_SORT];
+        const key = post => field === 'title' ? fold(post.title) : field === 'views' ? post.views || 0 : displayDate(post);
+
+        return (a, b) => {
+            const left = key(a);
+            const right = key(b);
+            if (left < right) return -direction;
+            if (left > right) return direction;
+            return String(a.id) < String(b.id) ? -1 : String(a.id) > String(b.id) ? 1 : 0;
+        };
+    }
+
+    /**
+     * Validate list options from a query string
+     * @param {Object} query - Raw query (sort, limit, cursor)
+     * @returns {{value: Object, errors: Array<string>}} Clean options and error messages
+     */
+    function validateListQuery(query) {
+        const params = query || {};
+        const errors = [];
+        const value = {
+            sort: params.sort || DEFAULT_SORT,
+            limit: DEFAULT_PAGE_SIZE,
+            cursor: null
+        };
+
+        if (!isSort(value.sort)) {
+            errors.push(`Sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+        }
+
+        if (params.limit !== undefined && params.limit !== '') {
+            const limit = Number(params.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+                errors.push(`Limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+            } else {
+                value.limit = limit;
+            }
+        }
+
+        if (params.cursor) {
+            const position = decodeCursor(params.cursor);
+            if (!position || position.sort !== value.sort || !position.post || typeof position.post !== 'object') {
+                errors.push('Invalid cursor');
+            } else {
+                value.cursor = position;
+            }
+        }
+
+        return { value, errors };
+    }
+
+    /**
+     * Sort posts and cut out one page
+     * @param {Array<Object>} posts - Canonical posts (already filtered)
+     * @param {Object} options - Options from validateListQuery
+     * @returns {{posts: Array<Object>, total: number, nextCursor: string|null}} Page of posts,
+     *   number of posts across all pages, and the cursor for the next page
+     */
+    function paginatePosts(posts, { sort = DEFAULT_SORT, limit = DEFAULT_PAGE_SIZE, cursor = null } = {}) {
+        const compare = comparePosts(sort);
+        const sorted = posts.slice().sort(compare);
+        const remaining = cursor ? sorted.filter(post => compare(post, cursor.post) > 0) : sorted;
+        const page = remaining.slice(0, limit);
+
+        let nextCursor = null;
+        if (remaining.length > limit) {
+            const last = page[page.length - 1];
+            const { field } = SORTS[sort];
+            // Just enough of the last post for comparePosts to find our place again
+            const position = field === 'date' ? { publishAt: displayDate(last) } : { [field]: last[field] };
+            nextCursor = encodeCursor({ sort, post: { id: last.id, ...position } });
+        }
+
+        return {
+            posts: page,
+            total: posts.length,
+            nextCursor
+        };
+    }
+
+    return {
+        STATUSES,
+        LIMITS,
+        slugify,
+        freeSlug,
+        slugsInUse,
+        resolveSlug,
+        countWords,
+        readingTime,
+        parseTags,
+        makeExcerpt,
+        validatePost,
+        normalizePost,
+        isCanonical,
+        REVISION_FIELDS,
+        changedFields,
+        filterPosts,
+        DEFAULT_CATEGORY,
+        DEFAULT_CATEGORIES,
+        TERM_SCOPES,
+        matchesTerm,
+        summarizeTerms,
+        resolveLifecycle,
+        isLive,
+        effectiveStatus,
+        displayDate,
+        modifiedDate,
+        SORTS,
+        DEFAULT_PAGE_SIZE,
+        validateListQuery,
+        paginatePosts
+    };
+});
@@ -0,0 +1,157 @@
+/**
+ * Digital Garden Blog - Client Router
+ *
+ * Maps URLs to app sections so back/forward, reloads and deep links work:
+ *
+ *   blog.html      → home
+ *   posts          → posts list (?category=, ?tag=, ?author=, ?q= filters)
+ *   posts/:slug    → single post page
+ *   tags/:tag, categories/:category
+ *                  → posts list for one tag or category
+ *   drafts         → the logged in author's unpublished posts
+ *   write          → editor
+ *   about          → about page
+ *   admin          → admin dashboard (admins only)
+ *
+ * Two URL styles are supported:
+ * - history: real paths (/posts/my-post). Needs the server to answer them
+ *   with blog.html - basic-server.js and netlify.toml both do.
+ * - hash: fragment paths (blog.html#/posts/my-post). Works on any static
+ *   host, e.g. Live Server or GitHub Pages.
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+// ===== ROUTE TABLE =====
+
+const ROUTES = [
+    { section: 'home', path: '', pattern: /^(blog\.html)?$/ },
+    { section: 'posts', path: 'posts', pattern: /^posts\/?$/ },
+    { section: 'post', path: 'posts/:slug', pattern: /^posts\/([^/]+)\/?$/, param: 'slug' },
+    // Pages of a static export; links to them are built as posts?tag= and posts?category=
+    { section: 'posts', path: 'tags/:tag', pattern: /^tags\/([^/]+)\/?$/, param: 'tag' },
+    { section: 'posts', path: 'categories/:category', pattern: /^categories\/([^/]+)\/?$/, param: 'category' },
+    { section: 'drafts', path: 'drafts', pattern: /^drafts\/?$/ },
+    { section: 'create', path: 'write', pattern: /^write\/?$/ },
+    { section: 'about', path: 'about', pattern: /^about\/?$/ },
+    { section: 'admin', path: 'admin', pattern: /^admin\/?$/ }
+];
+
+/**
+ * AppRouter keeps the address bar in sync with the visible section
+ */
+class AppRouter {
+    /**
+     * @param {string} mode - 'history', 'hash' or 'auto'
+     */
+    constructor(mode = 'auto') {
+        this.mode = mode === 'auto' ? AppRouter.detectMode() : mode;
+
+        // Directory holding blog.html (post pages add a <base> pointing here)
+        this.root = new URL('.', document.baseURI).pathname;
+        this.handler = null;
+    }
+
+    /**
+     * Pick history mode only when the page is served by our own backend,
+     * which knows how to answer /posts/:slug and friends
+     * @returns {string} 'history' or 'hash'
+     */
+    static detectMode() {
+        if (window.location.protocol === 'file:') return 'hash';
+
+        try {
+            const apiOrigin = new URL(window.APP_CONFIG.API_BASE_URL, window.location.href).origin;
+            return apiOrigin === window.location.origin ? 'history' : 'hash';
+        } catch (error) {
+            return 'hash';
+        }
+    }
+
+    /**
+     * Start listening for back/forward navigation
+     * @param {Function} handler - Called with ({ section, params, query }) for the initial URL and every popstate
+     */
+    start(handler) {
+        this.handler = handler;
+        window.addEventListener('popstate', () => this.handler(this.resolve()));
+        console.log(`🧭 Router started (${this.mode} mode)`);
+        this.handler(this.resolve());
+    }
+
+    /**
+     * Work out the route for the current URL
+     * Hash routes win, so hash links also open correctly in history mode.
+     * @returns {{section: string, params: Object, query: Object}} Current route
+     */
+    resolve() {
+        const hash = window.location.hash;
+        let path = '';
+        let search = window.location.search;
+
+        if (hash.startsWith('#/')) {
+            [path, search = ''] = hash.slice(2).split('?');
+        } else if (window.location.pathname.startsWith(this.root)) {
+            path = window.location.pathname.slice(this.root.length);
+        }
+
+        const query = Object.fromEntries(new URLSearchParams(search));
+
+        for (const route of ROUTES) {
+            const match = route.pattern.exec(path);
+            if (match) {
+                const params = route.param ? { [route.param]: decodeURIComponent(match[1]) } : {};
+                return { section: route.section, params, query };
+            }
+        }
+
+        return { section: 'home', params: {}, query };
+    }
+
+    /**
+     * Build the URL for a section
+     * @param {string} section - Section id
+     * @param {Object} [params] - Route parameters (e.g. { slug })
+     * @param {Object} [query] - Query string values (empty values are left out)
+     * @returns {string} URL usable in href attributes and history entries
+     */
+    href(section, params = {}, query = {}) {
+        const route = ROUTES.find(r => r.section === section) || ROUTES[0];
+        const path = route.path.replace(/:(\w+)/g, (match, name) => encodeURIComponent(params[name] || ''));
+
+        const search = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') search.append(key, value);
+        });
+        const queryString = search.toString() ? `?${search}` : '';
+
+        if (this.mode === 'hash') {
+            return `${this.root}blog.html${path || queryString ? `#/${path}${queryString}` : ''}`;
+        }
+        return `${this.root}${path || 'blog.html'}${queryString}`;
+    }
+
+    /**
+     * Record a section in the address bar (does not call the handler)
+     * @param {string} section - Section id
+     * @param {Object} [params] - Route parameters
+     * @param {Object} [options] - { replace: true } to replace the current entry,
+     *   { query } for query string values
+     */
+    navigate(section, params = {}, { replace = false, query = {} } = {}) {
+        const url = this.href(section, params, query);
+        const current = window.location.pathname + window.location.search + window.location.hash;
+        if (url === current) return;
+
+        const state = { section, params, query };
+        if (replace) {
+            history.replaceState(state, '', url);
+        } else {
+            history.pushState(state, '', url);
+        }
+    }
+}
+
+// Create global router instance
+window.router = new AppRouter((window.APP_CONFIG && window.APP_CONFIG.ROUTER_MODE) || 'auto');
@@ -0,0 +1,90 @@
+/**
+ * Read-only Data for Static Deployments
+ *
+ * Answers post reads from the posts.json index written by
+ * scripts/export-site.js, so a static copy of the blog (Netlify, GitHub
+ * Pages) shows the real posts when no backend server is reachable.
+ * APIClient (api.js) switches to it on its own; anything that writes or
+ * needs an account is left to the server.
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+class StaticSiteAPI {
+    /**
+     * @param {string} indexUrl - URL of posts.json, relative to the page's base
+     */
+    constructor(indexUrl) {
+        this.indexUrl = indexUrl;
+        this.index = null;
+    }
+
+    /**
+     * Fetch the index once; a failed load is retried on the next call
+     * @returns {Promise<Array<Object>>} Live posts, in canonical form with commentCount
+     */
+    loadPosts() {
+        if (!this.index) {
+            this.index = fetch(new URL(this.indexUrl, document.baseURI))
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => {
+                    const posts = data.posts || [];
+                    console.log(`📦 Loaded ${posts.length} posts from ${this.indexUrl} (exported ${data.generatedAt})`);
+                    return posts;
+                })
+                .catch(error => {
+                    console.error(`💥 Could not load ${this.indexUrl}:`, error.message);
+                    this.index = null;
+                    throw new Error('Cannot load the exported posts');
+                });
+        }
+        return this.index;
+    }
+
+    async getPosts(query = {}) {
+        const { value: options, errors } = window.PostModel.validateListQuery(query);
+        if (errors.length) return { success: false, message: errors[0] };
+
+        // Only live posts are exported, so there is nothing else to show
+        if (query.status) return { success: false, message: 'Not authenticated' };
+
+        const posts = await this.loadPosts();
+        const visible = posts.filter(post => window.PostModel.isLive(post));
+        return {
+            success: true,
+            ...window.PostModel.paginatePosts(window.PostModel.filterPosts(visible, query), options)
+        };
+    }
+
+    async getCategories() {
+        return { success: true, categories: window.PostModel.summarizeTerms(await this.loadPosts(), 'categories') };
+    }
+
+    async getTags() {
+        return { success: true, tags: window.PostModel.summarizeTerms(await this.loadPosts(), 'tags') };
+    }
+
+    async getPost(idOrSlug) {
+        const posts = await this.loadPosts();
+        const post = posts.find(p => p.id === String(idOrSlug) || p.slug === idOrSlug);
+        if (!post || !window.PostModel.isLive(post)) {
+            return { success: false, message: 'Post not found' };
+        }
+        return { success: true, post };
+    }
+
+    async getPostBySlug(slug) {
+        const { post } = window.PostModel.resolveSlug(await this.loadPosts(), slug);
+        if (!post || !window.PostModel.isLive(post)) {
+            return { success: false, message: 'Post not found' };
+        }
+        return { success: true, post };
+    }
+}
+
+// Export for use in other files
+window.StaticSiteAPI = StaticSiteAPI;
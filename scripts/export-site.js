@@ -0,0 +1,179 @@
+/**
+ * Digital Garden Blog - Static Site Export
+ *
+ * Writes the whole blog as static files, for hosts without the backend
+ * such as Netlify or GitHub Pages:
+ * - The frontend (public/) and uploaded files (uploads/)
+ * - Prerendered pages: blog.html, posts/, posts/<slug>/, tags/<slug>/ and
+ *   categories/<slug>/ (each an index.html, as server/render.js renders them)
+ * - Pages at the earlier slugs of renamed posts, sending visitors on to the
+ *   current ones, plus the same moves as 301 rules in _redirects (Netlify)
+ * - Feeds (feed.xml, atom.xml, feed.json, plus one set per tag and category)
+ * - sitemap.xml and robots.txt
+ * - posts.json, the read-only index the frontend falls back to when no
+ *   backend answers (public/js/static-site.js)
+ *
+ * Usage: node scripts/export-site.js [output directory]
+ *
+ * Files go to dist/ unless another directory is given. It is emptied first,
+ * so it has to be new, empty or an earlier export (which leaves an
+ * EXPORT_MARKER file), and may not overlap public/, the data file's
+ * directory or UPLOAD_DIR.
+ * Posts are read from the same storage as the server (STORAGE_BACKEND,
+ * DATA_FILE, MONGODB_URI, UPLOAD_DIR); like a first server start, an empty
+ * store gets the sample posts. Links start with SITE_URL, or with URL,
+ * which Netlify sets during builds. A path in SITE_URL (GitHub project
+ * pages, e.g. https://user.github.io/blog) is kept in every link.
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('../server/config');
+const { createStore } = require('../server/storage');
+const posts = require('../server/posts');
+const comments = require('../server/comments');
+const render = require('../server/render');
+const { buildFeedFiles, scopeNames } = require('../server/feeds');
+const { PUBLIC_DIR } = require('../server/static');
+const PostModel = require('../public/js/post-model');
+
+const OUTPUT_DIR = path.resolve(process.argv[2] || path.join(__dirname, '..', 'dist'));
+
+// Left in every export, so a later export knows the directory is its own to empty
+const EXPORT_MARKER = '.digital-garden-export';
+
+// Whether one directory is the other or inside it
+function overlaps(a, b) {
+    return a === b || a.startsWith(b + path.sep) || b.startsWith(a + path.sep);
+}
+
+/**
+ * Check that OUTPUT_DIR can be emptied without losing anything
+ * @param {Object} config - Loaded configuration
+ * @throws {Error} When it overlaps the sources or data, or holds other files
+ */
+function assertSafeOutputDir(config) {
+    const protectedDirs = [PUBLIC_DIR, path.dirname(config.dataFile), config.uploadDir];
+    const overlap = protectedDirs.find(dir => overlaps(OUTPUT_DIR, dir));
+    if (overlap) {
+        throw new Error(`Refusing to export into ${OUTPUT_DIR}: it overlaps ${overlap}`);
+    }
+
+    if (!fs.existsSync(OUTPUT_DIR)) return;
+    if (!fs.statSync(OUTPUT_DIR).isDirectory()) {
+        throw new Error(`Refusing to export into ${OUTPUT_DIR}: it is not a directory`);
+    }
+    if (fs.readdirSync(OUTPUT_DIR).length && !fs.existsSync(path.join(OUTPUT_DIR, EXPORT_MARKER))) {
+        throw new Error(`Refusing to export into ${OUTPUT_DIR}: it is not empty and holds no earlier export`);
+    }
+}
+
+async function writeFile(file, content) {
+    const target = path.join(OUTPUT_DIR, file);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, content);
+}
+
+/**
+ * Render every page, feed and index for the given posts
+ * @param {Array<Object>} all - Canonical posts
+ * @param {Object} counts - Approved comments by post id
+ * @param {Object} site - Site being rendered (see render.siteFor)
+ * @returns {Promise<Array<{path: string, content: string}>>} Files, relative to OUTPUT_DIR
+ */
+async function buildSite(all, counts, site) {
+    const live = all
+        .filter(post => PostModel.isLive(post))
+        .sort((a, b) => PostModel.displayDate(b).localeCompare(PostModel.displayDate(a)));
+
+    const files = [
+        { path: 'blog.html', content: await render.renderHomePage(site) },
+        { path: 'posts/index.html', content: await render.renderPostsPage({ posts: live, counts, url: `${site.url}/posts/` }, site) }
+    ];
+
+    const redirects = [];
+    for (const post of live) {
+        files.push({ path: `posts/${post.slug}/index.html`, content: await render.renderPostPage(post, site) });
+        post.previousSlugs.forEach(slug => {
+            files.push({ path: `posts/${slug}/index.html`, content: render.renderMovedPage(post, site) });
+            const target = `${site.base}posts/${post.slug}/`;
+            redirects.push(`${site.base}posts/${slug} ${target} 301!`, `${site.base}posts/${slug}/* ${target} 301!`);
+        });
+    }
+
+    const listPages = [];
+    for (const scope of ['tags', 'categories']) {
+        const key = scope === 'tags' ? 'tag' : 'category';
+        for (const [slug, name] of scopeNames(live, scope)) {
+            const page = `${scope}/${slug}/`;
+            listPages.push(page);
+            files.push({
+                path: `${page}index.html`,
+                content: await render.renderPostsPage({
+                    posts: live,
+                    counts,
+                    filters: { [key]: slug },
+                    heading: key === 'tag' ? `Posts tagged #${name}` : `${name} posts`,
+                    url: `${site.url}/${page}`
+                }, site)
+            });
+        }
+    }
+
+    files.push(
+        ...buildFeedFiles(live, site.url),
+        { path: 'sitemap.xml', content: render.renderSitemap(live, site, listPages) },
+        { path: 'robots.txt', content: render.renderRobots(site) },
+        { path: '_redirects', content: redirects.map(rule => `${rule}\n`).join('') },
+        {
+            path: 'posts.json',
+            content: JSON.stringify({
+                generatedAt: new Date().toISOString(),
+                posts: live.map(post => ({ ...post, commentCount: counts[post.id] || 0 }))
+            })
+        }
+    );
+    return files;
+}
+
+async function exportSite() {
+    const config = getConfig();
+    assertSafeOutputDir(config);
+
+    const store = createStore({
+        backend: config.storageBackend,
+        dataFile: config.dataFile,
+        mongoUri: config.mongoUri
+    });
+
+    await store.init();
+    try {
+        await posts.seedPosts(store);
+        await posts.migratePosts(store);
+
+        const site = render.siteFor(config.siteUrl || process.env.URL || 'http://127.0.0.1:9090', { isStatic: true });
+        const files = await buildSite(await store.list('posts'), await comments.countComments(store), site);
+
+        await fs.promises.rm(OUTPUT_DIR, { recursive: true, force: true });
+        await fs.promises.cp(PUBLIC_DIR, OUTPUT_DIR, { recursive: true });
+        if (fs.existsSync(config.uploadDir)) {
+            await fs.promises.cp(config.uploadDir, path.join(OUTPUT_DIR, 'uploads'), { recursive: true });
+        }
+        for (const file of files) {
+            await writeFile(file.path, file.content);
+        }
+        await writeFile(EXPORT_MARKER, `Exported by scripts/export-site.js on ${new Date().toISOString()}\n`);
+
+        console.log(`📦 Exported ${files.length} files to ${OUTPUT_DIR} (${site.url})`);
+    } finally {
+        await store.close();
+    }
+}
+
+exportSite().catch(error => {
+    console.error('💥 Site export failed:', error);
+    process.exit(1);
+});
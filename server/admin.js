@@ -0,0 +1,183 @@
+/**
+ * Digital Garden Blog - Admin API
+ *
+ * Admin-only routes behind the dashboard at /admin:
+ * - GET  /api/admin/stats       Site statistics: posts by status and
+ *                               category, drafts pending, comments awaiting
+ *                               approval, users by role and recent logins
+ * - GET  /api/admin/posts       Every post, whoever wrote it (?status=all by
+ *                               default, plus the filters, sorting and paging
+ *                               of GET /api/posts)
+ * - POST /api/admin/posts/bulk  Apply one action to many posts:
+ *                               { ids, action: publish|unpublish|delete|categorize,
+ *                                 category (categorize only) }
+ *
+ * Users, roles and the comment queue are managed through the existing
+ * /api/users and /api/comments routes.
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const { HttpError, sendJson, readJsonBody } = require('./http');
+const { logEvent } = require('./logger');
+const { requirePermission } = require('./auth');
+const PostModel = require('../public/js/post-model');
+const { ROLES } = require('../public/js/permissions');
+const posts = require('./posts');
+const revisions = require('./revisions');
+const comments = require('./comments');
+const taxonomies = require('./taxonomies');
+
+const BULK_ACTIONS = ['publish', 'unpublish', 'delete', 'categorize'];
+
+// Most posts one bulk request may change
+const MAX_BULK_POSTS = 100;
+
+// Logins listed under "recent logins"
+const RECENT_LOGINS = 10;
+
+/**
+ * Count items by a key
+ * @param {Array<Object>} items - Items to count
+ * @param {Function} keyOf - Returns the key of an item
+ * @param {Array<string>} [keys] - Keys to list even when nothing has them
+ * @returns {Object} Counts by key
+ */
+function countBy(items, keyOf, keys = []) {
+    const counts = Object.fromEntries(keys.map(key => [key, 0]));
+    items.forEach(item => {
+        const key = keyOf(item);
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+}
+
+/**
+ * Apply a bulk action to one post
+ * @param {Object} store - Storage backend
+ * @param {Object} post - Post to change
+ * @param {Object} user - Admin doing it
+ * @param {Object} request - { action, category }
+ * @returns {Promise<string>} What happened, for the report
+ */
+async function applyBulkAction(store, post, user, { action, category }) {
+    if (action === 'delete') {
+        await posts.removePost(store, post);
+        return 'Deleted';
+    }
+
+    const changes = action === 'categorize'
+        ? { category }
+        : posts.readLifecycle({ ...post, status: action === 'publish' ? 'published' : 'draft' });
+    const updated = await store.update('posts', post.id, { ...changes, updatedAt: new Date().toISOString() });
+    await revisions.recordRevision(store, updated, user, { previous: post });
+
+    return action === 'categorize' ? `Moved to ${category}` : action === 'publish' ? 'Published' : 'Moved to drafts';
+}
+
+// ===== ROUTE HANDLERS =====
+
+async function getStats(req, res, { store }) {
+    await requirePermission(req, store, 'site:manage');
+
+    const allPosts = await store.list('posts');
+    const allComments = await store.list('comments');
+    const users = await store.list('users');
+
+    const categories = {};
+    allPosts.forEach(post => {
+        const entry = categories[post.category] || (categories[post.category] = { category: post.category, total: 0, published: 0 });
+        entry.total++;
+        if (PostModel.isLive(post)) entry.published++;
+    });
+
+    const byStatus = countBy(allPosts, post => PostModel.effectiveStatus(post), PostModel.STATUSES);
+    const recentLogins = users
+        .filter(user => user.lastLoginAt)
+        .sort((a, b) => b.lastLoginAt.localeCompare(a.lastLoginAt))
+        .slice(0, RECENT_LOGINS)
+        .map(({ id, username, name, role, lastLoginAt }) => ({ id, username, name, role, lastLoginAt }));
+
+    sendJson(res, 200, {
+        success: true,
+        stats: {
+            posts: {
+                total: allPosts.length,
+                byStatus,
+                byCategory: Object.values(categories).sort((a, b) => b.total - a.total || a.category.localeCompare(b.category))
+            },
+            // Written but not out yet: drafts plus posts scheduled for later
+            draftsPending: byStatus.draft + byStatus.scheduled,
+            comments: {
+                total: allComments.length,
+                pending: allComments.filter(comment => comment.status === 'pending').length
+            },
+            users: {
+                total: users.length,
+                byRole: countBy(users, user => user.role, ROLES)
+            },
+            recentLogins
+        }
+    });
+}
+
+async function listAllPosts(req, res, { store, query }) {
+    await requirePermission(req, store, 'site:manage');
+
+    const { value: options, errors } = PostModel.validateListQuery(query);
+    if (errors.length) throw new HttpError(400, errors[0], { code: 'VALIDATION_ERROR', details: { errors } });
+    const statuses = posts.readStatusFilter(query.status || 'all');
+
+    const visible = (await store.list('posts')).filter(post => statuses.includes(PostModel.effectiveStatus(post)));
+    const page = PostModel.paginatePosts(PostModel.filterPosts(visible, query), options);
+    const counts = await comments.countComments(store);
+    page.posts = page.posts.map(post => ({ ...post, commentCount: counts[post.id] || 0 }));
+    sendJson(res, 200, { success: true, ...page });
+}
+
+async function bulkUpdatePosts(req, res, { store }) {
+    const user = await requirePermission(req, store, 'site:manage');
+    const body = await readJsonBody(req);
+
+    if (!BULK_ACTIONS.includes(body.action)) {
+        throw new HttpError(400, `Action must be one of: ${BULK_ACTIONS.join(', ')}`);
+    }
+    const ids = Array.isArray(body.ids) ? [...new Set(body.ids.map(String))] : [];
+    if (!ids.length) throw new HttpError(400, 'Choose at least one post');
+    if (ids.length > MAX_BULK_POSTS) throw new HttpError(400, `At most ${MAX_BULK_POSTS} posts can be changed at once`);
+
+    let category;
+    if (body.action === 'categorize') {
+        const { value, errors } = PostModel.validatePost({ category: body.category }, { partial: true });
+        if (!String(body.category || '').trim()) throw new HttpError(400, 'Category is required');
+        if (errors.length) throw new HttpError(400, errors[0], { code: 'VALIDATION_ERROR', details: { errors } });
+        category = value.category;
+    }
+
+    const results = [];
+    for (const id of ids) {
+        const post = await store.get('posts', id);
+        if (!post) {
+            results.push({ id, success: false, message: 'Post not found' });
+            continue;
+        }
+        results.push({ id, success: true, message: await applyBulkAction(store, post, user, { action: body.action, category }) });
+    }
+
+    if (body.action === 'categorize') await taxonomies.syncPostTerms(store);
+
+    const changed = results.filter(result => result.success).length;
+    logEvent('posts.bulk_updated', { action: body.action, changed, requested: ids.length });
+    sendJson(res, 200, {
+        success: true,
+        message: `${changed} ${changed === 1 ? 'post' : 'posts'} ${body.action === 'delete' ? 'deleted' : 'updated'}`,
+        results
+    });
+}
+
+module.exports = {
+    getStats,
+    listAllPosts,
+    bulkUpdatePosts
+};
@@ -0,0 +1,272 @@
+/**
+ * Digital Garden Blog - Authentication
+ *
+ * Signed JWT authentication backed by stored user accounts:
+ * - Passwords are hashed with bcrypt, never stored in plain text
+ * - Tokens are signed with JWT_SECRET and expire after TOKEN_EXPIRES_IN
+ *   (see config.js)
+ * - Route handlers for login, registration, token verification and
+ *   password changes
+ * - Helpers for other handlers to resolve/require the current user and
+ *   check role permissions (see public/js/permissions.js)
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { HttpError, sendJson, readJsonBody } = require('./http');
+const { logEvent } = require('./logger');
+const { can } = require('../public/js/permissions');
+const { getConfig, DEFAULT_ADMIN_PASSWORD } = require('./config');
+
+const COLLECTION = 'users';
+
+// bcrypt cost factor
+const BCRYPT_ROUNDS = 10;
+
+// Account validation rules
+const USERNAME_PATTERN = /^[a-zA-Z0-9_-]{3,30}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hash a plain text password
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+function hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Compare a plain text password with a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} hash - Stored bcrypt hash
+ * @returns {Promise<boolean>} True when they match
+ */
+function verifyPassword(password, hash) {
+    return bcrypt.compare(String(password || ''), hash || '');
+}
+
+/**
+ * Validate and normalize an email address
+ * @param {string} email - Raw email
+ * @returns {string} Lower-cased email
+ */
+function validateEmail(email) {
+    const value = String(email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(value)) throw new HttpError(400, 'A valid email address is required');
+    return value;
+}
+
+/**
+ * Validate a new password
+ * @param {string} password - Plain text password
+ * @returns {string} The password
+ */
+function validatePassword(password) {
+    const value = String(password || '');
+    if (value.length < MIN_PASSWORD_LENGTH) {
+        throw new HttpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    return value;
+}
+
+/**
+ * Make sure no other account already uses an email address
+ * @param {Object} store - Storage backend
+ * @param {string} email - Normalized email
+ * @param {string} [exceptId] - Id of the user allowed to own it
+ */
+async function assertEmailAvailable(store, email, exceptId) {
+    const owner = await store.findOne(COLLECTION, { email });
+    if (owner && owner.id !== exceptId) throw new HttpError(409, 'Email is already registered');
+}
+
+/**
+ * Strip private fields from a user before sending it to the client
+ * @param {Object} user - Stored user
+ * @returns {Object} Public user fields
+ */
+function publicUser(user) {
+    const { passwordHash, ...fields } = user;
+    return fields;
+}
+
+/**
+ * Create the admin account (password ADMIN_PASSWORD) the first time the
+ * server starts
+ * @param {Object} store - Storage backend
+ */
+async function seedAdmin(store) {
+    const users = await store.list(COLLECTION);
+    if (users.length > 0) return;
+
+    await store.insert(COLLECTION, {
+        username: 'admin',
+        email: 'admin@blog.com',
+        name: 'Admin',
+        bio: '',
+        role: 'admin',
+        passwordHash: await hashPassword(getConfig().adminPassword),
+        createdAt: new Date().toISOString()
+    });
+
+    const isDefault = getConfig().adminPassword === DEFAULT_ADMIN_PASSWORD;
+    console.log(`👤 Created admin account (admin${isDefault ? ` / ${DEFAULT_ADMIN_PASSWORD}` : ', password from ADMIN_PASSWORD'})`);
+}
+
+/**
+ * Issue a signed token for a user
+ * @param {Object} user - Stored user
+ * @returns {string} Signed JWT
+ */
+function issueToken(user) {
+    return jwt.sign(
+        { sub: user.id, username: user.username, role: user.role },
+        getConfig().jwtSecret,
+        { expiresIn: getConfig().tokenExpiresIn }
+    );
+}
+
+/**
+ * Resolve the user making the request from its Bearer token
+ * @param {http.IncomingMessage} req - Request object
+ * @param {Object} store - Storage backend
+ * @returns {Promise<Object|null>} Stored user, or null for anonymous/invalid tokens
+ */
+async function authenticate(req, store) {
+    const header = req.headers.authorization || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (!match) return null;
+
+    try {
+        const payload = jwt.verify(match[1], getConfig().jwtSecret);
+        return await store.get(COLLECTION, payload.sub);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Resolve the current user or fail with 401
+ * @param {http.IncomingMessage} req - Request object
+ * @param {Object} store - Storage backend
+ * @returns {Promise<Object>} Stored user
+ */
+async function requireAuth(req, store) {
+    const user = await authenticate(req, store);
+    if (!user) throw new HttpError(401, 'Authentication required');
+    return user;
+}
+
+/**
+ * Resolve the current user and make sure their role allows an action
+ * @param {http.IncomingMessage} req - Request object
+ * @param {Object} store - Storage backend
+ * @param {string} action - Permission name, e.g. 'posts:create'
+ * @returns {Promise<Object>} Stored user
+ */
+async function requirePermission(req, store, action) {
+    const user = await requireAuth(req, store);
+    if (!can(user, action)) throw new HttpError(403, 'You do not have permission to do that');
+    return user;
+}
+
+// ===== ROUTE HANDLERS =====
+
+async function login(req, res, { store }) {
+    const { username, password } = await readJsonBody(req);
+    const user = username ? await store.findOne(COLLECTION, { username: String(username) }) : null;
+
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+        logEvent('auth.login_failed', {}, 'warn');
+        throw new HttpError(401, 'Invalid credentials');
+    }
+
+    // Shown as "recent logins" on the admin dashboard
+    const updated = await store.update(COLLECTION, user.id, { lastLoginAt: new Date().toISOString() });
+
+    logEvent('auth.login', { userId: user.id });
+    sendJson(res, 200, {
+        success: true,
+        message: 'Login successful!',
+        token: issueToken(updated),
+        user: publicUser(updated)
+    });
+}
+
+async function register(req, res, { store }) {
+    const body = await readJsonBody(req);
+
+    const username = String(body.username || '').trim();
+    if (!USERNAME_PATTERN.test(username)) {
+        throw new HttpError(400, 'Username must be 3-30 letters, numbers, dashes or underscores');
+    }
+    const email = validateEmail(body.email);
+    const password = validatePassword(body.password);
+
+    if (await store.findOne(COLLECTION, { username })) {
+        throw new HttpError(409, 'Username is already taken');
+    }
+    await assertEmailAvailable(store, email);
+
+    const user = await store.insert(COLLECTION, {
+        username,
+        email,
+        name: String(body.name || '').trim() || username,
+        bio: '',
+        // Sign-ups can read and comment; an admin grants writing (PUT /api/users/:id/role)
+        role: 'reader',
+        passwordHash: await hashPassword(password),
+        createdAt: new Date().toISOString()
+    });
+
+    logEvent('user.registered', { userId: user.id });
+    sendJson(res, 201, {
+        success: true,
+        message: 'Account created successfully!',
+        token: issueToken(user),
+        user: publicUser(user)
+    });
+}
+
+async function changePassword(req, res, { store }) {
+    const user = await requireAuth(req, store);
+    const { currentPassword, newPassword } = await readJsonBody(req);
+
+    if (!(await verifyPassword(currentPassword, user.passwordHash))) {
+        throw new HttpError(400, 'Current password is incorrect');
+    }
+
+    await store.update(COLLECTION, user.id, {
+        passwordHash: await hashPassword(validatePassword(newPassword))
+    });
+
+    logEvent('auth.password_changed', { userId: user.id });
+    sendJson(res, 200, { success: true, message: 'Password changed successfully' });
+}
+
+async function verify(req, res, { store }) {
+    const user = await requireAuth(req, store);
+    sendJson(res, 200, { success: true, user: publicUser(user) });
+}
+
+module.exports = {
+    validateEmail,
+    assertEmailAvailable,
+    hashPassword,
+    verifyPassword,
+    publicUser,
+    seedAdmin,
+    issueToken,
+    authenticate,
+    requireAuth,
+    requirePermission,
+    login,
+    register,
+    changePassword,
+    verify
+};
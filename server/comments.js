@@ -0,0 +1,244 @@
+/**
+ * Digital Garden Blog - Comments API
+ *
+ * Route handlers for reader comments:
+ * - GET    /api/posts/:id/comments  Approved comments of a post, with their
+ *                                   replies (?status=all adds the pending
+ *                                   ones for moderators)
+ * - POST   /api/posts/:id/comments  Comment on a post, or reply with parentId
+ * - GET    /api/comments            Moderation queue (?status=pending by
+ *                                   default; approved, rejected or all)
+ * - POST   /api/comments/:id/approve
+ * - POST   /api/comments/:id/reject
+ * - DELETE /api/comments/:id        Delete a comment and its replies
+ *
+ * Replies are one level deep: replying to a reply answers its parent.
+ * Comments from users trusted with content (roles that may write posts) are
+ * published right away; everyone else's, guests and readers alike, wait in
+ * the moderation queue until an admin approves them. Comments are plain
+ * text.
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const { HttpError, sendJson, readJsonBody } = require('./http');
+const { logEvent } = require('./logger');
+const { authenticate, requirePermission } = require('./auth');
+const { can, canEditPost } = require('../public/js/permissions');
+const PostModel = require('../public/js/post-model');
+
+const COLLECTION = 'comments';
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_CONTENT_LENGTH = 2000;
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Load a post the current reader may see, or fail with 404
+ * @param {http.IncomingMessage} req - Request object
+ * @param {Object} store - Storage backend
+ * @param {string} id - Post id or slug
+ * @returns {Promise<{user: Object|null, post: Object}>} Reader (if logged in) and post
+ */
+async function findVisiblePost(req, store, id) {
+    const user = await authenticate(req, store);
+    const post = await store.get('posts', id) || await store.findOne('posts', { slug: id });
+    if (!post || (!PostModel.isLive(post) && !canEditPost(user, post))) {
+        throw new HttpError(404, 'Post not found');
+    }
+    return { user, post };
+}
+
+/**
+ * Load a comment by id, or fail with 404
+ * @param {Object} store - Storage backend
+ * @param {string} id - Comment id
+ * @returns {Promise<Object>} Comment
+ */
+async function findCommentOr404(store, id) {
+    const comment = await store.get(COLLECTION, id);
+    if (!comment) throw new HttpError(404, 'Comment not found');
+    return comment;
+}
+
+/**
+ * Group comments into top-level comments with their replies, oldest first
+ * @param {Array<Object>} comments - Comments of one post
+ * @returns {Array<Object>} Top-level comments, each with a `replies` array
+ */
+function thread(comments) {
+    const byDate = comments.slice().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    return byDate
+        .filter(comment => !comment.parentId)
+        .map(comment => ({ ...comment, replies: byDate.filter(reply => reply.parentId === comment.id) }));
+}
+
+/**
+ * Count approved comments per post, as listPostComments shows them: replies
+ * only count while their parent is approved
+ * @param {Object} store - Storage backend
+ * @returns {Promise<Object>} Number of comments by post id
+ */
+async function countComments(store) {
+    const approved = await store.list(COLLECTION, { status: 'approved' });
+    const shownParents = new Set(approved.filter(comment => !comment.parentId).map(comment => comment.id));
+
+    const counts = {};
+    for (const comment of approved) {
+        if (comment.parentId && !shownParents.has(comment.parentId)) continue;
+        counts[comment.postId] = (counts[comment.postId] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * Delete every comment of a post
+ * @param {Object} store - Storage backend
+ * @param {string} postId - Post id
+ */
+async function removeComments(store, postId) {
+    for (const comment of await store.list(COLLECTION, { postId })) {
+        await store.remove(COLLECTION, comment.id);
+    }
+}
+
+/**
+ * Change a comment's moderation status
+ * @param {Object} store - Storage backend
+ * @param {string} id - Comment id
+ * @param {string} status - 'approved' or 'rejected'
+ * @returns {Promise<Object>} Updated comment
+ */
+async function moderate(store, id, status) {
+    const comment = await findCommentOr404(store, id);
+    return store.update(COLLECTION, comment.id, { status, updatedAt: new Date().toISOString() });
+}
+
+// ===== ROUTE HANDLERS =====
+
+async function listPostComments(req, res, { store, params, query }) {
+    const { user, post } = await findVisiblePost(req, store, params.id);
+
+    let comments = await store.list(COLLECTION, { postId: post.id });
+    if (query.status === 'all') {
+        if (!can(user, 'comments:moderate')) throw new HttpError(403, 'You do not have permission to do that');
+        comments = comments.filter(comment => comment.status !== 'rejected');
+    } else {
+        comments = comments.filter(comment => comment.status === 'approved');
+    }
+
+    // Replies are listed under their parent (and left out when it isn't shown)
+    const threaded = thread(comments);
+    sendJson(res, 200, {
+        success: true,
+        comments: threaded,
+        total: threaded.reduce((sum, comment) => sum + 1 + comment.replies.length, 0)
+    });
+}
+
+async function createComment(req, res, { store, params }) {
+    const { user, post } = await findVisiblePost(req, store, params.id);
+    if (!PostModel.isLive(post)) throw new HttpError(400, 'Comments open once the post is published');
+
+    const body = await readJsonBody(req);
+    const content = String(body.content || '').trim();
+    if (!content) throw new HttpError(400, 'Comment is required');
+    if (content.length > MAX_CONTENT_LENGTH) {
+        throw new HttpError(400, `Comments must be at most ${MAX_CONTENT_LENGTH} characters`);
+    }
+
+    const name = user ? user.name || user.username : String(body.name || '').trim();
+    if (!name) throw new HttpError(400, 'Please tell us your name');
+    if (name.length > MAX_NAME_LENGTH) throw new HttpError(400, `Names must be at most ${MAX_NAME_LENGTH} characters`);
+
+    let parentId = null;
+    if (body.parentId) {
+        const parent = await store.get(COLLECTION, String(body.parentId));
+        if (!parent || parent.postId !== post.id || parent.status !== 'approved') {
+            throw new HttpError(400, 'The comment you are replying to was not found');
+        }
+        parentId = parent.parentId || parent.id;
+    }
+
+    const now = new Date().toISOString();
+    const comment = await store.insert(COLLECTION, {
+        postId: post.id,
+        parentId,
+        content,
+        author: name,
+        authorId: user ? user.id : null,
+        status: can(user, 'posts:create') ? 'approved' : 'pending',
+        createdAt: now,
+        updatedAt: now
+    });
+
+    logEvent('comment.created', { commentId: comment.id, postId: post.id, status: comment.status });
+    sendJson(res, 201, {
+        success: true,
+        message: comment.status === 'approved'
+            ? 'Comment posted'
+            : 'Thanks! Your comment will appear once it has been approved',
+        comment
+    });
+}
+
+async function listComments(req, res, { store, query }) {
+    await requirePermission(req, store, 'comments:moderate');
+
+    const status = query.status || 'pending';
+    if (status !== 'all' && !STATUSES.includes(status)) {
+        throw new HttpError(400, `Status must be one of: ${STATUSES.join(', ')}, all`);
+    }
+
+    const comments = await store.list(COLLECTION, status === 'all' ? {} : { status });
+    const posts = await store.list('posts');
+    const queue = comments
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(comment => {
+            const post = posts.find(p => p.id === comment.postId);
+            return { ...comment, post: post ? { id: post.id, slug: post.slug, title: post.title } : null };
+        });
+
+    sendJson(res, 200, { success: true, comments: queue });
+}
+
+async function approveComment(req, res, { store, params }) {
+    await requirePermission(req, store, 'comments:moderate');
+    const comment = await moderate(store, params.id, 'approved');
+
+    logEvent('comment.approved', { commentId: comment.id });
+    sendJson(res, 200, { success: true, message: 'Comment approved', comment });
+}
+
+async function rejectComment(req, res, { store, params }) {
+    await requirePermission(req, store, 'comments:moderate');
+    const comment = await moderate(store, params.id, 'rejected');
+
+    logEvent('comment.rejected', { commentId: comment.id });
+    sendJson(res, 200, { success: true, message: 'Comment rejected', comment });
+}
+
+async function deleteComment(req, res, { store, params }) {
+    await requirePermission(req, store, 'comments:moderate');
+    const comment = await findCommentOr404(store, params.id);
+
+    for (const reply of await store.list(COLLECTION, { parentId: comment.id })) {
+        await store.remove(COLLECTION, reply.id);
+    }
+    await store.remove(COLLECTION, comment.id);
+
+    logEvent('comment.deleted', { commentId: comment.id });
+    sendJson(res, 200, { success: true, message: 'Comment deleted' });
+}
+
+module.exports = {
+    countComments,
+    removeComments,
+    listPostComments,
+    createComment,
+    listComments,
+    approveComment,
+    rejectComment,
+    deleteComment
+};
@@ -0,0 +1,189 @@
+/**
+ * Digital Garden Blog - Configuration
+ *
+ * Server settings come from environment variables, read from a .env file in
+ * the project root first when there is one (see .env.example). Every value
+ * is checked when it is loaded, so a typo stops the server with a clear
+ * message instead of half working:
+ *
+ * - NODE_ENV          `production` turns on the checks in checkSecrets
+ * - PORT, HOST        Where the server listens (9090 on 127.0.0.1)
+ * - CORS_ORIGINS      Comma separated origins allowed to call the API from
+ *                     another address, or `*` for any. Defaults to the local
+ *                     static servers (ports 5500 and 8080) and the server's
+ *                     own port on localhost/127.0.0.1 outside production,
+ *                     and to none (same origin only) in production.
+ *                     SITE_URL's origin is always allowed.
+ * - JWT_SECRET        Token signing secret (a development one by default)
+ * - TOKEN_EXPIRES_IN  Token lifetime, e.g. `7d`, `12h`, `3600` (seconds)
+ * - ADMIN_PASSWORD    Password of the admin account created on first start
+ * - STORAGE_BACKEND   `file` (data/db.json, or DATA_FILE) or `mongodb`
+ *                     (needs MONGODB_URI)
+ * - UPLOAD_DIR        Where uploads are stored (data/uploads)
+ * - SITE_URL          Public address for absolute links (feeds, sitemaps)
+ *
+ * Relative paths are resolved from the project root.
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+require('dotenv').config({ path: path.join(ROOT, '.env') });
+
+const STORAGE_BACKENDS = ['file', 'mongodb'];
+
+const DEV_SECRET = 'digital-garden-dev-secret';
+const DEFAULT_ADMIN_PASSWORD = 'admin123';
+
+// Secrets that ship with the project (defaults and .env.example placeholders)
+const DEFAULT_SECRETS = [DEV_SECRET, 'your_secret_key_here', 'your_secret_key'];
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+
+// Live Server and `npm run serve` calling the API on another port
+const DEV_PORTS = [5500, 8080];
+
+// Local origins allowed by default outside production: the static servers,
+// and the server's own port under both local names (a page opened on
+// localhost calling 127.0.0.1, or the other way round)
+function devOrigins(port) {
+    return [...DEV_PORTS, port].flatMap(devPort => [`http://127.0.0.1:${devPort}`, `http://localhost:${devPort}`]);
+}
+
+// Lifetimes jsonwebtoken understands: seconds, or a number with a unit
+const DURATION_PATTERN = /^\d+(\.\d+)?\s*(ms|s|m|h|d|w|y)?$/;
+
+/**
+ * Error thrown for settings the server can't run with
+ */
+class ConfigError extends Error {
+    /**
+     * @param {Array<string>} problems - One message per bad setting
+     */
+    constructor(problems) {
+        super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// Origin of an http(s) URL, or null when it isn't one
+function originOf(value) {
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? url.origin : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read and validate the configuration
+ * @param {Object} [env] - Environment variables (process.env by default)
+ * @returns {Object} Frozen configuration
+ * @throws {ConfigError} Listing every invalid setting
+ */
+function loadConfig(env = process.env) {
+    const problems = [];
+    const nodeEnv = env.NODE_ENV || 'development';
+    const isProduction = nodeEnv === 'production';
+
+    const port = Number(env.PORT || 9090);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        problems.push(`PORT must be a whole number from 1 to 65535 (got "${env.PORT}")`);
+    }
+
+    const storageBackend = env.STORAGE_BACKEND || 'file';
+    if (!STORAGE_BACKENDS.includes(storageBackend)) {
+        problems.push(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')} (got "${storageBackend}")`);
+    }
+    if (storageBackend === 'mongodb' && !/^mongodb(\+srv)?:\/\//.test(env.MONGODB_URI || '')) {
+        problems.push('MONGODB_URI must be a mongodb:// or mongodb+srv:// address when STORAGE_BACKEND=mongodb');
+    }
+
+    const tokenExpiresIn = env.TOKEN_EXPIRES_IN || '7d';
+    if (!DURATION_PATTERN.test(tokenExpiresIn)) {
+        problems.push(`TOKEN_EXPIRES_IN must be a number of seconds or a duration such as 7d or 12h (got "${tokenExpiresIn}")`);
+    }
+
+    const siteUrl = env.SITE_URL ? env.SITE_URL.replace(/\/+$/, '') : null;
+    if (siteUrl && !originOf(siteUrl)) {
+        problems.push(`SITE_URL must be an http(s) address (got "${env.SITE_URL}")`);
+    }
+
+    let corsOrigins = env.CORS_ORIGINS === undefined
+        ? (isProduction ? [] : devOrigins(port))
+        : env.CORS_ORIGINS.split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(origin => origin);
+    corsOrigins.filter(origin => origin !== '*' && originOf(origin) !== origin).forEach(origin => {
+        problems.push(`CORS_ORIGINS entries must be origins such as https://example.com, or * (got "${origin}")`);
+    });
+    if (siteUrl && originOf(siteUrl) && !corsOrigins.includes(originOf(siteUrl))) {
+        corsOrigins = [...corsOrigins, originOf(siteUrl)];
+    }
+
+    if (problems.length) throw new ConfigError(problems);
+
+    return Object.freeze({
+        nodeEnv,
+        isProduction,
+        port,
+        host: env.HOST || '127.0.0.1',
+        corsOrigins: Object.freeze(corsOrigins.includes('*') ? ['*'] : corsOrigins),
+        jwtSecret: env.JWT_SECRET || DEV_SECRET,
+        // jsonwebtoken reads a bare number as seconds but a numeric string as milliseconds
+        tokenExpiresIn: /^\d+$/.test(tokenExpiresIn) ? Number(tokenExpiresIn) : tokenExpiresIn,
+        adminPassword: env.ADMIN_PASSWORD || DEFAULT_ADMIN_PASSWORD,
+        storageBackend,
+        dataFile: path.resolve(ROOT, env.DATA_FILE || path.join('data', 'db.json')),
+        mongoUri: env.MONGODB_URI,
+        uploadDir: path.resolve(ROOT, env.UPLOAD_DIR || path.join('data', 'uploads')),
+        siteUrl
+    });
+}
+
+/**
+ * Check the secrets before the server starts: in production the bundled
+ * defaults are refused, elsewhere the development secret earns a warning
+ * @param {Object} config - Loaded configuration
+ * @throws {ConfigError} In production, when a secret is a default one
+ */
+function checkSecrets(config) {
+    if (!config.isProduction) {
+        if (DEFAULT_SECRETS.includes(config.jwtSecret)) console.warn('⚠️ JWT_SECRET not set - using the development secret');
+        return;
+    }
+
+    const problems = [];
+    if (DEFAULT_SECRETS.includes(config.jwtSecret)) {
+        problems.push('JWT_SECRET is not set (or is the example value) - anyone could sign tokens');
+    } else if (config.jwtSecret.length < MIN_PRODUCTION_SECRET_LENGTH) {
+        problems.push(`JWT_SECRET must be at least ${MIN_PRODUCTION_SECRET_LENGTH} characters long in production`);
+    }
+    if (config.adminPassword === DEFAULT_ADMIN_PASSWORD) {
+        problems.push(`ADMIN_PASSWORD is not set - the first admin account would get "${DEFAULT_ADMIN_PASSWORD}"`);
+    }
+    if (problems.length) throw new ConfigError(problems);
+}
+
+let current = null;
+
+/**
+ * The configuration of this process, loaded on first use
+ * @returns {Object} Configuration (see loadConfig)
+ * @throws {ConfigError} When a setting is invalid
+ */
+function getConfig() {
+    if (!current) current = loadConfig();
+    return current;
+}
+
+module.exports = {
+    ConfigError,
+    DEFAULT_ADMIN_PASSWORD,
+    loadConfig,
+    checkSecrets,
+    getConfig
+};
@@ -0,0 +1,252 @@
+/**
+ * Digital Garden Blog - Feeds
+ *
+ * Builds the blog's feeds from live posts in three formats:
+ * - /feed.xml   RSS 2.0
+ * - /atom.xml   Atom 1.0
+ * - /feed.json  JSON Feed 1.1
+ *
+ * The same three files exist per tag (/tags/:tag/feed.xml, ...) and per
+ * category (/categories/:category/feed.xml, ...), where :tag and :category
+ * are slugs (see PostModel.slugify). Items carry the title, excerpt, the
+ * rendered Markdown content, tags as categories, the author and the
+ * publish/update dates of the newest FEED_SIZE posts.
+ *
+ * Links in feeds must be absolute: they start with SITE_URL when it is
+ * set, otherwise with the host the request was sent to.
+ * scripts/export-site.js writes the same files into the static export.
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const { HttpError, siteUrlFor } = require('./http');
+const PostModel = require('../public/js/post-model');
+const Markdown = require('../public/js/markdown');
+
+const FEED_TITLE = 'Digital Garden';
+const FEED_DESCRIPTION = 'Ideas, notes and stories growing in the Digital Garden';
+
+// Newest posts included in each feed
+const FEED_SIZE = 20;
+
+const FORMATS = {
+    'feed.xml': { type: 'application/rss+xml; charset=utf-8', build: buildRss },
+    'atom.xml': { type: 'application/atom+xml; charset=utf-8', build: buildAtom },
+    'feed.json': { type: 'application/feed+json; charset=utf-8', build: buildJsonFeed }
+};
+
+// Feed scopes: URL segment → post field it filters on
+const SCOPES = {
+    tags: { label: 'Tag', values: post => post.tags || [] },
+    categories: { label: 'Category', values: post => [post.category || 'general'] }
+};
+
+/**
+ * Escape text for XML content and attributes
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+/**
+ * Live posts for a feed, newest first
+ * @param {Array<Object>} posts - Canonical posts
+ * @param {Object} [scope] - { scope: 'tags'|'categories', slug }
+ * @returns {Array<Object>} At most FEED_SIZE posts
+ */
+function feedPosts(posts, { scope, slug } = {}) {
+    return posts
+        .filter(post => PostModel.isLive(post))
+        .filter(post => !scope || SCOPES[scope].values(post).some(value => PostModel.slugify(value) === slug))
+        .sort((a, b) => PostModel.displayDate(b).localeCompare(PostModel.displayDate(a)))
+        .slice(0, FEED_SIZE);
+}
+
+/**
+ * Describe one feed: its title, links and items
+ * @param {Array<Object>} posts - Posts of the feed (see feedPosts)
+ * @param {string} siteUrl - Absolute site URL without a trailing slash
+ * @param {string} file - Feed file name (key of FORMATS)
+ * @param {Object} [scope] - { scope, slug, name } for tag and category feeds
+ * @returns {Object} Feed description used by the builders
+ */
+function describeFeed(posts, siteUrl, file, { scope, slug, name } = {}) {
+    const prefix = scope ? `/${scope}/${slug}` : '';
+    const absolute = url => (url.startsWith('/') ? `${siteUrl}${url}` : url);
+
+    const items = posts.map(post => ({
+        url: `${siteUrl}/posts/${encodeURIComponent(post.slug)}`,
+        title: post.title,
+        summary: post.excerpt,
+        html: Markdown.render(post.content).replace(/(src|href)="(\/(?!\/)[^"]*)"/g, (match, attr, url) => `${attr}="${absolute(url)}"`),
+        image: post.coverImage ? absolute(post.coverImage) : null,
+        author: post.author || 'Anonymous',
+        tags: post.tags || [],
+        published: PostModel.displayDate(post),
+        updated: PostModel.modifiedDate(post)
+    }));
+
+    return {
+        title: scope ? `${FEED_TITLE} - ${SCOPES[scope].label}: ${name}` : FEED_TITLE,
+        description: FEED_DESCRIPTION,
+        homeUrl: `${siteUrl}/blog.html`,
+        selfUrl: `${siteUrl}${prefix}/${file}`,
+        updated: items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), ''),
+        items
+    };
+}
+
+function buildRss(feed) {
+    const rfc822 = date => new Date(date).toUTCString();
+    const items = feed.items.map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.url)}</guid>
+      <pubDate>${rfc822(item.published)}</pubDate>
+      <dc:creator>${escapeXml(item.author)}</dc:creator>
+${item.tags.map(tag => `      <category>${escapeXml(tag)}</category>\n`).join('')}      <description>${escapeXml(item.summary)}</description>
+      <content:encoded>${escapeXml(item.html)}</content:encoded>
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>
+${feed.updated ? `    <lastBuildDate>${rfc822(feed.updated)}</lastBuildDate>\n` : ''}${items ? `${items.slice(1)}\n` : ''}  </channel>
+</rss>
+`;
+}
+
+function buildAtom(feed) {
+    const entries = feed.items.map(item => `
+  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.url)}</id>
+    <published>${new Date(item.published).toISOString()}</published>
+    <updated>${new Date(item.updated).toISOString()}</updated>
+    <author><name>${escapeXml(item.author)}</name></author>
+${item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>\n`).join('')}    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.html)}</content>
+  </entry>`).join('');
+
+    // Atom requires <updated>; an empty feed uses the Unix epoch
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.homeUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>
+  <id>${escapeXml(feed.selfUrl)}</id>
+  <updated>${new Date(feed.updated || 0).toISOString()}</updated>
+${entries ? `${entries.slice(1)}\n` : ''}</feed>
+`;
+}
+
+function buildJsonFeed(feed) {
+    return `${JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.selfUrl,
+        description: feed.description,
+        language: 'en',
+        items: feed.items.map(item => ({
+            id: item.url,
+            url: item.url,
+            title: item.title,
+            summary: item.summary,
+            content_html: item.html,
+            ...(item.image ? { image: item.image } : {}),
+            date_published: new Date(item.published).toISOString(),
+            date_modified: new Date(item.updated).toISOString(),
+            authors: [{ name: item.author }],
+            tags: item.tags
+        }))
+    }, null, 2)}\n`;
+}
+
+/**
+ * Tags or categories used by live posts, by slug
+ * @param {Array<Object>} posts - Canonical posts
+ * @param {string} scope - 'tags' or 'categories'
+ * @returns {Map<string, string>} Display name by slug
+ */
+function scopeNames(posts, scope) {
+    const names = new Map();
+    posts.filter(post => PostModel.isLive(post)).forEach(post => {
+        SCOPES[scope].values(post).forEach(value => {
+            const slug = PostModel.slugify(value);
+            if (slug && !names.has(slug)) names.set(slug, value);
+        });
+    });
+    return names;
+}
+
+/**
+ * Build every feed file: the main feeds plus one set per tag and category
+ * @param {Array<Object>} posts - Canonical posts (only live ones are used)
+ * @param {string} siteUrl - Absolute site URL
+ * @returns {Array<{path: string, content: string}>} Files, with paths relative to the site root
+ */
+function buildFeedFiles(posts, siteUrl) {
+    const site = siteUrl.replace(/\/+$/, '');
+    const feeds = [{ prefix: '', scope: {} }];
+    Object.keys(SCOPES).forEach(scope => {
+        scopeNames(posts, scope).forEach((name, slug) => {
+            feeds.push({ prefix: `${scope}/${slug}/`, scope: { scope, slug, name } });
+        });
+    });
+
+    const files = [];
+    feeds.forEach(({ prefix, scope }) => {
+        const items = feedPosts(posts, scope);
+        Object.entries(FORMATS).forEach(([file, format]) => {
+            files.push({ path: `${prefix}${file}`, content: format.build(describeFeed(items, site, file, scope)) });
+        });
+    });
+    return files;
+}
+
+// ===== ROUTE HANDLERS =====
+
+async function serveFeed(req, res, { store, params, siteUrl }) {
+    const format = FORMATS[params.file];
+    const posts = await store.list('posts');
+
+    let scope = {};
+    if (params.scope) {
+        const name = scopeNames(posts, params.scope).get(params.slug);
+        if (!name) throw new HttpError(404, 'Feed not found');
+        scope = { scope: params.scope, slug: params.slug, name };
+    }
+
+    const body = format.build(describeFeed(feedPosts(posts, scope), siteUrlFor(req, siteUrl), params.file, scope));
+    res.writeHead(200, {
+        'Content-Type': format.type,
+        'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'public, max-age=300'
+    });
+    res.end(body);
+}
+
+module.exports = {
+    scopeNames,
+    buildFeedFiles,
+    serveFeed
+};
@@ -0,0 +1,268 @@
+/**
+ * Digital Garden Blog - HTTP Helpers
+ *
+ * Small helpers shared by the route handlers:
+ * - JSON responses and redirects
+ * - Request body (JSON, multipart) and query string parsing
+ * - A typed error that carries an HTTP status code, and the error response
+ *   every failed request gets:
+ *   { success: false, error: { code, message, details } }
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const { getConfig } = require('./config');
+
+// Maximum accepted request body size (1 MB)
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Error codes sent for each status unless the error names its own
+const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    405: 'METHOD_NOT_ALLOWED',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    500: 'INTERNAL_ERROR'
+};
+
+/**
+ * Error thrown by route handlers to end a request with a specific status
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code to respond with
+     * @param {string} message - Human readable error message
+     * @param {Object} [options]
+     * @param {string} [options.code] - Machine readable code (by default
+     *   the one for the status, e.g. NOT_FOUND)
+     * @param {*} [options.details] - Extra information for the client, such
+     *   as every validation error
+     */
+    constructor(status, message, { code, details } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code || ERROR_CODES[status] || 'ERROR';
+        this.details = details === undefined ? null : details;
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response object
+ * @param {number} status - HTTP status code
+ * @param {Object} payload - Data to serialize
+ */
+function sendJson(res, status, payload) {
+    const body = JSON.stringify(payload);
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) });
+    res.end(body);
+}
+
+/**
+ * Send the error response for a failed request
+ * Errors other than HttpError are unexpected and answer a generic 500, so
+ * nothing internal leaks to the client.
+ * @param {http.ServerResponse} res - Response object
+ * @param {Error} error - What went wrong
+ */
+function sendError(res, error) {
+    const known = error instanceof HttpError ? error : new HttpError(500, 'Internal server error');
+    if (res.headersSent) {
+        res.end();
+        return;
+    }
+    sendJson(res, known.status, {
+        success: false,
+        error: { code: known.code, message: known.message, details: known.details }
+    });
+}
+
+/**
+ * Send a redirect
+ * @param {http.ServerResponse} res - Response object
+ * @param {string} location - Address to go to (absolute path or URL)
+ * @param {number} [status] - 301 (moved for good) by default
+ */
+function redirect(res, location, status = 301) {
+    res.writeHead(status, { Location: location, 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(`Moved to ${location}`);
+}
+
+/**
+ * Read the raw request body as bytes
+ * @param {http.IncomingMessage} req - Request object
+ * @param {number} [limit] - Maximum body size in bytes
+ * @returns {Promise<Buffer>} Request body
+ */
+function readRawBody(req, limit = MAX_BODY_SIZE) {
+    return new Promise((resolve, reject) => {
+        // Refuse declared oversized bodies up front, reading the rest unbuffered
+        // so the 413 reaches the client instead of a reset connection
+        if (Number(req.headers['content-length']) > limit) {
+            reject(new HttpError(413, 'Request body too large', { details: { limit } }));
+            req.resume();
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+
+        req.on('data', chunk => {
+            if (tooLarge) return;
+            size += chunk.length;
+            if (size > limit) {
+                // Stop keeping chunks but keep draining, like above
+                tooLarge = true;
+                chunks.length = 0;
+                reject(new HttpError(413, 'Request body too large', { details: { limit } }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read the raw request body as a string
+ * @param {http.IncomingMessage} req - Request object
+ * @param {number} [limit] - Maximum body size in bytes
+ * @returns {Promise<string>} Request body
+ */
+async function readBody(req, limit = MAX_BODY_SIZE) {
+    return (await readRawBody(req, limit)).toString();
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request object
+ * @returns {Promise<Object>} Parsed body (empty object when no body was sent)
+ * @throws {HttpError} 400 when the body is not a JSON object
+ */
+async function readJsonBody(req) {
+    const body = await readBody(req);
+    if (!body) return {};
+
+    let parsed;
+    try {
+        parsed = JSON.parse(body);
+    } catch (error) {
+        throw new HttpError(400, 'Invalid JSON');
+    }
+    // Handlers read fields off the body, so null, numbers, strings and arrays are refused
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new HttpError(400, 'The request body must be a JSON object');
+    }
+    return parsed;
+}
+
+/**
+ * Read a multipart/form-data request body (file uploads)
+ * @param {http.IncomingMessage} req - Request object
+ * @param {number} limit - Maximum body size in bytes
+ * @returns {Promise<{fields: Object, files: Array<Object>}>} Text fields by
+ *   name, and files as { field, filename, contentType, data }
+ */
+async function readMultipartBody(req, limit) {
+    const type = req.headers['content-type'] || '';
+    const boundary = /^multipart\/form-data;.*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(type);
+    if (!boundary) throw new HttpError(415, 'Expected a multipart/form-data body');
+
+    const body = await readRawBody(req, limit);
+    const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+    const fields = {};
+    const files = [];
+
+    let start = body.indexOf(delimiter);
+    if (start === -1) throw new HttpError(400, 'Invalid multipart body');
+
+    for (;;) {
+        start += delimiter.length;
+        if (body.slice(start, start + 2).toString() === '--') break; // closing delimiter
+
+        const headerEnd = body.indexOf('\r\n\r\n', start);
+        const next = body.indexOf(Buffer.concat([Buffer.from('\r\n'), delimiter]), headerEnd);
+        if (headerEnd === -1 || next === -1) throw new HttpError(400, 'Invalid multipart body');
+
+        const headers = {};
+        body.slice(start, headerEnd).toString().split('\r\n').forEach(line => {
+            const colon = line.indexOf(':');
+            if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        });
+
+        const disposition = headers['content-disposition'] || '';
+        const name = /\bname="([^"]*)"/i.exec(disposition);
+        const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+        const data = body.slice(headerEnd + 4, next);
+
+        if (name && filename) {
+            files.push({
+                field: name[1],
+                filename: filename[1],
+                contentType: headers['content-type'] || 'application/octet-stream',
+                data
+            });
+        } else if (name) {
+            fields[name[1]] = data.toString();
+        }
+
+        start = next + 2;
+    }
+
+    return { fields, files };
+}
+
+/**
+ * Parse the query string of a request URL
+ * Repeated keys keep their last value.
+ * @param {string} url - Request URL (req.url)
+ * @returns {Object} Query parameters as strings
+ */
+function parseQuery(url) {
+    const index = url.indexOf('?');
+    return index === -1 ? {} : Object.fromEntries(new URLSearchParams(url.slice(index + 1)));
+}
+
+// A Host header that is a plain name or IP address, with an optional port
+const HOST_PATTERN = /^(?:[a-z0-9-]+(?:\.[a-z0-9-]+)*|\[[0-9a-f:.]+\])(?::(\d{1,5}))?$/i;
+
+/**
+ * Absolute address of the site, for links that leave the page (feeds,
+ * canonical URLs, sitemaps)
+ * Without SITE_URL the request's Host header is used, unless it is not a
+ * valid host; then the address the server listens on is.
+ * @param {http.IncomingMessage} req - Request object
+ * @param {string} [siteUrl] - Configured SITE_URL
+ * @returns {string} Site URL without a trailing slash
+ */
+function siteUrlFor(req, siteUrl) {
+    if (siteUrl) return siteUrl.replace(/\/+$/, '');
+
+    const host = HOST_PATTERN.exec(req.headers.host || '');
+    if (host && !(host[1] && Number(host[1]) > 65535)) return `http://${host[0]}`;
+
+    const { host: listenHost, port } = getConfig();
+    return `http://${listenHost}:${port}`;
+}
+
+module.exports = {
+    HttpError,
+    sendJson,
+    sendError,
+    redirect,
+    readRawBody,
+    readBody,
+    readJsonBody,
+    readMultipartBody,
+    parseQuery,
+    siteUrlFor
+};
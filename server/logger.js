@@ -0,0 +1,93 @@
+/**
+ * Digital Garden Blog - Logging
+ *
+ * Everything the server logs while answering requests is one JSON line on
+ * stdout, easy to grep or ship to a log service.
+ *
+ * The access log has one line per finished request:
+ *   {"time":"...","level":"info","method":"GET","path":"/api/posts",
+ *    "query":{"limit":"10"},"status":200,"durationMs":3.1,"bytes":1234,
+ *    "ip":"127.0.0.1","userAgent":"..."}
+ *
+ * Failed requests add `error` ({ code, message }, plus the stack for
+ * unexpected 500s) and log at "warn" (4xx) or "error" (5xx). Request bodies
+ * and headers are never logged, and query values under secret-looking names
+ * (password, token, secret, key...) are replaced with "[REDACTED]".
+ *
+ * Route handlers report what they changed with logEvent, by id rather than
+ * by name or username:
+ *   {"time":"...","level":"info","event":"post.created","postId":"...","status":"draft"}
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const { HttpError } = require('./http');
+
+const SECRET_KEY = /pass(word)?|token|secret|authorization|cookie|api[-_]?key|^key$/i;
+const REDACTED = '[REDACTED]';
+
+/**
+ * Copy a value with everything under secret-looking keys redacted
+ * @param {*} value - Object, array or plain value
+ * @returns {*} Redacted copy
+ */
+function redact(value) {
+    if (Array.isArray(value)) return value.map(redact);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+        key,
+        SECRET_KEY.test(key) ? REDACTED : redact(entry)
+    ]));
+}
+
+/**
+ * Write the access log line of a finished request
+ * @param {http.IncomingMessage} req - Request object
+ * @param {http.ServerResponse} res - Response object (already sent)
+ * @param {Object} info
+ * @param {bigint} info.startedAt - process.hrtime.bigint() when the request arrived
+ * @param {Object} [info.query] - Parsed query string
+ * @param {Error} [info.error] - What made the request fail, if anything
+ */
+function logRequest(req, res, { startedAt, query = {}, error = null }) {
+    const status = res.statusCode;
+    const entry = {
+        time: new Date().toISOString(),
+        level: status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info',
+        method: req.method,
+        path: req.url.split('?')[0],
+        query: redact(query),
+        status,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+        bytes: Number(res.getHeader('content-length')) || undefined,
+        ip: req.socket.remoteAddress,
+        userAgent: req.headers['user-agent']
+    };
+
+    if (error) {
+        entry.error = error instanceof HttpError
+            ? { code: error.code, message: error.message }
+            : { code: 'INTERNAL_ERROR', message: error.message, stack: error.stack };
+    }
+
+    (entry.level === 'error' ? console.error : console.log)(JSON.stringify(entry));
+}
+
+/**
+ * Write an application event (a post created, a role changed...)
+ * @param {string} event - Dotted event name, e.g. 'post.created'
+ * @param {Object} [fields] - Details (ids, counts, statuses); secret-looking
+ *   keys are redacted
+ * @param {string} [level] - 'info' (default), 'warn' or 'error'
+ */
+function logEvent(event, fields = {}, level = 'info') {
+    const entry = { time: new Date().toISOString(), level, event, ...redact(fields) };
+    (level === 'error' ? console.error : console.log)(JSON.stringify(entry));
+}
+
+module.exports = {
+    redact,
+    logRequest,
+    logEvent
+};
@@ -0,0 +1,264 @@
+/**
+ * Digital Garden Blog - Media API
+ *
+ * Route handlers for uploaded images and files:
+ * - GET    /api/media          List uploads (your own; editors and admins see all)
+ * - POST   /api/media          Upload a file (multipart/form-data, field "file",
+ *                               optional "alt" description)
+ * - DELETE /api/media/:id      Delete an upload
+ * - GET    /uploads/:filename  Download an uploaded file
+ *
+ * Files are written to the upload directory (data/uploads by default) under
+ * a random name; their metadata lives in the `media` collection. The file
+ * type is recognized from the file's first bytes, never from the name or the
+ * type the browser claims. Image dimensions and the size a thumbnail should
+ * be shown at are read from the image header (no image library needed).
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { HttpError, sendJson, readMultipartBody } = require('./http');
+const { logEvent } = require('./logger');
+const { requireAuth, requirePermission } = require('./auth');
+const { can, canDeleteMedia } = require('../public/js/permissions');
+
+const COLLECTION = 'media';
+
+// Largest accepted file (5 MB), plus room for the multipart framing
+const MAX_UPLOAD_SIZE = 5 * 1024 * 1024;
+const MAX_UPLOAD_BODY = MAX_UPLOAD_SIZE + 64 * 1024;
+const MAX_ALT_LENGTH = 200;
+
+// Thumbnails fit inside a square of this many pixels
+const THUMBNAIL_SIZE = 320;
+
+// Accepted file types, recognized by their leading bytes
+const FILE_TYPES = [
+    {
+        mimeType: 'image/png',
+        extension: '.png',
+        matches: data => data.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+    },
+    {
+        mimeType: 'image/jpeg',
+        extension: '.jpg',
+        matches: data => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff
+    },
+    {
+        mimeType: 'image/gif',
+        extension: '.gif',
+        matches: data => ['GIF87a', 'GIF89a'].includes(data.slice(0, 6).toString('latin1'))
+    },
+    {
+        mimeType: 'image/webp',
+        extension: '.webp',
+        matches: data => data.slice(0, 4).toString('latin1') === 'RIFF' && data.slice(8, 12).toString('latin1') === 'WEBP'
+    },
+    {
+        mimeType: 'application/pdf',
+        extension: '.pdf',
+        matches: data => data.slice(0, 5).toString('latin1') === '%PDF-'
+    }
+];
+
+// Names given to stored files (random hex plus a known extension)
+const STORED_NAME = /^[a-f0-9]{32}\.(png|jpg|gif|webp|pdf)$/;
+
+/**
+ * Recognize an accepted file type from file contents
+ * @param {Buffer} data - File contents
+ * @returns {Object|undefined} Entry of FILE_TYPES
+ */
+function detectFileType(data) {
+    return FILE_TYPES.find(type => type.matches(data));
+}
+
+/**
+ * Read the pixel dimensions from an image header
+ * @param {Buffer} data - Image contents
+ * @param {string} mimeType - Detected type
+ * @returns {{width: number, height: number}|null} Dimensions, or null when unknown
+ */
+function imageSize(data, mimeType) {
+    try {
+        switch (mimeType) {
+            case 'image/png':
+                return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+            case 'image/gif':
+                return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+            case 'image/jpeg':
+                return jpegSize(data);
+            case 'image/webp':
+                return webpSize(data);
+            default:
+                return null;
+        }
+    } catch (error) {
+        return null; // Truncated header
+    }
+}
+
+// JPEG: walk the segments up to the first start-of-frame marker
+function jpegSize(data) {
+    let offset = 2;
+    while (offset + 9 < data.length) {
+        if (data[offset] !== 0xff) return null;
+        const marker = data[offset + 1];
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + data.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+// WebP: lossy (VP8), lossless (VP8L) and extended (VP8X) headers
+function webpSize(data) {
+    const chunk = data.slice(12, 16).toString('latin1');
+    if (chunk === 'VP8 ') {
+        return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+        const bits = data.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+        return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+/**
+ * Size to show an image at in thumbnails (never larger than the image)
+ * @param {{width: number, height: number}} size - Image dimensions
+ * @returns {{width: number, height: number}} Thumbnail dimensions
+ */
+function thumbnailSize({ width, height }) {
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+}
+
+/**
+ * Load a media item by id, or fail with 404
+ * @param {Object} store - Storage backend
+ * @param {string} id - Media id
+ * @returns {Promise<Object>} Media item
+ */
+async function findMediaOr404(store, id) {
+    const media = await store.get(COLLECTION, id);
+    if (!media) throw new HttpError(404, 'File not found');
+    return media;
+}
+
+// ===== ROUTE HANDLERS =====
+
+async function listMedia(req, res, { store, query }) {
+    const user = await requirePermission(req, store, 'media:upload');
+
+    let media = await store.list(COLLECTION);
+    if (!can(user, 'media:manage-any')) {
+        media = media.filter(item => item.authorId === user.id);
+    }
+    if (query.type === 'image') {
+        media = media.filter(item => item.mimeType.startsWith('image/'));
+    }
+
+    media.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    sendJson(res, 200, { success: true, media });
+}
+
+async function uploadMedia(req, res, { store, uploadDir }) {
+    const user = await requirePermission(req, store, 'media:upload');
+    const { fields, files } = await readMultipartBody(req, MAX_UPLOAD_BODY);
+
+    const file = files.find(f => f.field === 'file');
+    if (!file || !file.data.length) throw new HttpError(400, 'No file uploaded');
+    if (file.data.length > MAX_UPLOAD_SIZE) {
+        throw new HttpError(413, `Files must be at most ${MAX_UPLOAD_SIZE / 1024 / 1024} MB`);
+    }
+
+    const type = detectFileType(file.data);
+    if (!type) throw new HttpError(415, 'Only PNG, JPEG, GIF and WebP images and PDF files can be uploaded');
+
+    const alt = String(fields.alt || '').trim();
+    if (alt.length > MAX_ALT_LENGTH) {
+        throw new HttpError(400, `Descriptions must be at most ${MAX_ALT_LENGTH} characters`);
+    }
+
+    const filename = `${crypto.randomBytes(16).toString('hex')}${type.extension}`;
+    await fs.promises.mkdir(uploadDir, { recursive: true });
+    await fs.promises.writeFile(path.join(uploadDir, filename), file.data);
+
+    const size = imageSize(file.data, type.mimeType);
+    const url = `/uploads/${filename}`;
+    const media = await store.insert(COLLECTION, {
+        filename,
+        originalName: path.basename(file.filename).slice(0, 255) || filename,
+        mimeType: type.mimeType,
+        size: file.data.length,
+        url,
+        alt,
+        width: size ? size.width : null,
+        height: size ? size.height : null,
+        thumbnail: size ? { url, ...thumbnailSize(size) } : null,
+        author: user.name || user.username,
+        authorId: user.id,
+        createdAt: new Date().toISOString()
+    });
+
+    logEvent('media.uploaded', { mediaId: media.id, mimeType: media.mimeType, size: media.size });
+    sendJson(res, 201, { success: true, message: 'File uploaded successfully', media });
+}
+
+async function deleteMedia(req, res, { store, params, uploadDir }) {
+    const user = await requireAuth(req, store);
+    const media = await findMediaOr404(store, params.id);
+    if (!canDeleteMedia(user, media)) {
+        throw new HttpError(403, 'You can only delete your own uploads');
+    }
+
+    try {
+        await fs.promises.unlink(path.join(uploadDir, media.filename));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    await store.remove(COLLECTION, media.id);
+
+    logEvent('media.deleted', { mediaId: media.id });
+    sendJson(res, 200, { success: true, message: 'File deleted successfully' });
+}
+
+async function serveUpload(req, res, { params, uploadDir }) {
+    if (!STORED_NAME.test(params.filename)) throw new HttpError(404, 'File not found');
+
+    let content;
+    try {
+        content = await fs.promises.readFile(path.join(uploadDir, params.filename));
+    } catch (error) {
+        throw new HttpError(404, 'File not found');
+    }
+
+    const type = FILE_TYPES.find(t => params.filename.endsWith(t.extension));
+    res.writeHead(200, {
+        'Content-Type': type.mimeType,
+        'Content-Length': content.length,
+        'X-Content-Type-Options': 'nosniff',
+        // Stored names are random and never reused
+        'Cache-Control': 'public, max-age=31536000, immutable'
+    });
+    res.end(content);
+}
+
+module.exports = {
+    listMedia,
+    uploadMedia,
+    deleteMedia,
+    serveUpload
+};
@@ -0,0 +1,447 @@
+/**
+ * Digital Garden Blog - Markdown Import and Export
+ *
+ * Moves posts in and out as Markdown files with YAML front matter:
+ *
+ *   ---
+ *   title: "Hello, World"
+ *   slug: hello-world
+ *   category: writing
+ *   tags:
+ *     - first-post
+ *   status: published
+ *   publishAt: 2025-09-18T09:00:00.000Z
+ *   ---
+ *
+ *   The post's Markdown...
+ *
+ * Front matter keys: title, slug, category, tags, status, publishAt,
+ * createdAt, updatedAt, author (a user's name or username), excerpt and coverImage. `date`
+ * is read as publishAt, for files written by other blog engines. A post
+ * without a title takes it from a leading "# Heading".
+ *
+ * Admin-only routes:
+ * - GET  /api/posts/export  Zip of one .md file per post (?status= as in
+ *                           GET /api/posts, default all)
+ * - POST /api/posts/import  Import .md files and/or zips of them
+ *                           (multipart/form-data, any number of files;
+ *                           fields or query: dryRun, onConflict)
+ *
+ * An import first plans every file: create, update, skip or error. A slug
+ * that is already taken is a conflict, settled by onConflict: skip (the
+ * default), overwrite (update the existing post) or rename (import under a
+ * new slug). With dryRun the plan is returned without saving anything.
+ *
+ * The same functions back the markdown-posts.js command line tool.
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const { HttpError, sendJson, readMultipartBody } = require('./http');
+const { logEvent } = require('./logger');
+const { requirePermission } = require('./auth');
+const PostModel = require('../public/js/post-model');
+const posts = require('./posts');
+const revisions = require('./revisions');
+const taxonomies = require('./taxonomies');
+const zip = require('./zip');
+
+const COLLECTION = 'posts';
+
+const CONFLICT_POLICIES = ['skip', 'overwrite', 'rename'];
+
+// Largest import request (several files or zips) and largest single .md file
+const MAX_IMPORT_BODY = 10 * 1024 * 1024;
+const MAX_FILE_SIZE = 512 * 1024;
+
+// Limits on what the zips of one import unpack to
+const MAX_ZIP_ENTRIES = 2000;
+const MAX_UNPACKED_SIZE = 4 * MAX_IMPORT_BODY;
+
+// Front matter keys in the order they are written
+const FRONT_MATTER_KEYS = ['title', 'slug', 'category', 'tags', 'status', 'publishAt', 'createdAt', 'updatedAt', 'author', 'excerpt', 'coverImage'];
+
+// Plain scalars that YAML would read as something other than a string
+const YAML_RESERVED = /^(true|false|yes|no|on|off|null|~|[-+]?(\d[\d_]*(\.\d*)?|\.\d+)([eE][-+]?\d+)?)$/i;
+
+// ===== FRONT MATTER =====
+
+function yamlScalar(value) {
+    if (value === null || value === undefined || value === '') return 'null';
+    const text = String(value);
+    const plain = /^[\w/][\w .,/:+@-]*$/.test(text) && !/:\s|\s$/.test(text) && !YAML_RESERVED.test(text);
+    // JSON strings are valid YAML double-quoted scalars
+    return plain ? text : JSON.stringify(text);
+}
+
+/**
+ * Write a post as Markdown with front matter
+ * @param {Object} post - Canonical post
+ * @returns {string} File contents
+ */
+function toMarkdown(post) {
+    const lines = ['---'];
+    FRONT_MATTER_KEYS.forEach(key => {
+        if (key === 'tags') {
+            lines.push(post.tags.length ? 'tags:' : 'tags: []');
+            post.tags.forEach(tag => lines.push(`  - ${yamlScalar(tag)}`));
+        } else {
+            lines.push(`${key}: ${yamlScalar(post[key])}`);
+        }
+    });
+    lines.push('---', '', post.content.trim(), '');
+    return lines.join('\n');
+}
+
+function parseScalar(raw) {
+    const text = raw.trim();
+    if (text === '' || text === '~' || text === 'null') return null;
+
+    if (text.startsWith('"')) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return text.slice(1, text.endsWith('"') ? -1 : undefined);
+        }
+    }
+    if (text.startsWith("'")) return text.slice(1, text.endsWith("'") ? -1 : undefined).replace(/''/g, "'");
+
+    // Plain scalars end at a comment
+    return text.replace(/\s+#.*$/, '');
+}
+
+// Items of a flow sequence: [a, "b, c", 'd']
+function parseFlowList(raw) {
+    const items = raw.trim().slice(1, -1).match(/\s*(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+)/g) || [];
+    return items.map(parseScalar).filter(item => item !== null && item !== '');
+}
+
+/**
+ * Split a Markdown file into front matter and body
+ * Reads the YAML subset used by blog front matter: `key: value` pairs with
+ * plain or quoted scalars, lists (`[a, b]` or `- item` lines) and block
+ * scalars (`|` and `>`).
+ * @param {string} text - File contents
+ * @returns {{data: Object, body: string}} Front matter values and the Markdown after it
+ */
+function parseFrontMatter(text) {
+    const source = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const match = /^---[ \t]*\n([\s\S]*?)\n(?:---|\.\.\.)[ \t]*(?:\n|$)/.exec(source);
+    if (!match) return { data: {}, body: source };
+
+    const data = {};
+    const lines = match[1].split('\n');
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const pair = /^([A-Za-z_][\w-]*)\s*:(?:\s+(.*))?$/.exec(line);
+        if (!pair) continue;
+
+        const [, key, value = ''] = pair;
+        const nested = [];
+        while (i + 1 < lines.length && (/^\s+\S/.test(lines[i + 1]) || /^-\s/.test(lines[i + 1]) || !lines[i + 1].trim())) {
+            nested.push(lines[++i]);
+        }
+
+        if (/^[|>][-+]?\s*$/.test(value)) {
+            const block = nested.map(l => l.replace(/^\s+/, ''));
+            data[key] = value.startsWith('|') ? block.join('\n').trim() : block.join(' ').replace(/\s+/g, ' ').trim();
+        } else if (value.trim().startsWith('[')) {
+            data[key] = parseFlowList(value);
+        } else if (!value.trim() && nested.some(l => /^\s*-\s/.test(l))) {
+            data[key] = nested.filter(l => /^\s*-\s/.test(l)).map(l => parseScalar(l.replace(/^\s*-\s/, '')));
+        } else {
+            data[key] = parseScalar(value);
+        }
+    }
+
+    return { data, body: source.slice(match[0].length) };
+}
+
+/**
+ * Read a Markdown file into post fields
+ * @param {string} text - File contents
+ * @returns {{fields: Object, slug: string, author: (string|null), dates: Object, errors: Array<string>}}
+ *   Validated post fields, the wanted slug, author username, stored dates and error messages
+ */
+function parseMarkdown(text) {
+    const { data, body } = parseFrontMatter(text);
+    let content = body.trim();
+    let title = data.title;
+
+    if (!title) {
+        const heading = /^#\s+(.+)\n*/.exec(content);
+        if (heading) {
+            title = heading[1].trim();
+            content = content.slice(heading[0].length).trim();
+        }
+    }
+
+    const { value: fields, errors } = PostModel.validatePost({
+        title,
+        content,
+        excerpt: data.excerpt,
+        category: data.category,
+        tags: data.tags,
+        coverImage: data.coverImage,
+        status: data.status === null ? undefined : data.status,
+        publishAt: data.publishAt !== undefined ? data.publishAt : data.date
+    });
+
+    const lifecycle = PostModel.resolveLifecycle(fields);
+    errors.push(...lifecycle.errors);
+
+    const dates = {};
+    ['createdAt', 'updatedAt'].forEach(key => {
+        const date = data[key] ? new Date(data[key]) : null;
+        if (date && isNaN(date.getTime())) errors.push(`${key} must be a valid date`);
+        else if (date) dates[key] = date.toISOString();
+    });
+
+    return {
+        fields: { ...fields, ...lifecycle.value },
+        slug: PostModel.slugify(data.slug || fields.title) || 'post',
+        author: data.author ? String(data.author) : null,
+        dates,
+        errors
+    };
+}
+
+// ===== IMPORT =====
+
+/**
+ * Collect the Markdown files of an upload, unpacking zips
+ * @param {Array<{name: string, content: Buffer}>} uploads - Uploaded files
+ * @returns {{files: Array<{name: string, text: string}>, errors: Array<{file: string, message: string}>}}
+ */
+function collectMarkdownFiles(uploads) {
+    const files = [];
+    const errors = [];
+    // Shared by every zip, so many small zips can't add up to more
+    let unpacked = 0;
+
+    uploads.forEach(upload => {
+        if (zip.isZip(upload.content)) {
+            let entries;
+            try {
+                entries = zip.readZip(upload.content, {
+                    maxFileSize: MAX_FILE_SIZE,
+                    maxEntries: MAX_ZIP_ENTRIES,
+                    maxTotalSize: MAX_UNPACKED_SIZE - unpacked
+                });
+            } catch (error) {
+                errors.push({ file: upload.name, message: error.message });
+                return;
+            }
+            unpacked += entries.reduce((total, entry) => total + entry.content.length, 0);
+            entries
+                .filter(entry => /\.(md|markdown)$/i.test(entry.name) && !entry.name.startsWith('__MACOSX/'))
+                .forEach(entry => files.push({ name: `${upload.name}/${entry.name}`, text: entry.content.toString('utf8') }));
+        } else if (!/\.(md|markdown)$/i.test(upload.name)) {
+            errors.push({ file: upload.name, message: 'Only .md files and zips of them can be imported' });
+        } else if (upload.content.length > MAX_FILE_SIZE) {
+            errors.push({ file: upload.name, message: 'File is too large' });
+        } else {
+            files.push({ name: upload.name, text: upload.content.toString('utf8') });
+        }
+    });
+
+    return { files, errors };
+}
+
+/**
+ * Work out what importing each file would do, without saving anything
+ * @param {Object} store - Storage backend
+ * @param {Array<{name: string, text: string}>} files - Markdown files
+ * @param {Object} options
+ * @param {string} options.onConflict - 'skip', 'overwrite' or 'rename'
+ * @returns {Promise<Array<Object>>} One entry per file: { file, action
+ *   (create|update|skip|error), slug, title, message, existingId } plus
+ *   the parsed post for entries that will be saved
+ */
+async function planImport(store, files, { onConflict }) {
+    const plan = [];
+    const claimed = new Set();
+    // Current and earlier slugs: earlier ones keep redirecting to their post
+    const inUse = PostModel.slugsInUse(await store.list(COLLECTION));
+
+    for (const file of files) {
+        const parsed = parseMarkdown(file.text);
+        const entry = { file: file.name, title: parsed.fields.title || null, slug: parsed.slug };
+
+        if (parsed.errors.length) {
+            plan.push({ ...entry, action: 'error', message: parsed.errors[0] });
+            continue;
+        }
+
+        const existing = await store.findOne(COLLECTION, { slug: parsed.slug });
+        const taken = existing || claimed.has(parsed.slug);
+
+        if (!taken && inUse.has(parsed.slug)) {
+            const slug = PostModel.freeSlug(parsed.slug, new Set([...inUse, ...claimed]));
+            plan.push({ ...entry, slug, action: 'create', message: `Slug ${parsed.slug} redirects to another post`, parsed });
+        } else if (!taken) {
+            plan.push({ ...entry, action: 'create', parsed });
+        } else if (!existing) {
+            plan.push({ ...entry, action: 'error', message: 'Another file in this import has the same slug' });
+        } else if (onConflict === 'overwrite') {
+            plan.push({ ...entry, action: 'update', existingId: existing.id, message: `Replaces "${existing.title}"`, parsed });
+        } else if (onConflict === 'rename') {
+            const slug = PostModel.freeSlug(parsed.slug, new Set([...inUse, ...claimed]));
+            plan.push({ ...entry, slug, action: 'create', message: `Slug ${parsed.slug} is taken`, parsed });
+        } else {
+            plan.push({ ...entry, action: 'skip', existingId: existing.id, message: `Slug is used by "${existing.title}"` });
+        }
+
+        claimed.add(plan[plan.length - 1].slug);
+    }
+
+    return plan;
+}
+
+// User named in front matter, by username or display name
+async function findUser(store, name) {
+    return await store.findOne('users', { username: name }) ||
+        (await store.list('users')).find(candidate => candidate.name === name) || null;
+}
+
+/**
+ * Save the creates and updates of an import plan
+ * @param {Object} store - Storage backend
+ * @param {Array<Object>} plan - Result of planImport
+ * @param {Object} user - User doing the import (author of posts whose author is unknown)
+ */
+async function applyImport(store, plan, user) {
+    const now = new Date().toISOString();
+
+    for (const entry of plan.filter(e => e.action === 'create' || e.action === 'update')) {
+        const { fields, author, dates } = entry.parsed;
+        const owner = (author && await findUser(store, author)) || user;
+
+        if (entry.action === 'update') {
+            const existing = await store.get(COLLECTION, entry.existingId);
+            const post = await store.update(COLLECTION, existing.id, { ...fields, updatedAt: now });
+            await revisions.recordRevision(store, post, user, { previous: existing });
+            continue;
+        }
+
+        const createdAt = dates.createdAt || fields.publishAt || now;
+        const post = await store.insert(COLLECTION, PostModel.normalizePost({
+            ...fields,
+            slug: entry.slug,
+            author: owner.name || owner.username,
+            authorId: owner.id,
+            createdAt,
+            updatedAt: dates.updatedAt || createdAt
+        }));
+        await revisions.recordRevision(store, post, user);
+    }
+    await taxonomies.syncPostTerms(store);
+}
+
+/**
+ * Summarize an import plan for a response or the console
+ * @param {Array<Object>} plan - Result of planImport
+ * @returns {{counts: Object, files: Array<Object>}} Counts by action and the per-file report
+ */
+function importReport(plan) {
+    const counts = { create: 0, update: 0, skip: 0, error: 0 };
+    plan.forEach(entry => counts[entry.action]++);
+    return {
+        counts,
+        files: plan.map(({ parsed, ...entry }) => entry)
+    };
+}
+
+// ===== EXPORT =====
+
+/**
+ * Posts to export, oldest first
+ * @param {Object} store - Storage backend
+ * @param {string} [status] - Comma separated statuses, or 'all' (the default)
+ * @returns {Promise<Array<Object>>} Canonical posts
+ */
+async function selectPosts(store, status) {
+    const statuses = posts.readStatusFilter(status || 'all');
+    return (await store.list(COLLECTION))
+        .filter(post => statuses.includes(PostModel.effectiveStatus(post)))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * One Markdown file per post
+ * @param {Array<Object>} list - Canonical posts
+ * @returns {Array<{name: string, content: string}>} Files named after the slugs
+ */
+function exportFiles(list) {
+    return list.map(post => ({ name: `${post.slug}.md`, content: toMarkdown(post) }));
+}
+
+// ===== ROUTE HANDLERS =====
+
+function readConflictPolicy(value) {
+    const policy = value || 'skip';
+    if (!CONFLICT_POLICIES.includes(policy)) {
+        throw new HttpError(400, `onConflict must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+    }
+    return policy;
+}
+
+async function exportPosts(req, res, { store, query }) {
+    await requirePermission(req, store, 'posts:import-export');
+    const selected = await selectPosts(store, query.status);
+    const archive = zip.createZip(exportFiles(selected));
+    const filename = `posts-${new Date().toISOString().slice(0, 10)}.zip`;
+
+    logEvent('posts.exported', { count: selected.length });
+    res.writeHead(200, {
+        'Content-Type': 'application/zip',
+        'Content-Length': archive.length,
+        'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.end(archive);
+}
+
+async function importPosts(req, res, { store, query }) {
+    const user = await requirePermission(req, store, 'posts:import-export');
+    const { fields, files: uploads } = await readMultipartBody(req, MAX_IMPORT_BODY);
+    const options = { ...query, ...fields };
+    const onConflict = readConflictPolicy(options.onConflict);
+    const dryRun = ['true', '1', 'yes'].includes(String(options.dryRun).toLowerCase());
+
+    if (!uploads.length) throw new HttpError(400, 'Choose the .md files or zip to import');
+
+    const { files, errors } = collectMarkdownFiles(uploads.map(upload => ({
+        name: path.basename(upload.filename),
+        content: upload.data
+    })));
+    const plan = [
+        ...errors.map(error => ({ ...error, action: 'error' })),
+        ...await planImport(store, files, { onConflict })
+    ];
+    if (!dryRun) await applyImport(store, plan, user);
+
+    const report = importReport(plan);
+    const { counts } = report;
+    logEvent('posts.imported', { dryRun, counts });
+
+    const message = dryRun
+        ? `Dry run: ${counts.create} to create, ${counts.update} to update, ${counts.skip} to skip, ${counts.error} with errors`
+        : `Imported ${counts.create + counts.update} posts (${counts.skip} skipped, ${counts.error} with errors)`;
+    sendJson(res, 200, { success: true, message, dryRun, ...report });
+}
+
+module.exports = {
+    CONFLICT_POLICIES,
+    toMarkdown,
+    parseMarkdown,
+    collectMarkdownFiles,
+    planImport,
+    applyImport,
+    importReport,
+    selectPosts,
+    exportFiles,
+    exportPosts,
+    importPosts
+};
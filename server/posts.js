@@ -0,0 +1,406 @@
+/**
+ * Digital Garden Blog - Posts API
+ *
+ * Route handlers for blog post CRUD:
+ * - GET    /api/posts      List posts, one page at a time (?limit=,
+ *                           ?cursor=, ?sort=newest|oldest|most-viewed|title)
+ *                           filtered by ?category=, ?tag=, ?author= and ?q=
+ * - GET    /api/posts/:id  Fetch a single post (by id or slug) and count a view
+ * - GET    /api/posts/by-slug/:slug
+ *                           Fetch a post by slug and count a view; an earlier
+ *                           slug of a renamed post answers 301 with the
+ *                           address of the current one
+ *
+ * Readers only ever see live posts (published, or scheduled with a publish
+ * time in the past). Drafts, future scheduled posts and archived posts are
+ * listed with ?status=draft,scheduled,archived (or ?status=all) and are
+ * visible only to users who may edit them.
+ * - POST   /api/posts      Create a post
+ * - PUT    /api/posts/:id  Update a post
+ * - DELETE /api/posts/:id  Delete a post
+ * - GET    /api/posts/:id/revisions                  List a post's revisions
+ * - POST   /api/posts/:id/revisions/:revisionId/restore
+ *                           Bring back a revision's text (saved as a new revision)
+ *
+ * Creating, updating and deleting require a valid Bearer token and a role
+ * that allows it: authors may only change their own posts, editors and
+ * admins may change anyone's. Revisions are visible to whoever may edit the
+ * post; every save is recorded (see revisions.js).
+ *
+ * Slugs are generated from the title on create, unless one is given, and
+ * never change with the title. Changing the slug of a live post keeps the
+ * old one in previousSlugs, and no other post can take it, so shared links
+ * keep working (drafts have no public links to keep).
+ *
+ * Posts follow the canonical schema in public/js/post-model.js; input is
+ * validated with PostModel.validatePost. Responses add `commentCount`, the
+ * number of approved comments (see comments.js).
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const { HttpError, sendJson, redirect, readJsonBody } = require('./http');
+const { logEvent } = require('./logger');
+const { authenticate, requireAuth, requirePermission } = require('./auth');
+const { canEditPost, canDeletePost } = require('../public/js/permissions');
+const PostModel = require('../public/js/post-model');
+const revisions = require('./revisions');
+const comments = require('./comments');
+const taxonomies = require('./taxonomies');
+
+const COLLECTION = 'posts';
+
+// Posts created the first time the server starts with an empty store
+const SAMPLE_POSTS = [
+    {
+        title: "Welcome to Digital Garden",
+        content: "This is your first post! Start writing amazing content.",
+        excerpt: "Welcome to your new digital garden where ideas bloom.",
+        category: "general",
+        author: "Admin",
+        tags: ["welcome", "first-post"],
+        status: "published"
+    },
+    {
+        title: "Getting Started with Blogging",
+        content: "Here are some tips to get started with your blog...",
+        excerpt: "Essential tips for new bloggers to create engaging content.",
+        category: "writing",
+        author: "Admin",
+        tags: ["blogging", "tips"],
+        status: "published"
+    }
+];
+
+/**
+ * Insert the sample posts once, on the very first start
+ * A marker document is kept so deleting every post doesn't bring them back.
+ * @param {Object} store - Storage backend
+ */
+async function seedPosts(store) {
+    if (await store.get('meta', 'posts-seeded')) return;
+
+    const admin = await store.findOne('users', { role: 'admin' });
+    const now = Date.now();
+    for (const [index, sample] of SAMPLE_POSTS.entries()) {
+        const date = new Date(now - index * 86400000).toISOString();
+        await store.insert(COLLECTION, PostModel.normalizePost({
+            ...sample,
+            slug: PostModel.slugify(sample.title),
+            author: admin ? admin.username : sample.author,
+            authorId: admin ? admin.id : null,
+            createdAt: date,
+            updatedAt: date
+        }));
+    }
+
+    await store.insert('meta', { id: 'posts-seeded', date: new Date(now).toISOString() });
+    console.log(`🌱 Seeded ${SAMPLE_POSTS.length} sample posts`);
+}
+
+/**
+ * Generate a slug from a title that no other post uses (now or before)
+ * @param {Object} store - Storage backend
+ * @param {string} title - Post title
+ * @param {string} [exceptId] - Id of the post allowed to keep the slug
+ * @returns {Promise<string>} Unique slug
+ */
+async function uniqueSlug(store, title, exceptId) {
+    return PostModel.freeSlug(title, PostModel.slugsInUse(await store.list(COLLECTION), exceptId));
+}
+
+/**
+ * Fail with 409 when a slug leads to another post, now or before
+ * @param {Object} store - Storage backend
+ * @param {string} slug - Requested slug
+ * @param {string} [exceptId] - Id of the post asking for it
+ */
+async function assertSlugFree(store, slug, exceptId) {
+    if (PostModel.slugsInUse(await store.list(COLLECTION), exceptId).has(slug)) {
+        throw new HttpError(409, `The URL slug "${slug}" is already used by another post`);
+    }
+}
+
+/**
+ * Find the post a slug leads to, current or earlier
+ * @param {Object} store - Storage backend
+ * @param {string} slug - Slug from a URL
+ * @returns {Promise<{post: Object|null, moved: boolean}>} See PostModel.resolveSlug
+ */
+async function findPostBySlug(store, slug) {
+    const current = await store.findOne(COLLECTION, { slug });
+    if (current) return { post: current, moved: false };
+    return PostModel.resolveSlug(await store.list(COLLECTION), slug);
+}
+
+/**
+ * Rewrite posts saved in an older shape (no slug, `date`, `published`)
+ * into the canonical schema
+ * @param {Object} store - Storage backend
+ */
+async function migratePosts(store) {
+    const posts = await store.list(COLLECTION);
+    let migrated = 0;
+
+    for (const post of posts.filter(p => !PostModel.isCanonical(p))) {
+        const canonical = PostModel.normalizePost(post);
+        if (!post.slug) canonical.slug = await uniqueSlug(store, post.title, post.id);
+        await store.replace(COLLECTION, post.id, canonical);
+        migrated++;
+    }
+
+    if (migrated) console.log(`🔄 Migrated ${migrated} posts to the current schema`);
+}
+
+/**
+ * Validate post fields from a request body
+ * @param {Object} body - Parsed request body
+ * @param {boolean} partial - Allow missing fields (updates)
+ * @returns {Object} Clean post fields
+ */
+function readPostFields(body, partial) {
+    const { value, errors } = PostModel.validatePost(body, { partial });
+    if (errors.length) throw new HttpError(400, errors[0], { code: 'VALIDATION_ERROR', details: { errors } });
+    return value;
+}
+
+/**
+ * Parse the ?status= filter of the posts list
+ * @param {string} [status] - Comma separated statuses, or 'all'
+ * @returns {Array<string>|null} Statuses to list, or null for live posts only
+ */
+function readStatusFilter(status) {
+    if (!status) return null;
+    if (status === 'all') return PostModel.STATUSES;
+
+    const statuses = String(status).split(',').map(s => s.trim()).filter(s => s);
+    const unknown = statuses.find(s => !PostModel.STATUSES.includes(s));
+    if (unknown) {
+        throw new HttpError(400, `Status must be one of: ${PostModel.STATUSES.join(', ')}, all`);
+    }
+    return statuses;
+}
+
+/**
+ * Set status and publishAt on post fields, or fail with 400
+ * @param {Object} post - Post fields with the requested status and publishAt
+ * @returns {Object} { status, publishAt }
+ */
+function readLifecycle(post) {
+    const { value, errors } = PostModel.resolveLifecycle(post);
+    if (errors.length) throw new HttpError(400, errors[0], { code: 'VALIDATION_ERROR', details: { errors } });
+    return value;
+}
+
+/**
+ * Load a post by id or slug, or fail with 404
+ * @param {Object} store - Storage backend
+ * @param {string} id - Post id or slug
+ * @returns {Promise<Object>} Post
+ */
+async function findPostOr404(store, id) {
+    const post = await store.get(COLLECTION, id) || await store.findOne(COLLECTION, { slug: id });
+    if (!post) throw new HttpError(404, 'Post not found');
+    return post;
+}
+
+/**
+ * Delete a post along with its revisions and comments
+ * @param {Object} store - Storage backend
+ * @param {Object} post - Post to delete
+ */
+async function removePost(store, post) {
+    await store.remove(COLLECTION, post.id);
+    await revisions.removeRevisions(store, post.id);
+    await comments.removeComments(store, post.id);
+}
+
+// ===== ROUTE HANDLERS =====
+
+async function listPosts(req, res, { store, query }) {
+    const { value: options, errors } = PostModel.validateListQuery(query);
+    if (errors.length) throw new HttpError(400, errors[0], { code: 'VALIDATION_ERROR', details: { errors } });
+
+    const statuses = readStatusFilter(query.status);
+    let visible;
+    if (statuses) {
+        const user = await requireAuth(req, store);
+        visible = (await store.list(COLLECTION)).filter(post =>
+            statuses.includes(PostModel.effectiveStatus(post)) && canEditPost(user, post));
+    } else {
+        visible = (await store.list(COLLECTION)).filter(post => PostModel.isLive(post));
+    }
+
+    const posts = PostModel.filterPosts(visible, query);
+    const page = PostModel.paginatePosts(posts, options);
+    const counts = await comments.countComments(store);
+    page.posts = page.posts.map(post => ({ ...post, commentCount: counts[post.id] || 0 }));
+    sendJson(res, 200, { success: true, ...page });
+}
+
+async function getPost(req, res, { store, params }) {
+    await sendPost(req, res, store, await findPostOr404(store, params.id));
+}
+
+async function getPostBySlug(req, res, { store, params }) {
+    const { post, moved } = await findPostBySlug(store, params.slug);
+    if (!post) throw new HttpError(404, 'Post not found');
+
+    // Old links to unpublished posts must not reveal their new address
+    if (moved && (PostModel.isLive(post) || canEditPost(await authenticate(req, store), post))) {
+        redirect(res, `/api/posts/by-slug/${encodeURIComponent(post.slug)}`);
+        return;
+    }
+    if (moved) throw new HttpError(404, 'Post not found');
+    await sendPost(req, res, store, post);
+}
+
+/**
+ * Send a post to whoever may see it, counting a view of live posts
+ * @param {http.IncomingMessage} req - Request object
+ * @param {http.ServerResponse} res - Response object
+ * @param {Object} store - Storage backend
+ * @param {Object} existing - Stored post
+ */
+async function sendPost(req, res, store, existing) {
+    const commentCount = (await comments.countComments(store))[existing.id] || 0;
+
+    // Unpublished posts are only shown to people who could edit them
+    if (!PostModel.isLive(existing)) {
+        if (!canEditPost(await authenticate(req, store), existing)) {
+            throw new HttpError(404, 'Post not found');
+        }
+        sendJson(res, 200, { success: true, post: { ...existing, commentCount } });
+        return;
+    }
+
+    const post = await store.update(COLLECTION, existing.id, { views: existing.views + 1 });
+    sendJson(res, 200, { success: true, post: { ...post, commentCount } });
+}
+
+async function createPost(req, res, { store }) {
+    const user = await requirePermission(req, store, 'posts:create');
+    const body = await readJsonBody(req);
+    const now = new Date().toISOString();
+
+    const fields = readPostFields(body, false);
+    if (fields.slug) await assertSlugFree(store, fields.slug);
+
+    const post = await store.insert(COLLECTION, PostModel.normalizePost({
+        ...fields,
+        ...readLifecycle(fields),
+        slug: fields.slug || await uniqueSlug(store, fields.title),
+        author: user.name || user.username,
+        authorId: user.id,
+        createdAt: now,
+        updatedAt: now
+    }));
+
+    await revisions.recordRevision(store, post, user);
+    await taxonomies.syncPostTerms(store);
+
+    logEvent('post.created', { postId: post.id, status: post.status });
+    sendJson(res, 201, { success: true, message: 'Post created successfully', post });
+}
+
+async function updatePost(req, res, { store, params }) {
+    const user = await requireAuth(req, store);
+    const existing = await findPostOr404(store, params.id);
+    if (!canEditPost(user, existing)) {
+        throw new HttpError(403, 'You can only edit your own posts');
+    }
+    const body = await readJsonBody(req);
+    const fields = readPostFields(body, true);
+
+    const changes = {
+        ...fields,
+        ...readLifecycle({ ...existing, ...fields }),
+        updatedAt: new Date().toISOString()
+    };
+    if (fields.slug && fields.slug !== existing.slug) {
+        await assertSlugFree(store, fields.slug, existing.id);
+        // The old slug keeps leading here (see getPostBySlug)
+        if (PostModel.isLive(existing)) {
+            changes.previousSlugs = [existing.slug, ...existing.previousSlugs].filter(slug => slug !== fields.slug);
+        }
+        logEvent('post.slug_changed', { postId: existing.id, from: existing.slug, to: fields.slug });
+    }
+
+    const post = await store.update(COLLECTION, existing.id, changes);
+    await revisions.recordRevision(store, post, user, { previous: existing });
+    await taxonomies.syncPostTerms(store);
+
+    logEvent('post.updated', { postId: post.id, status: post.status });
+    sendJson(res, 200, { success: true, message: 'Post updated successfully', post });
+}
+
+async function deletePost(req, res, { store, params }) {
+    const user = await requireAuth(req, store);
+    const existing = await findPostOr404(store, params.id);
+    if (!canDeletePost(user, existing)) {
+        throw new HttpError(403, 'You can only delete your own posts');
+    }
+    await removePost(store, existing);
+
+    logEvent('post.deleted', { postId: existing.id });
+    sendJson(res, 200, { success: true, message: 'Post deleted successfully' });
+}
+
+/**
+ * Load a post the current user may edit, or fail with 401/403/404
+ * @param {http.IncomingMessage} req - Request object
+ * @param {Object} store - Storage backend
+ * @param {string} id - Post id or slug
+ * @returns {Promise<{user: Object, post: Object}>} User and post
+ */
+async function findEditablePost(req, store, id) {
+    const user = await requireAuth(req, store);
+    const post = await findPostOr404(store, id);
+    if (!canEditPost(user, post)) {
+        throw new HttpError(403, 'You can only view the history of your own posts');
+    }
+    return { user, post };
+}
+
+async function listPostRevisions(req, res, { store, params }) {
+    const { post } = await findEditablePost(req, store, params.id);
+    sendJson(res, 200, { success: true, revisions: await revisions.listRevisions(store, post.id) });
+}
+
+async function restorePostRevision(req, res, { store, params }) {
+    const { user, post: existing } = await findEditablePost(req, store, params.id);
+    const revision = await store.get('revisions', params.revisionId);
+    if (!revision || revision.postId !== existing.id) {
+        throw new HttpError(404, 'Revision not found');
+    }
+
+    const changes = { updatedAt: new Date().toISOString() };
+    revisions.RESTORED_FIELDS.forEach(field => {
+        changes[field] = revision[field];
+    });
+    const post = await store.update(COLLECTION, existing.id, changes);
+    await revisions.recordRevision(store, post, user, { previous: existing, restoredFrom: revision.number });
+    await taxonomies.syncPostTerms(store);
+
+    logEvent('post.restored', { postId: post.id, revision: revision.number });
+    sendJson(res, 200, { success: true, message: `Revision ${revision.number} restored`, post });
+}
+
+module.exports = {
+    seedPosts,
+    migratePosts,
+    uniqueSlug,
+    findPostBySlug,
+    readStatusFilter,
+    readLifecycle,
+    removePost,
+    listPosts,
+    getPost,
+    getPostBySlug,
+    createPost,
+    updatePost,
+    deletePost,
+    listPostRevisions,
+    restorePostRevision
+};
@@ -0,0 +1,485 @@
+/**
+ * Digital Garden Blog - Server-Side Rendering
+ *
+ * Answers the app's public pages with blog.html already filled in, so
+ * crawlers and link-preview bots see the content without running main.js:
+ * - GET /blog.html      Home page
+ * - GET /posts          Posts list (first page, honouring ?category=,
+ *                       ?tag=, ?author=, ?q= and ?sort=)
+ * - GET /posts/:slug    Post page (404 for posts readers can't see; an
+ *                       earlier slug or the id redirects to the current slug)
+ * - GET /tags/:slug, /categories/:slug
+ *                       Posts list for one tag or category
+ * - GET /sitemap.xml    Home, posts list and every live post
+ * - GET /robots.txt     Crawl rules pointing at the sitemap
+ *
+ * Each page gets a <title>, meta description, canonical URL, Open Graph and
+ * Twitter card tags; post pages also get JSON-LD BlogPosting data. The
+ * markup mirrors renderPostCard and renderPostPage in main.js (as a logged
+ * out reader sees them), which re-renders on top once it has loaded.
+ *
+ * The page builders are also used by scripts/export-site.js, which writes
+ * the same pages as files for static hosts.
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { redirect, siteUrlFor } = require('./http');
+const { PUBLIC_DIR } = require('./static');
+const PostModel = require('../public/js/post-model');
+const Markdown = require('../public/js/markdown');
+const comments = require('./comments');
+const { scopeNames } = require('./feeds');
+const { findPostBySlug } = require('./posts');
+
+const SITE_NAME = 'Digital Garden';
+const SITE_DESCRIPTION = 'A space where I share my thoughts, experiences, and learnings about life, technology, and the beautiful complexity of our world.';
+
+// Cards on the first page of the posts list (POSTS_PAGE_SIZE in main.js)
+const POSTS_PAGE_SIZE = 9;
+
+// Block in blog.html's <head> replaced with each page's metadata
+const META_BLOCK = /<!-- Page metadata[^>]*-->[\s\S]*?<!-- \/Page metadata -->/;
+
+const escapeHtml = Markdown.escapeHtml;
+
+/**
+ * Readable date, as shown on cards and post pages
+ * @param {string} value - ISO date
+ * @returns {string} Date like "September 18, 2025"
+ */
+function formatDate(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? '' : date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Turn a site path into an absolute URL
+ * @param {string} siteUrl - Site URL without a trailing slash
+ * @param {string} url - Path starting with '/' or an absolute URL
+ * @returns {string} Absolute URL
+ */
+function absoluteUrl(siteUrl, url) {
+    return url.startsWith('/') && !url.startsWith('//') ? `${siteUrl}${url}` : url;
+}
+
+/**
+ * Link to a post, relative to the site's base URL
+ * @param {Object} post - Canonical post
+ * @param {Object} site - Site being rendered (see siteFor)
+ * @returns {string} Relative URL
+ */
+function postHref(post, site) {
+    const path = `posts/${encodeURIComponent(post.slug)}`;
+    return site.isStatic ? `${path}/` : path;
+}
+
+// Site-root paths (uploaded covers) made relative, so they resolve from <base>
+function assetHref(url) {
+    return url.startsWith('/') && !url.startsWith('//') ? url.slice(1) : url;
+}
+
+// Static sites have a page per tag; the server filters the posts list instead
+function tagHref(tag, site) {
+    return site.isStatic ? `tags/${PostModel.slugify(tag)}/` : `posts?tag=${encodeURIComponent(tag)}`;
+}
+
+function renderTagLink(tag, site) {
+    return `<a class="tag" href="${escapeHtml(tagHref(tag, site))}" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</a>`;
+}
+
+function renderPostCard(post, site) {
+    const date = PostModel.displayDate(post);
+    const href = escapeHtml(postHref(post, site));
+    return `
+            <article class="post-card">
+                ${post.coverImage ? `<img class="post-card-cover" src="${escapeHtml(assetHref(post.coverImage))}" alt="" loading="lazy">` : ''}
+                <div class="post-header">
+                    <div class="post-meta">
+                        <span class="post-category">${escapeHtml(post.category || 'General')}</span>
+                        <time class="post-date" datetime="${escapeHtml(date)}">${escapeHtml(formatDate(date))}</time>
+                    </div>
+                </div>
+                <h3 class="post-title">
+                    <a href="${href}">${escapeHtml(post.title)}</a>
+                </h3>
+                <p class="post-excerpt">${escapeHtml(post.excerpt)}</p>
+                <div class="post-footer">
+                    <div class="post-tags">
+                        ${post.tags.map(tag => renderTagLink(tag, site)).join('')}
+                    </div>
+                    <span class="post-comment-count" title="Comments">
+                        <i class="fas fa-comment"></i> ${post.commentCount || 0}
+                    </span>
+                    <a class="btn btn-ghost" href="${href}">
+                        Read More <i class="fas fa-arrow-right"></i>
+                    </a>
+                </div>
+            </article>`;
+}
+
+function renderPostArticle(post, site) {
+    if (!post) {
+        return `
+            <div class="post-not-found">
+                <h2>Post not found</h2>
+                <p>It may have been moved or deleted.</p>
+                <a class="btn btn-primary" href="posts">Browse all posts</a>
+            </div>`;
+    }
+
+    const date = PostModel.displayDate(post);
+    return `
+            <div class="post-page-nav">
+                <a class="btn btn-ghost" href="posts">
+                    <i class="fas fa-arrow-left"></i> Back to posts
+                </a>
+            </div>
+            <header class="post-page-header">
+                <span class="post-category">${escapeHtml(post.category || 'General')}</span>
+                <h1 class="post-page-title">${escapeHtml(post.title)}</h1>
+                <div class="post-page-meta">
+                    <span><i class="fas fa-user"></i>${escapeHtml(post.author || 'Anonymous')}</span>
+                    <time datetime="${escapeHtml(date)}"><i class="fas fa-calendar"></i>${escapeHtml(formatDate(date))}</time>
+                    <span><i class="fas fa-clock"></i>${PostModel.readingTime(post.content)} min read</span>
+                </div>
+            </header>
+            ${post.coverImage ? `<img class="post-page-cover" src="${escapeHtml(assetHref(post.coverImage))}" alt="">` : ''}
+            <div class="markdown-body post-page-content">
+                ${Markdown.render(post.content)}
+            </div>
+            ${post.tags.length ? `
+            <footer class="post-page-footer">
+                <div class="post-tags">
+                    ${post.tags.map(tag => renderTagLink(tag, site)).join('')}
+                </div>
+            </footer>
+            ` : ''}`;
+}
+
+/**
+ * <head> tags describing a page
+ * @param {Object} meta - { title, description, url, type, image, noindex, post }
+ * @param {Object} site - Site being rendered (see siteFor)
+ * @returns {string} HTML
+ */
+function renderMeta({ title, description, url, type = 'website', image = null, noindex = false, post = null }, site) {
+    const tags = [
+        `<meta name="description" content="${escapeHtml(description)}">`,
+        `<link rel="canonical" href="${escapeHtml(url)}">`,
+        noindex ? '<meta name="robots" content="noindex">' : '',
+        `<meta property="og:site_name" content="${SITE_NAME}">`,
+        `<meta property="og:type" content="${type}">`,
+        `<meta property="og:title" content="${escapeHtml(title)}">`,
+        `<meta property="og:description" content="${escapeHtml(description)}">`,
+        `<meta property="og:url" content="${escapeHtml(url)}">`,
+        image ? `<meta property="og:image" content="${escapeHtml(image)}">` : '',
+        `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+        `<meta name="twitter:title" content="${escapeHtml(title)}">`,
+        `<meta name="twitter:description" content="${escapeHtml(description)}">`,
+        image ? `<meta name="twitter:image" content="${escapeHtml(image)}">` : ''
+    ];
+
+    if (post) {
+        tags.push(
+            `<meta property="article:published_time" content="${escapeHtml(PostModel.displayDate(post))}">`,
+            `<meta property="article:modified_time" content="${escapeHtml(PostModel.modifiedDate(post))}">`,
+            ...post.tags.map(tag => `<meta property="article:tag" content="${escapeHtml(tag)}">`)
+        );
+
+        const data = {
+            '@context': 'https://schema.org',
+            '@type': 'BlogPosting',
+            headline: post.title,
+            description,
+            url,
+            mainEntityOfPage: url,
+            datePublished: PostModel.displayDate(post),
+            dateModified: PostModel.modifiedDate(post),
+            author: { '@type': 'Person', name: post.author || 'Anonymous' },
+            publisher: { '@type': 'Organization', name: SITE_NAME, url: `${site.url}/blog.html` },
+            articleSection: post.category,
+            keywords: post.tags.join(', '),
+            wordCount: PostModel.countWords(post.content),
+            ...(image ? { image } : {})
+        };
+        // "<" is escaped so the content can never close the <script> element
+        tags.push(`<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`);
+    }
+
+    return tags.filter(Boolean).map(tag => `    ${tag}`).join('\n');
+}
+
+/**
+ * Fill blog.html in for one page
+ * @param {Object} page - { section, title, meta, grid (posts list), postPage (post page) }
+ * @param {Object} site - Site being rendered (see siteFor)
+ * @returns {Promise<string>} HTML document
+ */
+async function renderDocument({ section, title, meta, grid, postPage }, site) {
+    let html = await fs.promises.readFile(path.join(PUBLIC_DIR, 'blog.html'), 'utf8');
+
+    html = html
+        // Replacers are functions so "$&", "$'"... in titles and SITE_URL stay literal.
+        // Relative URLs (assets and the links below) resolve from the app root on every page
+        .replace('<meta charset="UTF-8">', () => `<meta charset="UTF-8">\n    <base href="${escapeHtml(site.base)}">`)
+        .replace(/<title>[\s\S]*?<\/title>/, () => `<title>${escapeHtml(title)}</title>`)
+        .replace(META_BLOCK, () => `<!-- Page metadata (rendered by server/render.js) -->\n${renderMeta(meta, site)}\n    <!-- /Page metadata -->`)
+        .replace('class="section active" id="home"', 'class="section" id="home"')
+        .replace(`class="section" id="${section}"`, `class="section active" id="${section}"`);
+
+    if (grid !== undefined) {
+        html = html.replace(/(<div class="posts-grid" id="postsGrid">)[\s\S]*?(<\/div>)/, (match, open, close) => `${open}${grid}\n                    ${close}`);
+    }
+    if (postPage !== undefined) {
+        html = html.replace(/(<article class="post-page" id="postPage">)[\s\S]*?(<\/article>)/, (match, open, close) => `${open}${postPage}\n                ${close}`);
+    }
+    return html;
+}
+
+// ===== PAGES =====
+// Shared by the route handlers below and scripts/export-site.js
+
+/**
+ * Describe the site pages are rendered for
+ * @param {string} url - Absolute site URL (may include a path)
+ * @param {Object} [options]
+ * @param {boolean} [options.isStatic] - Rendering files for a static host
+ * @returns {{url: string, base: string, isStatic: boolean}} Site without a
+ *   trailing slash on `url`; `base` is its path, used for the <base> element
+ */
+function siteFor(url, { isStatic = false } = {}) {
+    const clean = url.replace(/\/+$/, '');
+    return { url: clean, base: `${new URL(clean).pathname.replace(/\/+$/, '')}/`, isStatic };
+}
+
+async function renderHomePage(site) {
+    return renderDocument({
+        section: 'home',
+        title: `${SITE_NAME} - A space where I share my thoughts`,
+        meta: { title: SITE_NAME, description: SITE_DESCRIPTION, url: `${site.url}/blog.html` }
+    }, site);
+}
+
+/**
+ * Render the first page of the posts list
+ * @param {Object} list - What to show
+ * @param {Array<Object>} list.posts - Canonical posts (only live ones are shown)
+ * @param {Object} list.counts - Approved comments by post id
+ * @param {Object} [list.filters] - category, tag, author, q and sort (as in GET /api/posts)
+ * @param {string} [list.heading] - Page heading (defaults to one built from the filters)
+ * @param {string} list.url - Canonical URL of the page
+ * @param {Object} site - Site being rendered (see siteFor)
+ * @returns {Promise<string>} HTML document
+ */
+async function renderPostsPage({ posts, counts, filters = {}, heading, url }, site) {
+    const { value: options, errors } = PostModel.validateListQuery({ sort: filters.sort });
+    const live = posts.filter(post => PostModel.isLive(post));
+    const page = PostModel.paginatePosts(PostModel.filterPosts(live, filters), {
+        sort: errors.length ? undefined : options.sort,
+        limit: POSTS_PAGE_SIZE
+    });
+
+    let title = heading || 'All Posts';
+    if (!heading && filters.tag) title = `Posts tagged #${filters.tag}`;
+    else if (!heading && filters.category) title = `${filters.category} posts`;
+
+    const grid = page.posts.length
+        ? page.posts.map(post => renderPostCard({ ...post, commentCount: counts[post.id] || 0 }, site)).join('')
+        : `
+                        <div class="empty-state">
+                            <h3>No posts yet</h3>
+                        </div>`;
+
+    return renderDocument({
+        section: 'posts',
+        title: `${title} - ${SITE_NAME}`,
+        meta: {
+            title,
+            description: `${title} from ${SITE_NAME}. ${SITE_DESCRIPTION}`,
+            url,
+            // Category and tag pages are worth indexing on their own; searches are not
+            noindex: Boolean(filters.q || filters.author)
+        },
+        grid
+    }, site);
+}
+
+/**
+ * Render a post page
+ * @param {Object|null} post - Live post, or null for the "not found" page
+ * @param {Object} site - Site being rendered (see siteFor)
+ * @returns {Promise<string>} HTML document
+ */
+async function renderPostPage(post, site) {
+    if (!post) {
+        return renderDocument({
+            section: 'post',
+            title: `Post not found - ${SITE_NAME}`,
+            meta: { title: 'Post not found', description: SITE_DESCRIPTION, url: `${site.url}/posts`, noindex: true },
+            postPage: renderPostArticle(null, site)
+        }, site);
+    }
+
+    return renderDocument({
+        section: 'post',
+        title: `${post.title} - ${SITE_NAME}`,
+        meta: {
+            title: post.title,
+            description: post.excerpt || SITE_DESCRIPTION,
+            url: `${site.url}/${postHref(post, site)}`,
+            type: 'article',
+            image: post.coverImage ? absoluteUrl(site.url, post.coverImage) : null,
+            post
+        },
+        postPage: renderPostArticle(post, site)
+    }, site);
+}
+
+/**
+ * Render the page left at an earlier slug of a post in static exports,
+ * where no server can answer 301: it sends visitors on at once and points
+ * crawlers at the current address
+ * @param {Object} post - Live post
+ * @param {Object} site - Site being rendered (see siteFor)
+ * @returns {string} HTML document
+ */
+function renderMovedPage(post, site) {
+    const url = escapeHtml(`${site.url}/${postHref(post, site)}`);
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(post.title)} - ${SITE_NAME}</title>
+    <meta name="robots" content="noindex">
+    <link rel="canonical" href="${url}">
+    <meta http-equiv="refresh" content="0; url=${url}">
+</head>
+<body>
+    <p>This post has moved to <a href="${url}">${url}</a>.</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render sitemap.xml
+ * @param {Array<Object>} posts - Canonical posts (only live ones are listed)
+ * @param {Object} site - Site being rendered (see siteFor)
+ * @param {Array<string>} [extraPaths] - More pages, relative to the site URL
+ * @returns {string} XML
+ */
+function renderSitemap(posts, site, extraPaths = []) {
+    const live = posts
+        .filter(post => PostModel.isLive(post))
+        .sort((a, b) => PostModel.displayDate(b).localeCompare(PostModel.displayDate(a)));
+    const newest = live.map(PostModel.modifiedDate).reduce((latest, date) => (date > latest ? date : latest), '');
+
+    const entries = [
+        { loc: `${site.url}/blog.html`, lastmod: newest },
+        { loc: `${site.url}/${site.isStatic ? 'posts/' : 'posts'}`, lastmod: newest },
+        ...live.map(post => ({ loc: `${site.url}/${postHref(post, site)}`, lastmod: PostModel.modifiedDate(post) })),
+        ...extraPaths.map(extra => ({ loc: `${site.url}/${extra}`, lastmod: newest }))
+    ];
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.map(entry => `  <url>
+    <loc>${escapeHtml(entry.loc)}</loc>
+${entry.lastmod ? `    <lastmod>${new Date(entry.lastmod).toISOString()}</lastmod>\n` : ''}  </url>`).join('\n')}
+</urlset>
+`;
+}
+
+function renderRobots(site) {
+    return [
+        'User-agent: *',
+        'Allow: /',
+        `Disallow: ${site.base}api/`,
+        `Disallow: ${site.base}drafts`,
+        `Disallow: ${site.base}write`,
+        `Disallow: ${site.base}admin`,
+        '',
+        `Sitemap: ${site.url}/sitemap.xml`,
+        ''
+    ].join('\n');
+}
+
+function send(res, status, type, body) {
+    res.writeHead(status, { 'Content-Type': type, 'Content-Length': Buffer.byteLength(body) });
+    res.end(body);
+}
+
+// ===== ROUTE HANDLERS =====
+
+async function renderHome(req, res, { siteUrl }) {
+    const site = siteFor(siteUrlFor(req, siteUrl));
+    send(res, 200, 'text/html; charset=utf-8', await renderHomePage(site));
+}
+
+async function renderPostsList(req, res, { store, query, params, siteUrl }) {
+    const site = siteFor(siteUrlFor(req, siteUrl));
+    const posts = await store.list('posts');
+    const counts = await comments.countComments(store);
+
+    let filters = query;
+    let heading;
+    let url;
+    if (params.scope) {
+        // /tags/:slug and /categories/:slug (the pages a static export has)
+        const name = scopeNames(posts, params.scope).get(params.slug) || params.slug;
+        const key = params.scope === 'tags' ? 'tag' : 'category';
+        filters = { [key]: params.slug };
+        heading = key === 'tag' ? `Posts tagged #${name}` : `${name} posts`;
+        url = `${site.url}/${params.scope}/${encodeURIComponent(params.slug)}`;
+    } else {
+        const canonical = new URLSearchParams();
+        if (query.category) canonical.set('category', query.category);
+        if (query.tag) canonical.set('tag', query.tag);
+        url = `${site.url}/posts${canonical.toString() ? `?${canonical}` : ''}`;
+    }
+
+    send(res, 200, 'text/html; charset=utf-8', await renderPostsPage({ posts, counts, filters, heading, url }, site));
+}
+
+async function renderPost(req, res, { store, params, siteUrl }) {
+    const site = siteFor(siteUrlFor(req, siteUrl));
+    const found = (await findPostBySlug(store, params.slug)).post || await store.get('posts', params.slug);
+
+    // Drafts and other unpublished posts render client-side for their authors
+    const post = found && PostModel.isLive(found) ? found : null;
+
+    // Earlier slugs (and ids) lead to the post's current address
+    if (post && post.slug !== params.slug) {
+        redirect(res, `${site.base}${postHref(post, site)}`);
+        return;
+    }
+    send(res, post ? 200 : 404, 'text/html; charset=utf-8', await renderPostPage(post, site));
+}
+
+async function sitemap(req, res, { store, siteUrl }) {
+    const site = siteFor(siteUrlFor(req, siteUrl));
+    send(res, 200, 'application/xml; charset=utf-8', renderSitemap(await store.list('posts'), site));
+}
+
+async function robots(req, res, { siteUrl }) {
+    send(res, 200, 'text/plain; charset=utf-8', renderRobots(siteFor(siteUrlFor(req, siteUrl))));
+}
+
+module.exports = {
+    siteFor,
+    renderHomePage,
+    renderPostsPage,
+    renderPostPage,
+    renderMovedPage,
+    renderSitemap,
+    renderRobots,
+    renderHome,
+    renderPostsList,
+    renderPost,
+    sitemap,
+    robots
+};
@@ -0,0 +1,109 @@
+/**
+ * Digital Garden Blog - Post Revisions
+ *
+ * Every save of a post is kept as a numbered revision in the `revisions`
+ * collection, so an edit can always be compared and undone. A revision
+ * holds a copy of the post's REVISION_FIELDS (see post-model.js) plus:
+ *
+ *   id, postId, number, changes (fields changed by that save), editor,
+ *   editorId, restoredFrom (revision number, when it was a restore), createdAt
+ *
+ * The routes that read and restore revisions live in posts.js.
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const PostModel = require('../public/js/post-model');
+
+const COLLECTION = 'revisions';
+
+// Fields a restore copies back onto the post (status and schedule stay as they are)
+const RESTORED_FIELDS = ['title', 'content', 'excerpt', 'category', 'tags', 'coverImage'];
+
+/**
+ * List a post's revisions, newest first
+ * @param {Object} store - Storage backend
+ * @param {string} postId - Post id
+ * @returns {Promise<Array<Object>>} Revisions
+ */
+async function listRevisions(store, postId) {
+    const revisions = await store.list(COLLECTION, { postId });
+    return revisions.sort((a, b) => b.number - a.number);
+}
+
+/**
+ * Copy the revision fields of a post
+ * @param {Object} post - Canonical post
+ * @returns {Object} Field values
+ */
+function snapshot(post) {
+    const fields = {};
+    PostModel.REVISION_FIELDS.forEach(field => {
+        fields[field] = post[field] === undefined ? null : post[field];
+    });
+    return fields;
+}
+
+/**
+ * Record a save of a post
+ * Posts written before revisions existed get their previous version stored
+ * first, so the first edit can still be undone. Saves that change nothing
+ * are not recorded.
+ * @param {Object} store - Storage backend
+ * @param {Object} post - The post as saved
+ * @param {Object} user - User who saved it
+ * @param {Object} [options] - Details of the save
+ * @param {Object} [options.previous] - The post before the save (omit for new posts)
+ * @param {number} [options.restoredFrom] - Number of the revision that was restored
+ * @returns {Promise<Object|null>} New revision, or null when nothing changed
+ */
+async function recordRevision(store, post, user, { previous = null, restoredFrom = null } = {}) {
+    const [latest] = await listRevisions(store, post.id);
+    let number = latest ? latest.number : 0;
+
+    if (previous && !latest) {
+        await store.insert(COLLECTION, {
+            ...snapshot(previous),
+            postId: post.id,
+            number: ++number,
+            changes: PostModel.changedFields(null, previous),
+            editor: previous.author,
+            editorId: previous.authorId,
+            restoredFrom: null,
+            createdAt: previous.updatedAt
+        });
+    }
+
+    const changes = PostModel.changedFields(previous, post);
+    if (!changes.length) return null;
+
+    return store.insert(COLLECTION, {
+        ...snapshot(post),
+        postId: post.id,
+        number: number + 1,
+        changes,
+        editor: user.name || user.username,
+        editorId: user.id,
+        restoredFrom,
+        createdAt: post.updatedAt
+    });
+}
+
+/**
+ * Delete every revision of a post
+ * @param {Object} store - Storage backend
+ * @param {string} postId - Post id
+ */
+async function removeRevisions(store, postId) {
+    for (const revision of await store.list(COLLECTION, { postId })) {
+        await store.remove(COLLECTION, revision.id);
+    }
+}
+
+module.exports = {
+    RESTORED_FIELDS,
+    listRevisions,
+    recordRevision,
+    removeRevisions
+};
@@ -0,0 +1,104 @@
+/**
+ * Digital Garden Blog - Router
+ *
+ * Matches requests to route handlers. Routes are written as paths:
+ * - `/api/posts/:id` captures one path segment into `params.id` (URL-decoded)
+ * - `/api/:scope(categories|tags)` only matches the listed values
+ * - A trailing slash on the request is ignored (`/posts/` is `/posts`)
+ *
+ * Routes are tried in the order they were added, so fixed paths such as
+ * `/api/posts/export` go before `/api/posts/:id`. When a path only exists
+ * for other methods, match() says which, so the server can answer 405.
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const { HttpError } = require('./http');
+
+const METHODS = ['GET', 'POST', 'PUT', 'DELETE'];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turn a route path into a regular expression
+ * @param {string} path - Route path, e.g. `/api/posts/:id/comments`
+ * @returns {RegExp} Pattern with one named group per parameter
+ */
+function compilePath(path) {
+    const segments = path.split('/').map(segment => {
+        const param = /^:(\w+)(?:\((.+)\))?$/.exec(segment);
+        if (!param) return escapeRegExp(segment);
+
+        const [, name, choices] = param;
+        const value = choices ? choices.split('|').map(escapeRegExp).join('|') : '[^/]+';
+        return `(?<${name}>${value})`;
+    });
+    return new RegExp(`^${segments.join('/')}$`);
+}
+
+/**
+ * Decode the captured parameters of a match
+ * @param {Object} groups - Named groups of the match
+ * @returns {Object} Parameters
+ * @throws {HttpError} 400 when a parameter is not valid percent-encoding
+ */
+function decodeParams(groups = {}) {
+    const params = {};
+    for (const [key, value] of Object.entries(groups)) {
+        try {
+            params[key] = decodeURIComponent(value);
+        } catch (error) {
+            throw new HttpError(400, 'Malformed URL');
+        }
+    }
+    return params;
+}
+
+class Router {
+    constructor() {
+        this.routes = [];
+        METHODS.forEach(method => {
+            this[method.toLowerCase()] = (path, handler) => this.add(method, path, handler);
+        });
+    }
+
+    /**
+     * Add a route
+     * @param {string} method - HTTP method
+     * @param {string} path - Route path (see the top of this file)
+     * @param {Function} handler - async (req, res, context) => void
+     * @returns {Router} The router, for chaining
+     */
+    add(method, path, handler) {
+        this.routes.push({ method, path, pattern: compilePath(path), handler });
+        return this;
+    }
+
+    /**
+     * Find the route for a request
+     * @param {string} method - HTTP method
+     * @param {string} pathname - Request path without query string
+     * @returns {{handler: Function, params: Object}|{allowed: Array<string>}|null}
+     *   The matching route, the methods the path does exist for, or null
+     *   when no route has the path
+     */
+    match(method, pathname) {
+        const path = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+        const allowed = [];
+
+        for (const route of this.routes) {
+            const match = route.pattern.exec(path);
+            if (!match) continue;
+            if (route.method === method) return { handler: route.handler, params: decodeParams(match.groups) };
+            if (!allowed.includes(route.method)) allowed.push(route.method);
+        }
+        return allowed.length ? { allowed } : null;
+    }
+}
+
+module.exports = {
+    Router
+};
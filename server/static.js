@@ -0,0 +1,97 @@
+/**
+ * Digital Garden Blog - Static File Serving
+ *
+ * Serves the frontend in public/ from the API server so the whole app
+ * runs from one origin. App URLs (/posts, /posts/:slug, /drafts, /write, /about, /admin)
+ * are answered with blog.html, mirroring the rewrites in netlify.toml.
+ * (basic-server.js answers GET /blog.html and /posts pages with render.js,
+ * which fills blog.html in with the page's content first.)
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon'
+};
+
+// Client-side pages that are all served by the single page app (see router.js)
+const SPA_ROUTES = [
+    /^\/posts\/?$/,
+    /^\/posts\/[^/]+\/?$/,
+    /^\/drafts\/?$/,
+    /^\/write\/?$/,
+    /^\/about\/?$/,
+    /^\/admin\/?$/
+];
+
+/**
+ * Resolve a request path to a file inside public/
+ * @param {string} pathname - Decoded request path
+ * @returns {string|null} Absolute file path, or null if it escapes public/
+ */
+function resolvePublicPath(pathname) {
+    if (SPA_ROUTES.some(pattern => pattern.test(pathname))) {
+        return path.join(PUBLIC_DIR, 'blog.html');
+    }
+
+    const relative = pathname.endsWith('/') ? `${pathname}index.html` : pathname;
+    const filePath = path.normalize(path.join(PUBLIC_DIR, relative));
+
+    return filePath.startsWith(PUBLIC_DIR + path.sep) ? filePath : null;
+}
+
+/**
+ * Try to answer a GET/HEAD request with a file from public/
+ * @param {http.IncomingMessage} req - Request object
+ * @param {http.ServerResponse} res - Response object
+ * @param {string} pathname - Request path without query string
+ * @returns {Promise<boolean>} True when a file was sent
+ */
+async function serveStatic(req, res, pathname) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        return false;
+    }
+
+    const filePath = resolvePublicPath(decoded);
+    if (!filePath) return false;
+
+    let content;
+    try {
+        content = await fs.promises.readFile(filePath);
+    } catch (error) {
+        return false;
+    }
+
+    const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': type, 'Content-Length': content.length });
+    res.end(req.method === 'HEAD' ? undefined : content);
+    return true;
+}
+
+module.exports = {
+    PUBLIC_DIR,
+    serveStatic
+};
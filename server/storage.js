@@ -0,0 +1,301 @@
+/**
+ * Digital Garden Blog - Storage Layer
+ *
+ * Persists collections of JSON documents (posts, users, ...) so content
+ * survives server restarts. Two interchangeable backends are provided:
+ * - JsonFileStore: a single JSON file on disk (default, zero setup)
+ * - MongoStore: MongoDB through mongoose (set STORAGE_BACKEND=mongodb)
+ *
+ * Both expose the same async API. Every document carries a string `id`
+ * which is used instead of MongoDB's internal `_id`.
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Generate a new document id (24 hex characters, like a MongoDB ObjectId)
+ * @returns {string} Unique id
+ */
+function generateId() {
+    return crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * Check whether a document matches a simple equality query
+ * @param {Object} doc - Stored document
+ * @param {Object} query - Field/value pairs that must all match
+ * @returns {boolean} True when every field matches
+ */
+function matches(doc, query) {
+    return Object.keys(query).every(key => doc[key] === query[key]);
+}
+
+/**
+ * Deep copy a document so callers can't mutate stored data by accident
+ * @param {Object} doc - Document to copy
+ * @returns {Object} Copy of the document
+ */
+function clone(doc) {
+    return doc === undefined ? undefined : JSON.parse(JSON.stringify(doc));
+}
+
+// ===== JSON FILE STORE =====
+
+/**
+ * File-backed store keeping every collection in one JSON file
+ */
+class JsonFileStore {
+    /**
+     * @param {string} filePath - Location of the JSON data file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = {};
+        this.pendingWrite = Promise.resolve();
+    }
+
+    /**
+     * Load existing data from disk (creates the data directory if needed)
+     */
+    async init() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            this.data = raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.data = {};
+        }
+
+        console.log(`💾 JSON store loaded: ${this.filePath}`);
+    }
+
+    /**
+     * Get the array backing a collection, creating it when missing
+     * @param {string} name - Collection name
+     * @returns {Array<Object>} Collection documents
+     */
+    collection(name) {
+        if (!this.data[name]) {
+            this.data[name] = [];
+        }
+        return this.data[name];
+    }
+
+    /**
+     * Write the current data to disk
+     * Writes are queued so they never interleave, and go through a temp
+     * file + rename so a crash can't leave a half-written data file.
+     * @returns {Promise<void>}
+     */
+    persist() {
+        const snapshot = JSON.stringify(this.data, null, 2);
+        const tempPath = `${this.filePath}.tmp`;
+
+        this.pendingWrite = this.pendingWrite
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+                await fs.promises.rename(tempPath, this.filePath);
+            });
+
+        return this.pendingWrite;
+    }
+
+    /**
+     * List documents in a collection
+     * @param {string} name - Collection name
+     * @param {Object} [query] - Equality filter
+     * @returns {Promise<Array<Object>>} Matching documents
+     */
+    async list(name, query = {}) {
+        return this.collection(name).filter(doc => matches(doc, query)).map(clone);
+    }
+
+    /**
+     * Find the first document matching a query
+     * @param {string} name - Collection name
+     * @param {Object} query - Equality filter
+     * @returns {Promise<Object|null>} Document or null
+     */
+    async findOne(name, query) {
+        return clone(this.collection(name).find(doc => matches(doc, query))) || null;
+    }
+
+    /**
+     * Get a document by id
+     * @param {string} name - Collection name
+     * @param {string} id - Document id
+     * @returns {Promise<Object|null>} Document or null
+     */
+    async get(name, id) {
+        return this.findOne(name, { id: String(id) });
+    }
+
+    /**
+     * Insert a document, assigning an id when it has none
+     * @param {string} name - Collection name
+     * @param {Object} doc - Document to store
+     * @returns {Promise<Object>} Stored document
+     */
+    async insert(name, doc) {
+        const stored = { ...clone(doc), id: doc.id ? String(doc.id) : generateId() };
+        this.collection(name).push(stored);
+        await this.persist();
+        return clone(stored);
+    }
+
+    /**
+     * Merge changes into an existing document
+     * @param {string} name - Collection name
+     * @param {string} id - Document id
+     * @param {Object} changes - Fields to overwrite
+     * @returns {Promise<Object|null>} Updated document or null when missing
+     */
+    async update(name, id, changes) {
+        const stored = this.collection(name).find(doc => doc.id === String(id));
+        if (!stored) return null;
+
+        Object.assign(stored, clone(changes), { id: stored.id });
+        await this.persist();
+        return clone(stored);
+    }
+
+    /**
+     * Swap a document for a new version, dropping fields it no longer has
+     * @param {string} name - Collection name
+     * @param {string} id - Document id
+     * @param {Object} doc - Complete new document (its id is ignored)
+     * @returns {Promise<Object|null>} Stored document or null when missing
+     */
+    async replace(name, id, doc) {
+        const docs = this.collection(name);
+        const index = docs.findIndex(stored => stored.id === String(id));
+        if (index === -1) return null;
+
+        docs[index] = { ...clone(doc), id: docs[index].id };
+        await this.persist();
+        return clone(docs[index]);
+    }
+
+    /**
+     * Delete a document
+     * @param {string} name - Collection name
+     * @param {string} id - Document id
+     * @returns {Promise<boolean>} True when a document was removed
+     */
+    async remove(name, id) {
+        const docs = this.collection(name);
+        const index = docs.findIndex(doc => doc.id === String(id));
+        if (index === -1) return false;
+
+        docs.splice(index, 1);
+        await this.persist();
+        return true;
+    }
+
+    /**
+     * Wait for queued writes to finish
+     */
+    async close() {
+        await this.pendingWrite;
+    }
+}
+
+// ===== MONGODB STORE =====
+
+/**
+ * MongoDB-backed store using the mongoose connection
+ * Exposes the same methods as JsonFileStore.
+ */
+class MongoStore {
+    /**
+     * @param {string} uri - MongoDB connection string
+     */
+    constructor(uri) {
+        this.uri = uri;
+        this.mongoose = require('mongoose');
+    }
+
+    async init() {
+        await this.mongoose.connect(this.uri);
+        console.log(`🍃 MongoDB connected: ${this.mongoose.connection.name}`);
+    }
+
+    collection(name) {
+        return this.mongoose.connection.collection(name);
+    }
+
+    async list(name, query = {}) {
+        return this.collection(name).find(query, { projection: { _id: 0 } }).toArray();
+    }
+
+    async findOne(name, query) {
+        return this.collection(name).findOne(query, { projection: { _id: 0 } });
+    }
+
+    async get(name, id) {
+        return this.findOne(name, { id: String(id) });
+    }
+
+    async insert(name, doc) {
+        const stored = { ...clone(doc), id: doc.id ? String(doc.id) : generateId() };
+        await this.collection(name).insertOne({ ...stored });
+        return stored;
+    }
+
+    async update(name, id, changes) {
+        const { id: ignored, ...fields } = clone(changes);
+        const result = await this.collection(name).updateOne({ id: String(id) }, { $set: fields });
+        if (result.matchedCount === 0) return null;
+        return this.get(name, id);
+    }
+
+    async replace(name, id, doc) {
+        const { id: ignored, ...fields } = clone(doc);
+        const result = await this.collection(name).replaceOne({ id: String(id) }, { ...fields, id: String(id) });
+        if (result.matchedCount === 0) return null;
+        return this.get(name, id);
+    }
+
+    async remove(name, id) {
+        const result = await this.collection(name).deleteOne({ id: String(id) });
+        return result.deletedCount > 0;
+    }
+
+    async close() {
+        await this.mongoose.disconnect();
+    }
+}
+
+/**
+ * Create the configured store
+ * @param {Object} options - Storage options
+ * @param {string} options.backend - 'file' or 'mongodb'
+ * @param {string} [options.dataFile] - JSON file path for the file backend
+ * @param {string} [options.mongoUri] - Connection string for the mongodb backend
+ * @returns {JsonFileStore|MongoStore} Uninitialized store
+ */
+function createStore({ backend, dataFile, mongoUri }) {
+    if (backend === 'mongodb') {
+        if (!mongoUri) {
+            throw new Error('MONGODB_URI is required when STORAGE_BACKEND=mongodb');
+        }
+        return new MongoStore(mongoUri);
+    }
+
+    return new JsonFileStore(dataFile);
+}
+
+module.exports = {
+    JsonFileStore,
+    MongoStore,
+    createStore,
+    generateId
+};
@@ -0,0 +1,323 @@
+/**
+ * Digital Garden Blog - Categories and Tags API
+ *
+ * Managed categories and tags, each with a slug, name and description.
+ * The same routes serve both (:scope is `categories` or `tags`):
+ * - GET    /api/:scope              Every category (or tag) with its postCount
+ * - GET    /api/:scope/:slug        One category or tag
+ * - POST   /api/:scope              Create one ({ name, description })
+ * - PUT    /api/:scope/:slug        Rename it or change its description
+ * - DELETE /api/:scope/:slug        Delete it
+ * - POST   /api/:scope/:slug/merge  Fold it into another one ({ into })
+ *
+ * Posts keep category and tag names as before; a name belongs to the term
+ * with the same slug ("Web Dev" and "web-dev" are one tag). Renames, merges
+ * and deletes rewrite the posts using the term: a deleted tag is removed
+ * from them, posts of a deleted category move to "general" (which can't be
+ * deleted). Names that posts use without a term yet (a new tag typed in the
+ * editor, an import) get one when the post is saved (syncPostTerms), so
+ * reading the lists never writes.
+ *
+ * Reading is public and postCount only counts live posts. Changes need the
+ * 'taxonomy:manage' permission (editors and admins).
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const { HttpError, sendJson, readJsonBody } = require('./http');
+const { logEvent } = require('./logger');
+const { requirePermission } = require('./auth');
+const PostModel = require('../public/js/post-model');
+
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// What differs between categories and tags
+const SCOPES = {
+    categories: {
+        item: 'category',
+        label: 'Category',
+        maxLength: PostModel.LIMITS.category,
+        // Posts store categories in lower case (see PostModel.validatePost)
+        postValue: name => name.toLowerCase(),
+        // Name for a category only known from posts ("technology" → "Technology")
+        displayName: value => value.charAt(0).toUpperCase() + value.slice(1)
+    },
+    tags: {
+        item: 'tag',
+        label: 'Tag',
+        maxLength: PostModel.LIMITS.tag,
+        postValue: name => name,
+        displayName: value => value
+    }
+};
+
+/**
+ * Create the default categories the first time the server starts, then
+ * add terms for the names posts already use
+ * @param {Object} store - Storage backend
+ */
+async function seedTaxonomies(store) {
+    if (!(await store.get('meta', 'taxonomies-seeded'))) {
+        const now = new Date().toISOString();
+        for (const name of PostModel.DEFAULT_CATEGORIES) {
+            if (await store.findOne('categories', { slug: PostModel.slugify(name) })) continue;
+            await store.insert('categories', { slug: PostModel.slugify(name), name, description: '', createdAt: now, updatedAt: now });
+        }
+        await store.insert('meta', { id: 'taxonomies-seeded', date: now });
+        console.log(`🌱 Seeded ${PostModel.DEFAULT_CATEGORIES.length} categories`);
+    }
+
+    await syncPostTerms(store);
+}
+
+/**
+ * Add a term for every name posts use that has none yet
+ * @param {Object} store - Storage backend
+ * @param {string} scope - 'categories' or 'tags'
+ * @returns {Promise<Array<Object>>} Every term of the scope
+ */
+async function syncTerms(store, scope) {
+    const terms = await store.list(scope);
+    const known = new Set(terms.map(term => term.slug));
+    const missing = PostModel.summarizeTerms(await store.list('posts'), scope).filter(term => !known.has(term.slug));
+
+    const now = new Date().toISOString();
+    for (const { slug, name } of missing) {
+        terms.push(await store.insert(scope, {
+            slug,
+            name: SCOPES[scope].displayName(name),
+            description: '',
+            createdAt: now,
+            updatedAt: now
+        }));
+    }
+    if (missing.length) logEvent('taxonomy.synced', { scope, added: missing.map(term => term.slug) });
+    return terms;
+}
+
+/**
+ * Add the missing categories and tags after posts were saved
+ * @param {Object} store - Storage backend
+ */
+async function syncPostTerms(store) {
+    for (const scope of Object.keys(SCOPES)) {
+        await syncTerms(store, scope);
+    }
+}
+
+/**
+ * Validate term fields from a request body
+ * @param {string} scope - 'categories' or 'tags'
+ * @param {Object} body - Parsed request body
+ * @param {boolean} partial - Allow a missing name (updates)
+ * @returns {Object} Clean fields: name and slug and/or description
+ */
+function readTermFields(scope, body, partial) {
+    const { label, maxLength } = SCOPES[scope];
+    const value = {};
+
+    if (!partial || body.name !== undefined) {
+        const name = String(body.name || '').trim();
+        if (!name) throw new HttpError(400, `${label} name is required`);
+        if (name.length > maxLength) throw new HttpError(400, `${label} names must be at most ${maxLength} characters`);
+        if (name.includes(',')) throw new HttpError(400, `${label} names cannot contain commas`);
+        value.name = name;
+        value.slug = PostModel.slugify(name);
+        if (!value.slug) throw new HttpError(400, `${label} names need at least one letter or number`);
+    }
+
+    if (!partial || body.description !== undefined) {
+        value.description = String(body.description || '').trim();
+        if (value.description.length > MAX_DESCRIPTION_LENGTH) {
+            throw new HttpError(400, `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+    }
+    return value;
+}
+
+/**
+ * Load a term by slug (or name), or fail with 404
+ * @param {Object} store - Storage backend
+ * @param {string} scope - 'categories' or 'tags'
+ * @param {string} slug - Slug or name from the URL
+ * @returns {Promise<Object>} Term
+ */
+async function findTermOr404(store, scope, slug) {
+    const term = await store.findOne(scope, { slug: PostModel.slugify(slug) });
+    if (!term) throw new HttpError(404, `${SCOPES[scope].label} not found`);
+    return term;
+}
+
+// Fail with 409 when another term already has the slug
+async function assertSlugFree(store, scope, slug, exceptId) {
+    const owner = await store.findOne(scope, { slug });
+    if (owner && owner.id !== exceptId) {
+        throw new HttpError(409, `${SCOPES[scope].label} "${owner.name}" already exists`);
+    }
+}
+
+/**
+ * Replace a category or tag on every post using it
+ * @param {Object} store - Storage backend
+ * @param {string} scope - 'categories' or 'tags'
+ * @param {string} slug - Slug of the term being replaced
+ * @param {string|null} name - New name, or null to remove it (posts of a
+ *   removed category move to the default one)
+ * @returns {Promise<number>} Number of posts changed
+ */
+async function replaceInPosts(store, scope, slug, name) {
+    const value = name === null ? null : SCOPES[scope].postValue(name);
+    let changed = 0;
+
+    for (const post of await store.list('posts')) {
+        let changes = null;
+        if (scope === 'categories') {
+            if (PostModel.matchesTerm(post.category, slug)) changes = { category: value || PostModel.DEFAULT_CATEGORY };
+        } else if (post.tags.some(tag => PostModel.matchesTerm(tag, slug))) {
+            const tags = post.tags.map(tag => PostModel.matchesTerm(tag, slug) ? value : tag).filter(tag => tag);
+            changes = { tags: PostModel.parseTags(tags) };
+        }
+
+        if (changes) {
+            await store.update('posts', post.id, changes);
+            changed++;
+        }
+    }
+    return changed;
+}
+
+/**
+ * Term as sent to clients, with the number of live posts using it
+ * @param {Object} term - Stored term
+ * @param {Array<Object>} counts - PostModel.summarizeTerms of the live posts
+ * @returns {Object} Term with postCount
+ */
+function withPostCount(term, counts) {
+    const count = counts.find(entry => entry.slug === term.slug);
+    return { ...term, postCount: count ? count.postCount : 0 };
+}
+
+async function countLivePosts(store, scope) {
+    const live = (await store.list('posts')).filter(post => PostModel.isLive(post));
+    return PostModel.summarizeTerms(live, scope);
+}
+
+// Summary of how many posts a change rewrote, for response messages
+function postsChanged(count) {
+    return `${count} ${count === 1 ? 'post' : 'posts'} updated`;
+}
+
+// ===== ROUTE HANDLERS =====
+
+async function listTerms(req, res, { store, params }) {
+    const { scope } = params;
+    const terms = await store.list(scope);
+    const counts = await countLivePosts(store, scope);
+
+    sendJson(res, 200, {
+        success: true,
+        [scope]: terms
+            .map(term => withPostCount(term, counts))
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }))
+    });
+}
+
+async function getTerm(req, res, { store, params }) {
+    const { scope } = params;
+    const term = await findTermOr404(store, scope, params.slug);
+
+    sendJson(res, 200, { success: true, [SCOPES[scope].item]: withPostCount(term, await countLivePosts(store, scope)) });
+}
+
+async function createTerm(req, res, { store, params }) {
+    const { scope } = params;
+    await requirePermission(req, store, 'taxonomy:manage');
+    const fields = readTermFields(scope, await readJsonBody(req), false);
+    await assertSlugFree(store, scope, fields.slug);
+
+    const now = new Date().toISOString();
+    const term = await store.insert(scope, { ...fields, createdAt: now, updatedAt: now });
+
+    logEvent(`${SCOPES[scope].item}.created`, { slug: term.slug });
+    sendJson(res, 201, {
+        success: true,
+        message: `${SCOPES[scope].label} created`,
+        [SCOPES[scope].item]: withPostCount(term, await countLivePosts(store, scope))
+    });
+}
+
+async function updateTerm(req, res, { store, params }) {
+    const { scope } = params;
+    await requirePermission(req, store, 'taxonomy:manage');
+    const existing = await findTermOr404(store, scope, params.slug);
+    const fields = readTermFields(scope, await readJsonBody(req), true);
+
+    let changed = 0;
+    if (fields.name !== undefined && fields.name !== existing.name) {
+        if (fields.slug !== existing.slug) await assertSlugFree(store, scope, fields.slug, existing.id);
+        changed = await replaceInPosts(store, scope, existing.slug, fields.name);
+    }
+    const term = await store.update(scope, existing.id, { ...fields, updatedAt: new Date().toISOString() });
+
+    logEvent(`${SCOPES[scope].item}.updated`, { slug: term.slug, previousSlug: existing.slug });
+    sendJson(res, 200, {
+        success: true,
+        message: `${SCOPES[scope].label} updated${changed ? ` (${postsChanged(changed)})` : ''}`,
+        [SCOPES[scope].item]: withPostCount(term, await countLivePosts(store, scope))
+    });
+}
+
+async function deleteTerm(req, res, { store, params }) {
+    const { scope } = params;
+    await requirePermission(req, store, 'taxonomy:manage');
+    const term = await findTermOr404(store, scope, params.slug);
+    if (scope === 'categories' && term.slug === PostModel.DEFAULT_CATEGORY) {
+        throw new HttpError(400, `The ${term.name} category cannot be deleted`);
+    }
+
+    const changed = await replaceInPosts(store, scope, term.slug, null);
+    await store.remove(scope, term.id);
+
+    logEvent(`${SCOPES[scope].item}.deleted`, { slug: term.slug, postsChanged: changed });
+    sendJson(res, 200, {
+        success: true,
+        message: `${SCOPES[scope].label} deleted${changed ? ` (${postsChanged(changed)})` : ''}`
+    });
+}
+
+async function mergeTerms(req, res, { store, params }) {
+    const { scope } = params;
+    await requirePermission(req, store, 'taxonomy:manage');
+    const source = await findTermOr404(store, scope, params.slug);
+    const { into } = await readJsonBody(req);
+    if (!String(into || '').trim()) throw new HttpError(400, `Choose the ${SCOPES[scope].item} to merge into`);
+
+    const target = await findTermOr404(store, scope, String(into));
+    if (target.id === source.id) throw new HttpError(400, `A ${SCOPES[scope].item} cannot be merged into itself`);
+    if (scope === 'categories' && source.slug === PostModel.DEFAULT_CATEGORY) {
+        throw new HttpError(400, `The ${source.name} category cannot be merged away`);
+    }
+
+    const changed = await replaceInPosts(store, scope, source.slug, target.name);
+    await store.remove(scope, source.id);
+
+    logEvent(`${SCOPES[scope].item}.merged`, { from: source.slug, into: target.slug, postsChanged: changed });
+    sendJson(res, 200, {
+        success: true,
+        message: `${source.name} merged into ${target.name}${changed ? ` (${postsChanged(changed)})` : ''}`,
+        [SCOPES[scope].item]: withPostCount(target, await countLivePosts(store, scope))
+    });
+}
+
+module.exports = {
+    seedTaxonomies,
+    syncTerms,
+    syncPostTerms,
+    listTerms,
+    getTerm,
+    createTerm,
+    updateTerm,
+    deleteTerm,
+    mergeTerms
+};
@@ -0,0 +1,128 @@
+/**
+ * Digital Garden Blog - Users API
+ *
+ * Route handlers for the signed-in user's profile:
+ * - GET /api/users/me  Fetch the current user's profile
+ * - PUT /api/users/me  Update display name, email and bio
+ *
+ * And user management for admins:
+ * - GET    /api/users           List all users
+ * - PUT    /api/users/:id/role  Change a user's role
+ * - DELETE /api/users/:id       Delete a user
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const { HttpError, sendJson, readJsonBody } = require('./http');
+const { logEvent } = require('./logger');
+const { requireAuth, requirePermission, publicUser, validateEmail, assertEmailAvailable } = require('./auth');
+const { isValidRole, ROLES } = require('../public/js/permissions');
+
+const COLLECTION = 'users';
+
+// Profile field limits
+const MAX_NAME_LENGTH = 60;
+const MAX_BIO_LENGTH = 500;
+
+/**
+ * Pick and validate the editable profile fields from a request body
+ * @param {Object} body - Parsed request body
+ * @returns {Object} Sanitized profile fields
+ */
+function readProfileFields(body) {
+    const fields = {};
+
+    if (body.name !== undefined) {
+        fields.name = String(body.name).trim();
+        if (!fields.name) throw new HttpError(400, 'Display name is required');
+        if (fields.name.length > MAX_NAME_LENGTH) {
+            throw new HttpError(400, `Display name must be at most ${MAX_NAME_LENGTH} characters`);
+        }
+    }
+
+    if (body.email !== undefined) {
+        fields.email = validateEmail(body.email);
+    }
+
+    if (body.bio !== undefined) {
+        fields.bio = String(body.bio).trim();
+        if (fields.bio.length > MAX_BIO_LENGTH) {
+            throw new HttpError(400, `Bio must be at most ${MAX_BIO_LENGTH} characters`);
+        }
+    }
+
+    return fields;
+}
+
+// ===== ROUTE HANDLERS =====
+
+async function getProfile(req, res, { store }) {
+    const user = await requireAuth(req, store);
+    sendJson(res, 200, { success: true, user: publicUser(user) });
+}
+
+async function updateProfile(req, res, { store }) {
+    const user = await requireAuth(req, store);
+    const fields = readProfileFields(await readJsonBody(req));
+
+    if (fields.email) {
+        await assertEmailAvailable(store, fields.email, user.id);
+    }
+
+    const updated = await store.update(COLLECTION, user.id, {
+        ...fields,
+        updatedAt: new Date().toISOString()
+    });
+
+    logEvent('user.profile_updated', { userId: updated.id });
+    sendJson(res, 200, { success: true, message: 'Profile updated successfully', user: publicUser(updated) });
+}
+
+async function listUsers(req, res, { store }) {
+    await requirePermission(req, store, 'users:manage');
+
+    const users = await store.list(COLLECTION);
+    users.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    sendJson(res, 200, { success: true, users: users.map(publicUser) });
+}
+
+async function updateUserRole(req, res, { store, params }) {
+    const admin = await requirePermission(req, store, 'users:manage');
+    const { role } = await readJsonBody(req);
+
+    if (!isValidRole(role)) {
+        throw new HttpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (params.id === admin.id) {
+        throw new HttpError(400, 'You cannot change your own role');
+    }
+
+    const user = await store.update(COLLECTION, params.id, { role, updatedAt: new Date().toISOString() });
+    if (!user) throw new HttpError(404, 'User not found');
+
+    logEvent('user.role_changed', { userId: user.id, role });
+    sendJson(res, 200, { success: true, message: 'Role updated successfully', user: publicUser(user) });
+}
+
+async function deleteUser(req, res, { store, params }) {
+    const admin = await requirePermission(req, store, 'users:manage');
+
+    if (params.id === admin.id) {
+        throw new HttpError(400, 'You cannot delete your own account');
+    }
+    if (!(await store.remove(COLLECTION, params.id))) {
+        throw new HttpError(404, 'User not found');
+    }
+
+    logEvent('user.deleted', { userId: params.id });
+    sendJson(res, 200, { success: true, message: 'User deleted successfully' });
+}
+
+module.exports = {
+    getProfile,
+    updateProfile,
+    listUsers,
+    updateUserRole,
+    deleteUser
+};
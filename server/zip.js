@@ -0,0 +1,196 @@
+/**
+ * Digital Garden Blog - Zip Archives
+ *
+ * Just enough of the zip format to move posts in and out as one download:
+ * - createZip writes stored (uncompressed) entries, which every unzip tool
+ *   and operating system opens
+ * - readZip reads stored and deflated entries, i.e. archives made by the
+ *   usual tools ("Compress" in a file manager, `zip -r`)
+ *
+ * Zip64, encryption and multi-disk archives are not supported. readZip can
+ * cap the number of entries and the unpacked size, and refuses entries that
+ * share their data with another one, so a small upload can't unpack into
+ * gigabytes.
+ *
+ * @author CyberOps
+ * @version 1.0.0
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// General purpose flag: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields of a zip entry
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a zip archive
+ * @param {Array<{name: string, content: string|Buffer}>} files - Entries (names may contain '/')
+ * @param {Date} [modified] - Modification time stored for every entry
+ * @returns {Buffer} Archive
+ */
+function createZip(files, modified = new Date()) {
+    const { time, date } = dosDateTime(modified);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(UTF8_FLAG, 6);
+        local.writeUInt16LE(METHOD_STORED, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        locals.push(local, name, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(UTF8_FLAG, 8);
+        central.writeUInt16LE(METHOD_STORED, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, name);
+
+        offset += local.length + name.length + data.length;
+    });
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Check whether bytes look like a zip archive
+ * @param {Buffer} data - File contents
+ * @returns {boolean} True when the data starts with a zip entry
+ */
+function isZip(data) {
+    return data.length >= 4 && data.readUInt32LE(0) === LOCAL_HEADER;
+}
+
+/**
+ * Read the files of a zip archive (directories are skipped)
+ * @param {Buffer} data - Archive
+ * @param {Object} [options]
+ * @param {number} [options.maxFileSize] - Largest accepted file, once uncompressed
+ * @param {number} [options.maxEntries] - Most entries (files and directories)
+ * @param {number} [options.maxTotalSize] - Most bytes of all files together, once uncompressed
+ * @returns {Array<{name: string, content: Buffer}>} Entries
+ * @throws {Error} When the archive is damaged, too large or uses an unsupported feature
+ */
+function readZip(data, { maxFileSize = Infinity, maxEntries = Infinity, maxTotalSize = Infinity } = {}) {
+    // The end record sits in the last 22 bytes, before an optional comment
+    let end = -1;
+    for (let i = data.length - 22; i >= Math.max(0, data.length - 22 - 0xffff); i--) {
+        if (data.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) throw new Error('Not a zip archive');
+
+    const count = data.readUInt16LE(end + 10);
+    if (count > maxEntries) throw new Error(`The archive has more than ${maxEntries} entries`);
+
+    let position = data.readUInt32LE(end + 16);
+    const files = [];
+    // Byte ranges of the entries read so far, which no other entry may reuse
+    const ranges = [];
+    let totalSize = 0;
+
+    for (let n = 0; n < count; n++) {
+        if (data.readUInt32LE(position) !== CENTRAL_HEADER) throw new Error('Damaged zip archive');
+
+        const flags = data.readUInt16LE(position + 8);
+        const method = data.readUInt16LE(position + 10);
+        const compressedSize = data.readUInt32LE(position + 20);
+        const size = data.readUInt32LE(position + 24);
+        const nameLength = data.readUInt16LE(position + 28);
+        const extraLength = data.readUInt16LE(position + 30);
+        const commentLength = data.readUInt16LE(position + 32);
+        const localOffset = data.readUInt32LE(position + 42);
+        const name = data.slice(position + 46, position + 46 + nameLength).toString(flags & UTF8_FLAG ? 'utf8' : 'latin1');
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (flags & 0x1) throw new Error(`${name} is encrypted`);
+        if (size > maxFileSize) throw new Error(`${name} is too large`);
+        if (totalSize + size > maxTotalSize) throw new Error('The archive is too large once unpacked');
+
+        if (localOffset + 30 > data.length || data.readUInt32LE(localOffset) !== LOCAL_HEADER) throw new Error('Damaged zip archive');
+        const start = localOffset + 30 + data.readUInt16LE(localOffset + 26) + data.readUInt16LE(localOffset + 28);
+        const stop = start + compressedSize;
+        if (ranges.some(range => localOffset < range.stop && range.start < stop)) {
+            throw new Error(`${name} overlaps another entry`);
+        }
+        ranges.push({ start: localOffset, stop });
+        const raw = data.slice(start, stop);
+
+        let content;
+        if (method === METHOD_STORED) content = raw;
+        else if (method === METHOD_DEFLATED) content = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+        else throw new Error(`${name} uses an unsupported compression method`);
+
+        // Stored entries are as large as their data, whatever size they declare
+        if (content.length > maxFileSize) throw new Error(`${name} is too large`);
+        totalSize += content.length;
+        if (totalSize > maxTotalSize) throw new Error('The archive is too large once unpacked');
+        files.push({ name, content });
+    }
+
+    return files;
+}
+
+module.exports = {
+    createZip,
+    isZip,
+    readZip
+};
@@ -0,0 +1,40 @@
+/**
+ * Digital Garden Blog - Server-Side Rendering Tests
+ *
+ * Run with `npm test` (node's built-in test runner).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const PostModel = require('../public/js/post-model');
+const { siteFor, renderPostPage } = require('../server/render');
+
+const NOW = '2025-09-18T10:00:00.000Z';
+
+function samplePost(fields) {
+    return PostModel.normalizePost({
+        id: 'post-1',
+        slug: 'sample',
+        content: 'Hello',
+        author: 'Admin',
+        status: 'published',
+        createdAt: NOW,
+        updatedAt: NOW,
+        ...fields
+    });
+}
+
+test('renderPostPage keeps $ patterns in the title literal', async () => {
+    const html = await renderPostPage(samplePost({ title: "$& $` $'" }), siteFor('https://example.com/blog'));
+
+    assert.match(html, /<title>\$&amp; \$` \$&#39; - Digital Garden<\/title>/);
+    assert.strictEqual(html.match(/<title>/g).length, 1);
+    assert.match(html, /<base href="\/blog\/">/);
+});
+
+test('renderPostPage keeps $ patterns in SITE_URL literal', async () => {
+    const html = await renderPostPage(samplePost({ title: 'Plain' }), siteFor("https://example.com/$'"));
+
+    assert.match(html, /<base href="\/\$&#39;\/">/);
+    assert.strictEqual(html.match(/<base /g).length, 1);
+});
@@ -0,0 +1,40 @@
+/**
+ * Digital Garden Blog - Zip Archive Tests
+ *
+ * Run with `npm test` (node's built-in test runner).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createZip, readZip } = require('../server/zip');
+
+// Offset of the first central directory entry
+function centralDirectoryOffset(archive) {
+    return archive.readUInt32LE(archive.length - 22 + 16);
+}
+
+test('readZip reads back what createZip wrote', () => {
+    const archive = createZip([{ name: 'a.md', content: 'first' }, { name: 'posts/b.md', content: 'second' }]);
+
+    assert.deepStrictEqual(
+        readZip(archive).map(entry => [entry.name, entry.content.toString()]),
+        [['a.md', 'first'], ['posts/b.md', 'second']]
+    );
+});
+
+test('readZip refuses entries that reuse the data of another one', () => {
+    const archive = createZip([{ name: 'a.md', content: 'first' }, { name: 'b.md', content: 'again' }]);
+    // Point the second central directory entry at the first local header
+    const second = centralDirectoryOffset(archive) + 46 + 'a.md'.length;
+    archive.writeUInt32LE(0, second + 42);
+
+    assert.throws(() => readZip(archive), /b\.md overlaps another entry/);
+});
+
+test('readZip enforces the entry and unpacked size limits', () => {
+    const archive = createZip([{ name: 'a.md', content: 'x'.repeat(100) }, { name: 'b.md', content: 'y'.repeat(100) }]);
+
+    assert.throws(() => readZip(archive, { maxEntries: 1 }), /more than 1 entries/);
+    assert.throws(() => readZip(archive, { maxTotalSize: 150 }), /too large once unpacked/);
+    assert.strictEqual(readZip(archive, { maxEntries: 2, maxTotalSize: 200 }).length, 2);
+});